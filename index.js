@@ -8,23 +8,49 @@
 'use strict';
 
 const Gesture = require('./src/Gesture.js');
+const HeadlessRegion = require('./src/HeadlessRegion.js');
+const Inertia = require('./src/Inertia.js');
 const Input = require('./src/Input.js');
+const KeyboardEmulation = require('./src/KeyboardEmulation.js');
 const Point2D = require('./src/Point2D.js');
+const Player = require('./src/Player.js');
 const PointerData = require('./src/PointerData.js');
+const Recorder = require('./src/Recorder.js');
 const Region = require('./src/Region.js');
 const Smoothable = require('./src/Smoothable.js');
 const State = require('./src/State.js');
+const SyntheticSession = require('./src/SyntheticSession.js');
+const Transform = require('./src/Transform.js');
+const TuioClient = require('./src/TuioClient.js');
+const WheelEmulation = require('./src/WheelEmulation.js');
+const conditions = require('./src/conditions.js');
 const constants = require('./src/constants.js');
+const filters = require('./src/filters.js');
+const inputSources = require('./src/inputSources.js');
+const osc = require('./src/osc.js');
 const utils = require('./src/utils.js');
 
 module.exports = {
   Gesture,
+  HeadlessRegion,
+  Inertia,
   Input,
+  KeyboardEmulation,
+  Player,
   Point2D,
   PointerData,
+  Recorder,
   Region,
   Smoothable,
   State,
+  SyntheticSession,
+  Transform,
+  TuioClient,
+  WheelEmulation,
+  conditions,
+  filters,
+  inputSources,
+  osc,
   ...constants,
   ...utils,
 };
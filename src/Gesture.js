@@ -1,5 +1,16 @@
 'use strict';
 
+const {
+  BEGAN,
+  CANCELLED,
+  CHANGED,
+  ENDED,
+  FAILED,
+  POSSIBLE,
+  STATE_KEYS,
+} = require('./constants.js');
+const { evaluate } = require('./conditions.js');
+
 let g_id = 0;
 
 /**
@@ -14,18 +25,49 @@ let g_id = 0;
  * @param {Function} handler - The function handler to execute when a gesture
  *    is recognized on the associated element.
  * @param {object} [options] - Generic gesture options
- * @param {westures-core.STATE_KEYS[]} [options.enableKeys=[]] - List of keys
- * which will enable the gesture. The gesture will not be recognized unless one
- * of these keys is pressed while the interaction occurs. If not specified or an
- * empty list, the gesture is treated as though the enable key is always down.
- * @param {westures-core.STATE_KEYS[]} [options.disableKeys=[]] - List of keys
- * which will disable the gesture. The gesture will not be recognized if one of
- * these keys is pressed while the interaction occurs. If not specified or an
- * empty list, the gesture is treated as though the disable key is never down.
+ * @param {string[]} [options.enableKeys=[]] - List of keys which will enable
+ * the gesture. The gesture will not be recognized unless one of these keys is
+ * pressed while the interaction occurs. Keys are named by one of the
+ * [STATE_KEYS]{@link westures-core.STATE_KEYS}, or by the 'key' or 'code' value
+ * of a KeyboardEvent (e.g. ' ' or 'Space'). If not specified or an empty list,
+ * the gesture is treated as though the enable key is always down.
+ * @param {string[]} [options.disableKeys=[]] - List of keys which will disable
+ * the gesture. The gesture will not be recognized if one of these keys is
+ * pressed while the interaction occurs. Keys are named as for 'enableKeys'. If
+ * not specified or an empty list, the gesture is treated as though the disable
+ * key is never down.
+ * @param {number[]} [options.enableButtons=[]] - List of mouse buttons, as
+ * values of the 'button' property of a MouseEvent, which will enable the
+ * gesture. The gesture will not be recognized unless one of these buttons is
+ * pressed on one of the active inputs. If not specified or an empty list, the
+ * gesture is enabled regardless of buttons.
+ * @param {number[]} [options.disableButtons=[]] - List of mouse buttons which
+ * will disable the gesture. The gesture will not be recognized while one of
+ * these buttons is pressed on one of the active inputs.
  * @param {number} [options.minInputs=1] - The minimum number of pointers that
  * must be active for the gesture to be recognized. Uses >=.
  * @param {number} [options.maxInputs=Number.MAX_VALUE] - The maximum number of
  * pointers that may be active for the gesture to be recognized. Uses <=.
+ * @param {string[]} [options.pointerTypes=[]] - List of pointer types ('mouse',
+ * 'pen', or 'touch') to which the gesture responds. The gesture will not be
+ * recognized while any active input is of another type. If not specified or
+ * an empty list, the gesture responds to all pointer types.
+ * @param {?(Function|object)} [options.enableWhen=null] - A condition which
+ * must hold for the gesture to be enabled, in addition to the other options.
+ * Either a function, called as enableWhen(state, gesture), or a combination of
+ * conditions as described in [conditions]{@link westures-core.conditions}.
+ * The Region evaluates it on every input event.
+ * @param {boolean} [options.inertia=false] - Whether to carry the motion of the
+ * gesture on after all of its inputs have been released. While the motion
+ * decays, the Region calls the [inertia]{@link westures-core.Gesture#inertia}
+ * hook on every animation frame.
+ * @param {number} [options.inertiaFriction=0.002] - The rate at which the
+ * velocity of the inertia decays, per millisecond. After t milliseconds, the
+ * velocity is the release velocity multiplied by e^(-inertiaFriction * t).
+ * @param {number} [options.inertiaMinVelocity=0.02] - The speed, in pixels per
+ * millisecond, below which the inertia stops.
+ * @param {number} [options.inertiaMaxDuration=2000] - The longest time, in
+ * milliseconds, for which the inertia may continue.
  */
 class Gesture {
   constructor(type, element, handler, options = {}) {
@@ -70,6 +112,267 @@ class Gesture {
      * @type {object}
      */
     this.options = { ...Gesture.DEFAULTS, ...options };
+
+    /**
+     * The gestures which must fail before this gesture can be recognized.
+     *
+     * @type {Set.<westures-core.Gesture>}
+     */
+    this.failureRequirements = new Set();
+
+    /**
+     * The gestures which require this gesture to fail before they can be
+     * recognized.
+     *
+     * @type {Set.<westures-core.Gesture>}
+     */
+    this.failureDependents = new Set();
+
+    /**
+     * The state of the gesture's recognizer during the current input session.
+     * One of 'possible', 'began', 'changed', 'ended', 'failed', or
+     * 'cancelled'.
+     *
+     * A gesture is 'possible' at the start of every input session in which it
+     * can take part. The first time its results are passed to the handler it
+     * has 'began', and any further results mean that it has 'changed'. It has
+     * 'ended' once the Region deactivates it, usually because the input
+     * session is over. Alternatively, it has 'failed' if it calls
+     * [fail]{@link westures-core.Gesture#fail}, or been 'cancelled' if the
+     * input session is cancelled. A gesture whose failure is required by
+     * other gestures also fails if the input session ends while it is still
+     * 'possible', unless it calls [hold]{@link westures-core.Gesture#hold}.
+     *
+     * @type {string}
+     */
+    this.recognizerState = POSSIBLE;
+
+    /**
+     * Results which are waiting for the failure requirements of this gesture
+     * to be resolved before they are passed to the handler.
+     *
+     * @private
+     * @type {Object[]}
+     */
+    this.deferred = [];
+
+    /**
+     * Whether the gesture remains 'possible' after the current input session
+     * ends.
+     *
+     * @private
+     * @type {boolean}
+     */
+    this.held = false;
+
+    /**
+     * Whether the recognition of this gesture ended while its results were
+     * held back, so that it ends as soon as they are released.
+     *
+     * @private
+     * @type {boolean}
+     */
+    this.endPending = false;
+  }
+
+  /**
+   * Claims exclusive ownership of the given inputs for this gesture, usually
+   * from within a hook. Other gestures which see those inputs are cancelled by
+   * the Region, and are not evaluated again while the inputs remain.
+   *
+   * @example
+   * move(state) {
+   *   if (this.hasMovedFarEnough(state)) this.claim(state);
+   *   ...
+   * }
+   *
+   * @param {westures-core.State} state - The input state object of the current
+   * region.
+   * @param {westures-core.Input[]} [inputs=state.active] - The inputs to claim.
+   */
+  claim(state, inputs = state.active) {
+    state.claimInputs(this, inputs);
+  }
+
+  /**
+   * Signals that this gesture has handled the current input session, usually
+   * from within a hook. Gestures bound to ancestors of this gesture's element
+   * are cancelled, and are not activated again for the rest of the input
+   * session. Other gestures bound to the same element are unaffected.
+   *
+   * @param {westures-core.State} state - The input state object of the current
+   * region.
+   */
+  stopPropagation(state) {
+    state.stopPropagation(this);
+  }
+
+  /**
+   * Declares that this gesture may only be recognized once the given gesture
+   * has failed. Until then, any results produced by this gesture are held
+   * back. If the given gesture is recognized instead, this gesture fails.
+   *
+   * @example
+   * // Only report single taps that are not part of a double tap.
+   * tap.requireFailureOf(doubleTap);
+   *
+   * @param {westures-core.Gesture} gesture - The gesture which must fail.
+   */
+  requireFailureOf(gesture) {
+    if (gesture === this || gesture.requiresFailureOf(this)) {
+      throw new Error('Gesture failure requirements cannot be circular');
+    }
+    this.failureRequirements.add(gesture);
+    gesture.failureDependents.add(this);
+  }
+
+  /**
+   * @param {westures-core.Gesture} gesture - The gesture to check.
+   *
+   * @return {boolean} True if this gesture requires the failure of the given
+   * gesture, either directly or through some other gesture.
+   */
+  requiresFailureOf(gesture) {
+    return Array.from(this.failureRequirements).some(requirement => {
+      return requirement === gesture || requirement.requiresFailureOf(gesture);
+    });
+  }
+
+  /**
+   * Signals that this gesture has failed, i.e. that it will not be recognized
+   * during the current input session. A gesture may call this from any of its
+   * hooks, or at any other time (e.g. from a timeout). Any results this
+   * gesture produces for the rest of the input session are discarded, and
+   * gestures which require its failure are allowed to proceed.
+   */
+  fail() {
+    if (!this.failed) this.setRecognizerState(FAILED);
+  }
+
+  /**
+   * Keeps this gesture 'possible' once the current input session ends, for
+   * gestures which are recognized over several input sessions, such as a
+   * double tap after its first tap. Otherwise a gesture whose failure is
+   * required by other gestures fails when the input session ends without it
+   * having been recognized. A held gesture should later either be recognized
+   * or call [fail]{@link westures-core.Gesture#fail}, for instance from a
+   * timeout, to release the gestures which are waiting for it. The hold lasts
+   * until the next input session starts.
+   */
+  hold() {
+    this.held = true;
+  }
+
+  /**
+   * Whether the gesture has failed, or been cancelled, during the current
+   * input session.
+   *
+   * @type {boolean}
+   */
+  get failed() {
+    return this.recognizerState === FAILED ||
+      this.recognizerState === CANCELLED;
+  }
+
+  /**
+   * Whether the gesture has been recognized during the current input session.
+   *
+   * @type {boolean}
+   */
+  get recognized() {
+    return this.recognizerState === BEGAN ||
+      this.recognizerState === CHANGED ||
+      this.recognizerState === ENDED;
+  }
+
+  /**
+   * Prepares the gesture for a new input session by returning it to the
+   * 'possible' state. Results of the previous input session which are still
+   * waiting for failure requirements are discarded, along with any hold.
+   *
+   * @private
+   */
+  reset() {
+    this.deferred = [];
+    this.held = false;
+    this.endPending = false;
+    this.setRecognizerState(POSSIBLE);
+  }
+
+  /**
+   * Moves the recognizer of this gesture into the given state. Gestures which
+   * require the failure of this gesture are notified if it has thereby failed
+   * or been recognized.
+   *
+   * @private
+   * @param {string} recognizerState - One of
+   * [RECOGNIZER_STATES]{@link westures-core.RECOGNIZER_STATES}.
+   */
+  setRecognizerState(recognizerState) {
+    const wasFailed = this.failed;
+    const wasRecognized = this.recognized;
+    this.recognizerState = recognizerState;
+
+    if (this.failed) this.deferred = [];
+    if (this.failed !== wasFailed || this.recognized !== wasRecognized) {
+      this.failureDependents.forEach(gesture => {
+        gesture.resolveFailureRequirements();
+      });
+    }
+  }
+
+  /**
+   * Moves a gesture whose recognition is in progress into the 'ended' state.
+   * A gesture whose results are still held back ends once they are released.
+   *
+   * @private
+   */
+  endRecognition() {
+    if (this.recognizerState === BEGAN || this.recognizerState === CHANGED) {
+      this.setRecognizerState(ENDED);
+    } else if (this.deferred.length > 0) {
+      this.endPending = true;
+    }
+  }
+
+  /**
+   * Checks the failure requirements of this gesture, either failing this
+   * gesture or releasing its held back results if they have been resolved.
+   *
+   * @private
+   */
+  resolveFailureRequirements() {
+    if (this.failed) return;
+
+    if (this.isBlocked()) {
+      this.fail();
+    } else if (!this.isWaiting()) {
+      const deferred = this.deferred;
+      this.deferred = [];
+      deferred.forEach(results => this.dispatch(results));
+      if (this.endPending) {
+        this.endPending = false;
+        this.endRecognition();
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @return {boolean} True if a gesture whose failure is required by this
+   * gesture has been recognized.
+   */
+  isBlocked() {
+    return Array.from(this.failureRequirements).some(g => g.recognized);
+  }
+
+  /**
+   * @private
+   * @return {boolean} True if a gesture whose failure is required by this
+   * gesture has not yet failed.
+   */
+  isWaiting() {
+    return Array.from(this.failureRequirements).some(g => !g.failed);
   }
 
   /**
@@ -83,11 +386,38 @@ class Gesture {
   isEnabled(state) {
     const count = state.active.length;
     const event = state.event;
-    const { enableKeys, disableKeys, minInputs, maxInputs } = this.options;
+    const {
+      enableKeys,
+      disableKeys,
+      enableButtons,
+      disableButtons,
+      minInputs,
+      maxInputs,
+      pointerTypes,
+      enableWhen,
+    } = this.options;
+    const buttons = new Set();
+    if (enableButtons.length > 0 || disableButtons.length > 0) {
+      state.active.forEach(input => {
+        input.pressedButtons.forEach(button => buttons.add(button));
+      });
+    }
+
+    const { heldKeys } = state;
+    const isHeld = key => {
+      if (STATE_KEYS.includes(key) && event[key]) return true;
+      return heldKeys.has(key);
+    };
 
     return (minInputs <= count) && (maxInputs >= count) &&
-      (enableKeys.length === 0 || enableKeys.some(k => event[k])) &&
-      !disableKeys.some(k => event[k]);
+      (enableKeys.length === 0 || enableKeys.some(isHeld)) &&
+      !disableKeys.some(isHeld) &&
+      (enableButtons.length === 0 || enableButtons.some(b => buttons.has(b))) &&
+      !disableButtons.some(b => buttons.has(b)) &&
+      (enableWhen === null || evaluate(enableWhen, state, this)) &&
+      (pointerTypes.length === 0 || state.active.every(input => {
+        return pointerTypes.includes(input.pointerType);
+      }));
   }
 
   /**
@@ -142,6 +472,23 @@ class Gesture {
     return null;
   }
 
+  /**
+   * Event hook for the inertia phase of a gesture, which follows the end phase
+   * if the 'inertia' option is set. Called on every animation frame while the
+   * motion of the gesture decays.
+   *
+   * @param {westures-core.State} state - The state of the input session which
+   * ended.
+   * @param {westures-core.Inertia} inertia - The decaying motion, including the
+   * current velocity and the change in the centroid since the previous frame.
+   *
+   * @return {?Object} Gesture is considered recognized if an Object is
+   *    returned.
+   */
+  inertia() {
+    return null;
+  }
+
   /**
    * Evalutes the given gesture hook, and dispatches any data that is produced
    * by calling [recognize]{@link westures-core.Gesture#recognize}.
@@ -165,27 +512,65 @@ class Gesture {
    * constructing the results. This can be used to override standard results
    * such as the phase or the centroid.
    *
-   * @param {string} hook - Must be one of 'start', 'move', 'end', or 'cancel'.
+   * If this gesture requires the failure of other gestures, the results are
+   * held back until those gestures fail, or discarded if one of them is
+   * recognized.
+   *
+   * @param {string} hook - Must be one of 'start', 'move', 'end', 'cancel', or
+   * 'inertia'.
    * @param {westures-core.State} state - current input state.
    * @param {Object} data - Results data specific to the recognized gesture.
    */
   recognize(hook, state, data) {
-    this.handler({
+    const results = {
       centroid: state.centroid,
       event:    state.event,
       phase:    hook,
+      source:   state.source,
       type:     this.type,
       target:   this.element,
       ...data,
-    });
+    };
+
+    if (this.failed) return;
+
+    if (this.isBlocked()) {
+      this.fail();
+    } else if (this.isWaiting()) {
+      this.deferred.push(results);
+    } else {
+      this.dispatch(results);
+    }
+  }
+
+  /**
+   * Passes the given results to the handler, moving the gesture into the
+   * 'began' or 'changed' state.
+   *
+   * @private
+   * @param {Object} results - The complete results of the gesture.
+   */
+  dispatch(results) {
+    const inProgress = this.recognizerState === BEGAN ||
+      this.recognizerState === CHANGED;
+    this.setRecognizerState(inProgress ? CHANGED : BEGAN);
+    this.handler({ recognizerState: this.recognizerState, ...results });
   }
 }
 
 Gesture.DEFAULTS = {
-  enableKeys:  [],
-  disableKeys: [],
-  minInputs:   1,
-  maxInputs:   Number.MAX_VALUE,
+  enableKeys:         [],
+  disableKeys:        [],
+  enableButtons:      [],
+  disableButtons:     [],
+  minInputs:          1,
+  maxInputs:          Number.MAX_VALUE,
+  pointerTypes:       [],
+  enableWhen:         null,
+  inertia:            false,
+  inertiaFriction:    0.002,
+  inertiaMinVelocity: 0.02,
+  inertiaMaxDuration: 2000,
 };
 
 module.exports = Gesture;
@@ -0,0 +1,880 @@
+'use strict';
+
+const Inertia      = require('./Inertia.js');
+const Point2D      = require('./Point2D.js');
+const State        = require('./State.js');
+const inputSources = require('./inputSources.js');
+const {
+  CANCEL,
+  END,
+  MOVE,
+  START,
+
+  BEGAN,
+  CANCELLED,
+  CHANGED,
+  POSSIBLE,
+} = require('./constants.js');
+const {
+  getPhase,
+  now,
+  setDifference,
+  setFilter,
+} = require('./utils.js');
+
+/**
+ * Orders the given gestures such that every gesture comes after the gestures
+ * whose failure it requires.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.HeadlessRegion
+ *
+ * @param {Set.<westures-core.Gesture>} gestures - The gestures to order.
+ *
+ * @return {Set.<westures-core.Gesture>} The ordered gestures.
+ */
+function orderByFailureRequirements(gestures) {
+  const ordered = new Set();
+
+  function visit(gesture) {
+    if (ordered.has(gesture)) return;
+    gesture.failureRequirements.forEach(requirement => {
+      if (gestures.has(requirement)) visit(requirement);
+    });
+    ordered.add(gesture);
+  }
+
+  gestures.forEach(visit);
+  return ordered;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.HeadlessRegion
+ *
+ * @param {Event} event - The latest input event.
+ * @param {westures-core.State} state - The state, updated with the event.
+ *
+ * @return {boolean} Whether the event changed the buttons pressed on any of
+ * the inputs of the state.
+ */
+function changesButtons(event, state) {
+  return state.inputs.some(input => {
+    return input.current.event === event &&
+      input.current.buttons !== input.previous.buttons;
+  });
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.HeadlessRegion
+ *
+ * @param {Set.<westures-core.Gesture>} gestures - The gestures to check.
+ *
+ * @return {boolean} Whether any of the gestures has an 'enableWhen'
+ * condition, which must be evaluated on every input event.
+ */
+function hasConditions(gestures) {
+  return Array.from(gestures).some(gesture => {
+    return gesture.options.enableWhen !== null;
+  });
+}
+
+/**
+ * An input session: the State of a group of inputs, along with the gestures
+ * that are taking part in the session. Without partitioning, the region itself
+ * is the only input session.
+ *
+ * @typedef {object} Session
+ * @memberof westures-core.HeadlessRegion
+ *
+ * @property {Element} element - The element on which the inputs of the
+ * session started.
+ * @property {westures-core.State} state - The state of the session's inputs.
+ * @property {Set.<westures-core.Gesture>} potentialGestures - The base list of
+ * potentially active gestures for the session.
+ * @property {Set.<westures-core.Gesture>} activeGestures - The list of active
+ * gestures for the session.
+ */
+
+/**
+ * The core of a region, which recognizes gestures from inputs without relying
+ * on the DOM. Inputs are pushed into it with
+ * [push]{@link westures-core.HeadlessRegion#push}, each naming its
+ * identifier, phase, point, time, and the path of targets to which gestures
+ * can be bound, so that gestures can be recognized in Node, on a server, or
+ * inside a game engine, and tested without a browser.
+ *
+ * The [Region]{@link westures-core.Region} is a thin wrapper over this core,
+ * which feeds it the input events of the DOM.
+ *
+ * @memberof westures-core
+ *
+ * @param {*} [element=null] - The root of the targets of the inputs. A Region
+ * passes the element which listens to input events. Inputs without gestures
+ * along their path are partitioned by this element.
+ * @param {object} [options]
+ * @param {boolean} [options.preventDefault=true] - Whether to prevent the
+ * default action of the input events which drive active gestures.
+ * @param {boolean} [options.partitionInputs=false] - Whether to partition the
+ * inputs by the target on which they started. Each input belongs to the
+ * innermost target along its propagation path to which gestures are bound.
+ * The inputs of each partition form an independent input session, with its
+ * own State and its own active gestures, so that several people can interact
+ * with different targets at the same time. Cancelling an input cancels only
+ * the session of its partition. A gesture takes part in one session at a
+ * time, so gestures bound to a target shared by several partitions, such as
+ * the root, only go to the first of them. Inputs which start directly on
+ * such a target while its gestures are taken get no gestures.
+ * @param {boolean} [options.penPriority=false] - Whether to ignore touch inputs
+ * while a pen is in contact, so that a hand resting on the surface while
+ * drawing does not interfere. Touch inputs which start while a pen is in
+ * contact are ignored for their whole duration, and those already in contact
+ * when a pen lands are rejected.
+ * @param {...*} [options.rejection] - The options for rejecting accidental
+ * contacts, such as palms, are passed along to the
+ * [State]{@link westures-core.State}: 'maxContactSize', 'penRejectionRadius',
+ * 'edgeRejectionMargin', 'minContactDuration', and 'rejectInput'.
+ */
+class HeadlessRegion {
+  constructor(element = null, options = {}) {
+    /**
+     * The list of relations between elements, their gestures, and the handlers.
+     *
+     * @type {Set.<westures-core.Gesture>}
+     */
+    this.gestures = new Set();
+
+    /**
+     * The list of active gestures for the current input session.
+     *
+     * @type {Set.<westures-core.Gesture>}
+     */
+    this.activeGestures = new Set();
+
+    /**
+     * The base list of potentially active gestures for the current input
+     * session.
+     *
+     * @type {Set.<westures-core.Gesture>}
+     */
+    this.potentialGestures = new Set();
+
+    /**
+     * The root of the targets of the inputs.
+     *
+     * @type {*}
+     */
+    this.element = element;
+
+    /**
+     * The user-supplied options for the region.
+     *
+     * @type {object}
+     */
+    this.options = { ...HeadlessRegion.DEFAULTS, ...options };
+
+    /**
+     * The internal state object for a region. Keeps track of inputs.
+     *
+     * @type {westures-core.State}
+     */
+    this.state = new State(this.element, this.options);
+
+    /**
+     * The input sessions of the partitions of the inputs, keyed by the
+     * element on which the inputs of each partition started. Only used if the
+     * 'partitionInputs' option is set.
+     *
+     * @type {Map.<Element, westures-core.HeadlessRegion.Session>}
+     */
+    this.partitions = new Map();
+
+    /**
+     * The partition to which each input belongs.
+     *
+     * @private
+     * @type {WeakMap.<westures-core.Input,
+     *    westures-core.HeadlessRegion.Session>}
+     */
+    this.inputPartitions = new WeakMap();
+
+    /**
+     * The inertia of gestures whose motion is being carried on after their
+     * inputs were released.
+     *
+     * @private
+     * @type {Map.<westures-core.Gesture, westures-core.Inertia>}
+     */
+    this.inertia = new Map();
+
+    /**
+     * The input sessions of virtual pointers which are in progress, such as
+     * those of keyboard emulation.
+     *
+     * @type {Set.<westures-core.SyntheticSession>}
+     */
+    this.syntheticSessions = new Set();
+
+    /**
+     * The recorders of the events processed by the region.
+     *
+     * @type {Set.<westures-core.Recorder>}
+     */
+    this.recorders = new Set();
+  }
+
+  /**
+   * Pushes the change to a single input into the region, as the input events
+   * of the DOM do for a Region. The targets of the input are given by its
+   * path, and gestures bound to any of them can take part in the input
+   * session. Inputs in the 'cancel' phase cancel all gestures in progress, as
+   * a 'pointercancel' event does, or only those of the input's partition if
+   * inputs are partitioned.
+   *
+   * @param {object} input - The input.
+   * @param {(number|string)} input.identifier - The identifier of the input,
+   * which is the same for all of its changes.
+   * @param {string} input.phase - One of 'start', 'move', 'end', or 'cancel'.
+   * @param {{x: number, y: number}} input.point - The position of the input.
+   * @param {number} [input.time] - The time of the change, in milliseconds.
+   * Any clock will do, so long as all inputs use the same one. Defaults to
+   * the current time.
+   * @param {Array} [input.path=[]] - The targets of the input, from the
+   * innermost outward, as with the composed path of a DOM event. These can be
+   * any objects, such as the nodes of a scene graph, to which gestures are
+   * bound.
+   * @param {...*} [input.data] - Any other pointer data which
+   * [PointerData]{@link westures-core.PointerData} reads, such as
+   * 'pointerType', 'pressure', 'buttons', 'width' and 'height'.
+   *
+   * @return {object} The event which was processed, as handled by the headless
+   * [input source]{@link westures-core.inputSources.headless}.
+   */
+  push(input) {
+    const path = input.path || [];
+    const event = {
+      time:     now(),
+      ...input,
+      path,
+      headless: true,
+      target:   path.length > 0 ? path[0] : null,
+      composedPath() {
+        return path;
+      },
+      preventDefault() {},
+    };
+
+    if (event.phase === CANCEL) {
+      this.cancel(event);
+    } else {
+      this.arbitrate(event);
+    }
+    return event;
+  }
+
+  /**
+   * Tears down the region completely. Any gestures in progress are cancelled
+   * and all of the gestures are removed. The region should not be used again
+   * afterwards.
+   */
+  destroy() {
+    this.cancelActiveGestures();
+    Array.from(this.gestures).forEach(gesture => this.removeGesture(gesture));
+  }
+
+  /**
+   * Handles a cancel event. Resets the state and the active / potential gesture
+   * lists. When inputs are partitioned, only a 'blur' cancels every session,
+   * and other cancel events only cancel the partitions of the inputs which
+   * they cancel.
+   *
+   * @private
+   * @param {Event} event - The event emitted from the window object.
+   */
+  cancel(event) {
+    this.recorders.forEach(recorder => recorder.record('cancel', event));
+    if (this.options.preventDefault) event.preventDefault();
+    if (event.type === 'blur') {
+      this.state.clearKeys();
+    } else if (this.options.partitionInputs) {
+      this.cancelPartitions(event);
+      return;
+    }
+    this.state.inputs.forEach(input => {
+      input.update(event);
+    });
+    this.cancelActiveGestures();
+  }
+
+  /**
+   * Cancels the input sessions of the partitions to which the inputs
+   * cancelled by the given event belong. All the inputs of those partitions
+   * are removed, and the other partitions carry on undisturbed.
+   *
+   * @private
+   * @param {Event} event - The cancel event.
+   */
+  cancelPartitions(event) {
+    const source = inputSources.find(event);
+    const identifiers = source.accepts(event)
+      ? source.getIdentifiers(event)
+      : [];
+    const sessions = new Set();
+    this.state.inputs.forEach(input => {
+      if (identifiers.includes(input.identifier) &&
+          this.inputPartitions.has(input)) {
+        sessions.add(this.inputPartitions.get(input));
+      }
+    });
+
+    sessions.forEach(session => {
+      session.state.inputs.forEach(input => {
+        input.update(event);
+        this.state.removeInput(input);
+      });
+      this.cancelGestures(session.activeGestures, session);
+      this.resetActiveGestures(session);
+      this.partitions.delete(session.element);
+    });
+    if (sessions.size > 0) this.state.updateFields(event);
+  }
+
+  /**
+   * Calls the "cancel" hook of the active gestures, releases any pointer
+   * captures, and resets the state and the active / potential gesture lists.
+   *
+   * @private
+   */
+  cancelActiveGestures() {
+    this.stopInertia();
+    this.getSessions().forEach(session => {
+      this.cancelGestures(session.activeGestures, session);
+    });
+    this.syntheticSessions.forEach(session => session.release());
+    this.state.releaseCaptures();
+    const previous = this.state;
+    this.state = new State(this.element, this.options);
+    this.state.shareKeys(previous);
+    this.partitions.clear();
+    this.resetActiveGestures();
+  }
+
+  /**
+   * Handles a keyboard event, tracking the held keys and triggering a restart
+   * of any gestures that need it whenever they change. A headless region can
+   * be given plain objects with the 'type' ('keydown' or 'keyup') and 'key'
+   * of a keyboard event, and its modifier flags such as 'ctrlKey'.
+   *
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  handleKeyboardEvent(event) {
+    this.recorders.forEach(recorder => recorder.record('key', event));
+    if (this.state.updateKeys(event)) {
+      this.state.event = event;
+      this.getSessions().forEach(session => {
+        session.state.event = event;
+        this.restartGestures(session);
+      });
+    }
+  }
+
+  /**
+   * Reselects the active gestures of the given input session, calling the
+   * "end" hook of gestures which are no longer active and the "start" hook of
+   * gestures which have become active.
+   *
+   * @private
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  restartGestures(session = this) {
+    const oldActiveGestures = session.activeGestures;
+    this.setActiveGestures(session);
+
+    const ended = setDifference(oldActiveGestures, session.activeGestures);
+    this.evaluateHook(ended, END, session);
+    ended.forEach(gesture => gesture.endRecognition());
+
+    const started = setDifference(session.activeGestures, oldActiveGestures);
+    this.evaluateHook(started, START, session);
+    this.pruneClaimedGestures(session);
+  }
+
+  /**
+   * Calls the "cancel" hook of the given gestures and marks them as
+   * cancelled.
+   *
+   * @private
+   * @param {Set.<westures-core.Gesture>} gestures - The gestures to cancel.
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session in which the gestures are being cancelled.
+   */
+  cancelGestures(gestures, session = this) {
+    gestures.forEach(gesture => {
+      if (!gesture.failed) gesture.evaluateHook(CANCEL, session.state);
+    });
+
+    // Dependents are cancelled before their requirements, so that their held
+    // back results are discarded rather than released.
+    const ordered = Array.from(gestures).reverse();
+    ordered.forEach(gesture => {
+      if (!gesture.failed) gesture.setRecognizerState(CANCELLED);
+    });
+  }
+
+  /**
+   * Evaluates the given hook for each of the given gestures. Gestures which
+   * have failed during the current input session, which have lost their
+   * inputs to a claim by another gesture, or which have been excluded from the
+   * session because propagation was stopped, are skipped.
+   *
+   * @private
+   * @param {Set.<westures-core.Gesture>} gestures - The gestures to evaluate.
+   * @param {string} hook - Must be one of 'start', 'move', 'end', or 'cancel'.
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session in which the gestures are being evaluated.
+   */
+  evaluateHook(gestures, hook, session = this) {
+    gestures.forEach(gesture => {
+      if (session.potentialGestures.has(gesture) &&
+          !gesture.failed &&
+          !session.state.isClaimedByOther(gesture)) {
+        gesture.evaluateHook(hook, session.state);
+        this.pruneStoppedGestures(session);
+      }
+    });
+  }
+
+  /**
+   * Handles a request to stop propagation made by a gesture during its hook.
+   * Gestures bound to ancestors of that gesture's element are removed from
+   * the input session, and any of them which are active are cancelled.
+   *
+   * @private
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  pruneStoppedGestures(session = this) {
+    const stopper = session.state.propagationStoppedBy;
+    if (stopper === null) return;
+    session.state.propagationStoppedBy = null;
+
+    // Potential gestures are ordered from the innermost element outward.
+    const potential = Array.from(session.potentialGestures);
+    const index = potential.indexOf(stopper);
+    if (index < 0) return;
+
+    const stopped = new Set(potential.slice(index + 1).filter(gesture => {
+      return gesture.element !== stopper.element;
+    }));
+    const cancelled = setFilter(session.activeGestures, g => stopped.has(g));
+
+    session.potentialGestures = setDifference(
+      session.potentialGestures,
+      stopped,
+    );
+    session.activeGestures = setDifference(session.activeGestures, stopped);
+    this.cancelGestures(cancelled, session);
+  }
+
+  /**
+   * Cancels and deactivates any active gestures whose inputs have been claimed
+   * by another gesture.
+   *
+   * @private
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  pruneClaimedGestures(session = this) {
+    const claimed = setFilter(session.activeGestures, gesture => {
+      return session.state.isClaimedByOther(gesture);
+    });
+
+    if (claimed.size > 0) {
+      this.cancelGestures(claimed, session);
+      session.activeGestures = setDifference(session.activeGestures, claimed);
+    }
+  }
+
+  /**
+   * Resets the active gestures.
+   *
+   * @private
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  resetActiveGestures(session = this) {
+    session.potentialGestures = new Set();
+    session.activeGestures = new Set();
+  }
+
+  /**
+   * Selects active gestures from the list of potentially active gestures.
+   *
+   * @private
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  setActiveGestures(session = this) {
+    const enabled = setFilter(session.potentialGestures, gesture => {
+      return !gesture.failed &&
+        !session.state.isClaimedByOther(gesture) &&
+        gesture.isEnabled(session.state);
+    });
+    session.activeGestures = orderByFailureRequirements(enabled);
+  }
+
+  /**
+   * Selects the potentially active gestures, ordered by the position of their
+   * elements along the propagation path of the first input, from the innermost
+   * element outward. These gestures are reset for the new input session.
+   * Gestures which are not potentially active in any input session are
+   * impossible, so any of them whose failure is required by other gestures
+   * are failed.
+   *
+   * A gesture can only take part in one input session at a time, so gestures
+   * which are already potentially active in another session are skipped. A
+   * gesture on an ancestor shared by several partitions therefore goes to the
+   * first of them, and the others get no gestures from that ancestor.
+   *
+   * @private
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  setPotentialGestures(session = this) {
+    const taken = new Set();
+    this.getSessions().forEach(other => {
+      if (other !== session) {
+        other.potentialGestures.forEach(gesture => taken.add(gesture));
+      }
+    });
+
+    const path = session.state.inputs[0].initialPath;
+    const potential = Array.from(this.gestures).filter(gesture => {
+      return path.includes(gesture.element) && !taken.has(gesture);
+    });
+    potential.sort((a, b) => {
+      return path.indexOf(a.element) - path.indexOf(b.element);
+    });
+    session.potentialGestures = new Set(potential);
+    session.state.propagationStoppedBy = null;
+
+    session.potentialGestures.forEach(gesture => {
+      gesture.reset();
+      taken.add(gesture);
+    });
+    setDifference(this.gestures, taken).forEach(gesture => {
+      if (gesture.failureDependents.size > 0) gesture.fail();
+    });
+  }
+
+  /**
+   * Selects the gestures that are active for the current input sequence.
+   *
+   * @private
+   * @param {Event} event - The event emitted from the window object.
+   * @param {boolean} isInitial - Whether this is an initial contact.
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  updateActiveGestures(event, isInitial, session = this) {
+    // The new input may have been rejected by the state.
+    if (getPhase(event) === START && !session.state.hasNoInputs()) {
+      if (isInitial) {
+        this.setPotentialGestures(session);
+      }
+      this.setActiveGestures(session);
+    }
+  }
+
+  /**
+   * Evaluates whether the current input session has completed, or has lost
+   * inputs to rejection. Gestures which are no longer active have their
+   * recognition ended, unless their motion is carried on by inertia.
+   *
+   * @private
+   * @param {Event} event - The event emitted from the window object.
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  pruneActiveGestures(event, session = this) {
+    if (getPhase(event) === END || session.state.rejectedInputs.length > 0) {
+      const oldActiveGestures = session.activeGestures;
+      if (session.state.hasNoInputs()) {
+        this.failUnrecognizedRequirements(session);
+        this.resetActiveGestures(session);
+      } else {
+        this.setActiveGestures(session);
+      }
+
+      const ended = setDifference(oldActiveGestures, session.activeGestures);
+      ended.forEach(gesture => {
+        if (!this.startInertia(gesture, session)) gesture.endRecognition();
+      });
+    }
+  }
+
+  /**
+   * Fails the gestures of an input session which is over whose failure is
+   * required by other gestures, but which are still 'possible', as they have
+   * become impossible. This releases the results held back by the gestures
+   * which require their failure. Gestures which have called
+   * [hold]{@link westures-core.Gesture#hold} are left possible.
+   *
+   * @private
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   */
+  failUnrecognizedRequirements(session = this) {
+    session.potentialGestures.forEach(gesture => {
+      if (gesture.recognizerState === POSSIBLE && !gesture.held &&
+          gesture.failureDependents.size > 0) {
+        gesture.fail();
+      }
+    });
+  }
+
+  /**
+   * Starts carrying on the motion of the given gesture with inertia, if the
+   * gesture has the 'inertia' option set, is in progress, and has lost all of
+   * its inputs while they were still moving fast enough.
+   *
+   * @private
+   * @param {westures-core.Gesture} gesture - The gesture which has ended.
+   * @param {westures-core.HeadlessRegion.Session} [session=this] - The input
+   * session.
+   *
+   * @return {boolean} Whether inertia was started for the gesture.
+   */
+  startInertia(gesture, session = this) {
+    const { state } = session;
+    const inProgress = gesture.recognizerState === BEGAN ||
+      gesture.recognizerState === CHANGED;
+    if (!gesture.options.inertia || !inProgress || !state.hasNoInputs()) {
+      return false;
+    }
+
+    // The ended inputs remain in state.inputs until the next update.
+    const points = state.inputs.map(input => input.current.point);
+    const centroid = Point2D.centroid(points);
+    const velocity = state.centroidVelocity;
+    const inertia = new Inertia(gesture, state, centroid, velocity);
+
+    this.stopInertia([gesture]);
+    if (!inertia.start(() => this.inertia.delete(gesture))) return false;
+    this.inertia.set(gesture, inertia);
+    return true;
+  }
+
+  /**
+   * Stops the inertia of the given gestures, ending their recognition.
+   *
+   * @private
+   * @param {westures-core.Gesture[]} [gestures] - The gestures whose inertia
+   * should be stopped. Defaults to all gestures with inertia.
+   */
+  stopInertia(gestures = Array.from(this.inertia.keys())) {
+    gestures.forEach(gesture => {
+      if (this.inertia.has(gesture)) this.inertia.get(gesture).stop();
+    });
+  }
+
+  /**
+   * All input events flow through this function. It makes sure that the input
+   * state is maintained, determines which gestures to analyze based on the
+   * initial position of the inputs, calls the relevant gesture hooks, and
+   * dispatches gesture data.
+   *
+   * @private
+   * @param {Event} event - The event emitted from the window object.
+   */
+  arbitrate(event) {
+    this.recorders.forEach(recorder => recorder.record('input', event));
+
+    // A new input stops any motion carried on from previous input sessions.
+    if (getPhase(event) === START) this.stopInertia();
+
+    if (this.options.partitionInputs) {
+      this.arbitratePartitions(event);
+    } else {
+      const isInitial = this.state.hasNoInputs();
+      this.state.updateAllInputs(event);
+      this.processSession(event, this, isInitial);
+    }
+  }
+
+  /**
+   * Arbitrates an event when inputs are partitioned. The inputs changed by the
+   * event are sorted into their partitions, and each of those partitions is
+   * processed as an independent input session.
+   *
+   * @private
+   * @param {Event} event - The event emitted from the window object.
+   */
+  arbitratePartitions(event) {
+    this.state.updateAllInputs(event);
+    this.partitions.forEach(session => {
+      session.state.rejectedInputs = [];
+    });
+
+    const sessions = new Map();
+    this.state.inputs.forEach(input => {
+      if (input.current.event === event) {
+        const session = this.getPartition(input);
+        if (!sessions.has(session)) {
+          sessions.set(session, session.state.hasNoInputs());
+        }
+        session.state.trackInput(input);
+      }
+    });
+
+    // Inputs rejected by the region's state are removed from their partitions.
+    this.state.rejectedInputs.forEach(input => {
+      if (this.inputPartitions.has(input)) {
+        const session = this.inputPartitions.get(input);
+        if (!sessions.has(session)) sessions.set(session, false);
+        session.state.rejectInput(input);
+      }
+    });
+
+    sessions.forEach((isInitial, session) => {
+      session.state.updateFields(event);
+      this.processSession(event, session, isInitial);
+      if (session.state.hasNoInputs()) this.partitions.delete(session.element);
+    });
+
+    this.state.clearEndedInputs();
+  }
+
+  /**
+   * Calls the relevant gesture hooks of an input session for the given event,
+   * after its state has been updated.
+   *
+   * @private
+   * @param {Event} event - The event emitted from the window object.
+   * @param {westures-core.HeadlessRegion.Session} session - The input session.
+   * @param {boolean} isInitial - Whether this is the initial contact of the
+   * input session.
+   */
+  processSession(event, session, isInitial) {
+    this.updateActiveGestures(event, isInitial, session);
+    if (getPhase(event) === MOVE && (
+      changesButtons(event, session.state) ||
+      hasConditions(session.potentialGestures)
+    )) {
+      this.restartGestures(session);
+    }
+
+    if (session.activeGestures.size > 0) {
+      if (this.options.preventDefault) event.preventDefault();
+
+      this.evaluateHook(session.activeGestures, getPhase(event), session);
+      this.pruneClaimedGestures(session);
+    }
+
+    session.state.clearEndedInputs();
+    this.pruneActiveGestures(event, session);
+  }
+
+  /**
+   * @private
+   * @return {westures-core.HeadlessRegion.Session[]} The input sessions
+   * currently in progress, including synthetic sessions. Without partitioning,
+   * the region itself is the only session of real inputs.
+   */
+  getSessions() {
+    const synthetic = Array.from(this.syntheticSessions);
+    if (this.options.partitionInputs) {
+      return Array.from(this.partitions.values()).concat(synthetic);
+    }
+    return [this, ...synthetic];
+  }
+
+  /**
+   * Retrieves the partition to which the given input belongs, assigning the
+   * input to a partition if it does not yet belong to one. Inputs belong to
+   * the partition of the innermost element along their initial propagation
+   * path to which gestures are bound.
+   *
+   * @private
+   * @param {westures-core.Input} input - The input.
+   *
+   * @return {westures-core.HeadlessRegion.Session} The partition of the input.
+   */
+  getPartition(input) {
+    if (!this.inputPartitions.has(input)) {
+      const element = input.initialPath.find(el => {
+        return this.getGesturesByElement(el).size > 0;
+      }) || this.element;
+
+      if (!this.partitions.has(element)) {
+        const state = new State(this.element, this.options);
+        state.shareKeys(this.state);
+        this.partitions.set(element, {
+          element,
+          state,
+          potentialGestures: new Set(),
+          activeGestures:    new Set(),
+        });
+      }
+      this.inputPartitions.set(input, this.partitions.get(element));
+    }
+    return this.inputPartitions.get(input);
+  }
+
+  /**
+   * Adds the given gesture to the region.
+   *
+   * @param {westures-core.Gesture} gesture - Instantiated gesture to add.
+   */
+  addGesture(gesture) {
+    this.gestures.add(gesture);
+  }
+
+  /**
+   * Removes the given gesture from the region.
+   *
+   * @param {westures-core.Gesture} gesture - Instantiated gesture to add.
+   */
+  removeGesture(gesture) {
+    this.stopInertia([gesture]);
+    this.gestures.delete(gesture);
+    this.getSessions().forEach(session => {
+      session.potentialGestures.delete(gesture);
+      session.activeGestures.delete(gesture);
+    });
+    if (gesture.failureDependents.size > 0) gesture.fail();
+  }
+
+  /**
+   * Retrieves Gestures by their associated element.
+   *
+   * @param {Element} element - The element for which to find gestures.
+   *
+   * @return {westures-core.Gesture[]} Gestures to which the element is bound.
+   */
+  getGesturesByElement(element) {
+    return setFilter(this.gestures, gesture => gesture.element === element);
+  }
+
+  /**
+   * Remove all gestures bound to the given element.
+   *
+   * @param {Element} element - The element to unbind.
+   */
+  removeGesturesByElement(element) {
+    this.getGesturesByElement(element).forEach(g => this.removeGesture(g));
+  }
+}
+
+HeadlessRegion.DEFAULTS = {
+  partitionInputs: false,
+  penPriority:     false,
+  preventDefault:  true,
+};
+
+module.exports = HeadlessRegion;
@@ -0,0 +1,239 @@
+'use strict';
+
+const Point2D = require('./Point2D.js');
+const { INERTIA } = require('./constants.js');
+const { now } = require('./utils.js');
+
+/**
+ * The interval between frames, in milliseconds, when requestAnimationFrame is
+ * not available.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Inertia
+ */
+const FRAME_INTERVAL = 16;
+
+/**
+ * Schedules the given callback for the next animation frame, falling back to
+ * a timeout if requestAnimationFrame is not available.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Inertia
+ *
+ * @param {Function} callback - The function to call on the next frame.
+ *
+ * @return {Function} A function which cancels the scheduled callback.
+ */
+function requestFrame(callback) {
+  if (typeof requestAnimationFrame === 'function') {
+    const id = requestAnimationFrame(callback);
+    return () => cancelAnimationFrame(id);
+  }
+  const id = setTimeout(callback, FRAME_INTERVAL);
+  return () => clearTimeout(id);
+}
+
+/**
+ * Carries the motion of a gesture on after its inputs have been released. On
+ * every animation frame the velocity decays exponentially according to the
+ * gesture's 'inertiaFriction' option, and the gesture's
+ * [inertia]{@link westures-core.Gesture#inertia} hook is called. Any data
+ * returned by the hook is passed to the handler in the 'inertia' phase.
+ *
+ * The motion stops once the speed drops below the gesture's
+ * 'inertiaMinVelocity' option, once the gesture's 'inertiaMaxDuration' has
+ * passed, or once [stop]{@link westures-core.Inertia#stop} is called, at which
+ * point the recognition of the gesture ends.
+ *
+ * Inertia is created and managed by the Region, for gestures with the
+ * 'inertia' option set.
+ *
+ * @memberof westures-core
+ *
+ * @param {westures-core.Gesture} gesture - The gesture whose motion is being
+ * carried on.
+ * @param {westures-core.State} state - The state of the input session which
+ * ended.
+ * @param {westures-core.Point2D} centroid - The centroid of the inputs when
+ * they were released.
+ * @param {westures-core.Point2D} velocity - The velocity of the centroid when
+ * the inputs were released, in pixels per millisecond.
+ */
+class Inertia {
+  constructor(gesture, state, centroid, velocity) {
+    /**
+     * The gesture whose motion is being carried on.
+     *
+     * @type {westures-core.Gesture}
+     */
+    this.gesture = gesture;
+
+    /**
+     * The state of the input session which ended.
+     *
+     * @type {westures-core.State}
+     */
+    this.state = state;
+
+    /**
+     * The centroid of the inputs when they were released.
+     *
+     * @type {westures-core.Point2D}
+     */
+    this.initialCentroid = centroid;
+
+    /**
+     * The velocity of the centroid when the inputs were released, in pixels
+     * per millisecond.
+     *
+     * @type {westures-core.Point2D}
+     */
+    this.initialVelocity = velocity;
+
+    /**
+     * Where the centroid would be had the inputs carried on moving.
+     *
+     * @type {westures-core.Point2D}
+     */
+    this.centroid = centroid;
+
+    /**
+     * The change in the centroid since the previous frame.
+     *
+     * @type {westures-core.Point2D}
+     */
+    this.delta = new Point2D(0, 0);
+
+    /**
+     * The current, decayed velocity, in pixels per millisecond.
+     *
+     * @type {westures-core.Point2D}
+     */
+    this.velocity = velocity;
+
+    /**
+     * The time in milliseconds since the inputs were released.
+     *
+     * @type {number}
+     */
+    this.elapsed = 0;
+
+    /**
+     * Whether the motion is still being carried on.
+     *
+     * @type {boolean}
+     */
+    this.isRunning = false;
+
+    /**
+     * The time at which the inputs were released.
+     *
+     * @private
+     * @type {number}
+     */
+    this.startTime = 0;
+
+    /**
+     * Cancels the next scheduled frame.
+     *
+     * @private
+     * @type {Function}
+     */
+    this.cancelFrame = () => {};
+
+    /**
+     * Called once the motion stops.
+     *
+     * @private
+     * @type {Function}
+     */
+    this.onStop = () => {};
+  }
+
+  /**
+   * @return {number} The current speed, in pixels per millisecond.
+   */
+  speed() {
+    return Math.hypot(this.velocity.x, this.velocity.y);
+  }
+
+  /**
+   * Begins carrying on the motion, unless the initial speed is already below
+   * the gesture's 'inertiaMinVelocity' option.
+   *
+   * @param {Function} [onStop] - Called once the motion stops.
+   *
+   * @return {boolean} Whether the motion was started.
+   */
+  start(onStop = () => {}) {
+    if (this.speed() < this.gesture.options.inertiaMinVelocity) {
+      return false;
+    }
+    this.isRunning = true;
+    this.startTime = now();
+    this.onStop = onStop;
+    this.cancelFrame = requestFrame(() => this.step());
+    return true;
+  }
+
+  /**
+   * Stops the motion and ends the recognition of the gesture. Has no effect if
+   * the motion has already stopped.
+   */
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.cancelFrame();
+    this.gesture.endRecognition();
+    this.onStop();
+  }
+
+  /**
+   * Advances the motion to the current time and calls the gesture's inertia
+   * hook, then schedules the next frame or stops.
+   *
+   * @private
+   */
+  step() {
+    if (!this.isRunning) return;
+
+    const {
+      inertiaFriction,
+      inertiaMaxDuration,
+      inertiaMinVelocity,
+    } = this.gesture.options;
+    const elapsed = Math.min(now() - this.startTime, inertiaMaxDuration);
+    const decay = Math.exp(-inertiaFriction * elapsed);
+    const travel = inertiaFriction > 0
+      ? (1 - decay) / inertiaFriction
+      : elapsed;
+
+    const { x, y } = this.initialVelocity;
+    const centroid = new Point2D(
+      this.initialCentroid.x + x * travel,
+      this.initialCentroid.y + y * travel,
+    );
+
+    this.delta = centroid.minus(this.centroid);
+    this.centroid = centroid;
+    this.velocity = new Point2D(x * decay, y * decay);
+    this.elapsed = elapsed;
+
+    const data = this.gesture.inertia(this.state, this);
+    if (data) {
+      this.gesture.recognize(INERTIA, this.state, { centroid, ...data });
+    }
+
+    if (this.gesture.failed ||
+        elapsed >= inertiaMaxDuration ||
+        this.speed() < inertiaMinVelocity) {
+      this.stop();
+    } else {
+      this.cancelFrame = requestFrame(() => this.step());
+    }
+  }
+}
+
+module.exports = Inertia;
@@ -1,7 +1,58 @@
 'use strict';
 
+const Point2D     = require('./Point2D.js');
 const PointerData = require('./PointerData.js');
-const { getPropagationPath } = require('./utils.js');
+const {
+  fitPolynomial,
+  getPressedButtons,
+  getPropagationPath,
+} = require('./utils.js');
+
+/**
+ * Fits a polynomial of the given degree through the recent samples, treating
+ * the x and y coordinates independently. Sample times are measured relative to
+ * the most recent sample, so that the coefficients of the fit describe the
+ * motion at the time of that sample.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Input
+ *
+ * @param {westures-core.PointerData[]} samples - The samples to fit, oldest
+ * first.
+ * @param {number} degree - The degree of the polynomial to fit.
+ *
+ * @return {?Array.<number[]>} The coefficients of the fits for the x and y
+ * coordinates respectively, or null if there is no unique fit.
+ */
+function fitSamples(samples, degree) {
+  const latest = samples[samples.length - 1].time;
+  const times = samples.map(s => s.time - latest);
+  const xs = fitPolynomial(times, samples.map(s => s.point.x), degree);
+  const ys = fitPolynomial(times, samples.map(s => s.point.y), degree);
+  if (xs === null || ys === null) {
+    return null;
+  }
+  return [xs, ys];
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Input
+ *
+ * @param {Event} event - The event.
+ * @param {string} method - Either 'getCoalescedEvents' or 'getPredictedEvents'.
+ *
+ * @return {Event[]} The events returned by the given method of the event, or
+ *    an empty list if the event does not support it.
+ */
+function getRelatedEvents(event, method) {
+  if (typeof event[method] !== 'function') {
+    return [];
+  }
+  return Array.from(event[method]() || []);
+}
 
 /**
  * Tracks a single input and contains information about the current, previous,
@@ -12,20 +63,51 @@ const { getPropagationPath } = require('./utils.js');
  *
  * @param {(PointerEvent | MouseEvent | TouchEvent)} event - The input event
  * which will initialize this Input object.
- * @param {number} identifier - The identifier for this input, so that it can
- * be located in subsequent Event objects.
+ * @param {(number|string)} identifier - The identifier for this input, so that
+ * it can be located in subsequent Event objects.
+ * @param {Object} [options] - The options object.
+ * @param {number} [options.historySize=20] - The maximum number of samples to
+ * keep in the history of this input.
+ * @param {number} [options.velocityWindow=100] - The span of time, in
+ * milliseconds, preceding the current sample from which samples are used to
+ * estimate velocity and acceleration.
  */
 class Input {
-  constructor(event, identifier) {
+  constructor(event, identifier, options = {}) {
     const currentData = new PointerData(event, identifier);
 
+    /**
+     * The settings for this input, a combination of the given options and the
+     * defaults.
+     *
+     * @type {Object}
+     */
+    this.options = { ...Input.DEFAULTS, ...options };
+
+    /**
+     * The identifier for the pointer / touch / mouse button associated with
+     * this input. Inputs from a [TuioClient]{@link westures-core.TuioClient}
+     * have string identifiers.
+     *
+     * @type {(number|string)}
+     */
+    this.identifier = identifier;
+
+    /**
+     * The elements along the original event's propagation path at the time it
+     * was dispatched, in order from the innermost element outward.
+     *
+     * @type {Element[]}
+     */
+    this.initialPath = getPropagationPath(event);
+
     /**
      * The set of elements along the original event's propagation path at the
      * time it was dispatched.
      *
      * @type {WeakSet.<Element>}
      */
-    this.initialElements = new WeakSet(getPropagationPath(event));
+    this.initialElements = new WeakSet(this.initialPath);
 
     /**
      * Holds the initial data from the mousedown / touchstart / pointerdown that
@@ -50,12 +132,39 @@ class Input {
     this.previous = currentData;
 
     /**
-     * The identifier for the pointer / touch / mouse button associated with
-     * this input.
+     * The most recent pointer data for this Input, oldest first and ending
+     * with the current data. Bounded by the 'historySize' option.
      *
-     * @type {number}
+     * @type {westures-core.PointerData[]}
      */
-    this.identifier = identifier;
+    this.history = [currentData];
+
+    /**
+     * All of the samples delivered with the latest event, oldest first and
+     * ending with the current data. Browsers may coalesce several pointer
+     * samples into one event; where they report these samples through
+     * getCoalescedEvents(), each one is included here and in the history.
+     * Otherwise this only contains the current data.
+     *
+     * @type {westures-core.PointerData[]}
+     */
+    this.coalesced = [currentData];
+
+    /**
+     * Samples predicting where this input is going next, as reported by the
+     * latest event's getPredictedEvents(), in order of increasing time. Empty
+     * where the browser does not predict events.
+     *
+     * @type {westures-core.PointerData[]}
+     */
+    this.predicted = this.getPredictions(event);
+
+    /**
+     * The gesture which has claimed exclusive ownership of this input, if any.
+     *
+     * @type {?westures-core.Gesture}
+     */
+    this.claimedBy = null;
   }
 
   /**
@@ -72,6 +181,37 @@ class Input {
    */
   get startTime() { return this.initial.time; }
 
+  /**
+   * The type of device which produced this input: 'mouse', 'pen', or 'touch',
+   * or the source of a synthetic session, such as 'keyboard'.
+   *
+   * @type {string}
+   */
+  get pointerType() { return this.initial.pointerType; }
+
+  /**
+   * Whether this input was the primary pointer of its type when it began.
+   *
+   * @type {boolean}
+   */
+  get isPrimary() { return this.initial.isPrimary; }
+
+  /**
+   * The current normalized pressure of this input, between 0 and 1.
+   *
+   * @type {number}
+   */
+  get pressure() { return this.current.pressure; }
+
+  /**
+   * The buttons currently pressed on this input, identified by the values of
+   * the 'button' property of a MouseEvent: 0 for the main button, 1 for the
+   * auxiliary button, 2 for the secondary button, and so on.
+   *
+   * @type {Set.<number>}
+   */
+  get pressedButtons() { return getPressedButtons(this.current.buttons); }
+
   /**
    * @return {number} The distance between the initiating event for this input
    *    and its current event.
@@ -80,18 +220,102 @@ class Input {
     return this.initial.point.distanceTo(this.current.point);
   }
 
+  /**
+   * @return {westures-core.PointerData[]} The samples from the history which
+   *    fall within the velocity window of the current sample.
+   */
+  recentSamples() {
+    const cutoff = this.current.time - this.options.velocityWindow;
+    return this.history.filter(sample => sample.time >= cutoff);
+  }
+
+  /**
+   * Estimates the velocity of this input at the time of its current sample by
+   * fitting a line through the recent samples. As the fit accounts for the
+   * time of each sample, irregular intervals between events do not skew the
+   * estimate.
+   *
+   * @return {westures-core.Point2D} The estimated velocity, in pixels per
+   *    millisecond. Zero if there are not enough recent samples to estimate.
+   */
+  velocity() {
+    const fit = fitSamples(this.recentSamples(), 1);
+    if (fit === null) {
+      return new Point2D(0, 0);
+    }
+    return new Point2D(fit[0][1], fit[1][1]);
+  }
+
+  /**
+   * Estimates the acceleration of this input at the time of its current sample
+   * by fitting a quadratic curve through the recent samples.
+   *
+   * @return {westures-core.Point2D} The estimated acceleration, in pixels per
+   *    millisecond squared. Zero if there are not enough recent samples to
+   *    estimate.
+   */
+  acceleration() {
+    const fit = fitSamples(this.recentSamples(), 2);
+    if (fit === null) {
+      return new Point2D(0, 0);
+    }
+    return new Point2D(2 * fit[0][2], 2 * fit[1][2]);
+  }
+
+  /**
+   * @return {westures-core.PointerData} The latest predicted sample, or the
+   *    current data if there are no predictions.
+   */
+  predictedData() {
+    if (this.predicted.length === 0) {
+      return this.current;
+    }
+    return this.predicted[this.predicted.length - 1];
+  }
+
+  /**
+   * @private
+   * @param {Event} event - The latest event for this input.
+   *
+   * @return {westures-core.PointerData[]} The predicted samples of the event.
+   */
+  getPredictions(event) {
+    return getRelatedEvents(event, 'getPredictedEvents').map(predicted => {
+      return new PointerData(predicted, this.identifier);
+    });
+  }
+
   /**
    * Saves the given raw event in PointerData form as the current data for this
-   * input, pushing the old current data into the previous slot, and tossing
-   * out the old previous data.
+   * input, pushing the old current data into the previous slot. The samples
+   * coalesced into the event are added to the history along with the current
+   * data, tossing out the oldest samples if the history is full.
    *
    * @param {Event} event - The event object to wrap with a PointerData.
    */
   update(event) {
     this.previous = this.current;
     this.current = new PointerData(event, this.identifier);
+
+    // The last coalesced sample is the event itself.
+    const coalesced = getRelatedEvents(event, 'getCoalescedEvents');
+    const samples = coalesced.slice(0, -1).map(sample => {
+      return new PointerData(sample, this.identifier);
+    });
+    this.coalesced = [...samples, this.current];
+    this.predicted = this.getPredictions(event);
+
+    this.history.push(...this.coalesced);
+    if (this.history.length > this.options.historySize) {
+      this.history.splice(0, this.history.length - this.options.historySize);
+    }
   }
 }
 
+Input.DEFAULTS = {
+  historySize:    20,
+  velocityWindow: 100,
+};
+
 module.exports = Input;
 
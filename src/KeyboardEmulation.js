@@ -0,0 +1,231 @@
+'use strict';
+
+const Point2D          = require('./Point2D.js');
+const SyntheticSession = require('./SyntheticSession.js');
+const Transform        = require('./Transform.js');
+
+/**
+ * The motion of the virtual pointers for each action, as a function of the
+ * options. The motion is about the centroid of the virtual pointers.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.KeyboardEmulation
+ */
+const ACTIONS = {
+  panLeft:                o => Transform.translation(-o.panStep, 0),
+  panRight:               o => Transform.translation(o.panStep, 0),
+  panUp:                  o => Transform.translation(0, -o.panStep),
+  panDown:                o => Transform.translation(0, o.panStep),
+  zoomIn:                 o => Transform.scaling(o.zoomStep),
+  zoomOut:                o => Transform.scaling(1 / o.zoomStep),
+  rotateClockwise:        o => Transform.rotation(o.rotateStep),
+  rotateCounterclockwise: o => Transform.rotation(-o.rotateStep),
+};
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.KeyboardEmulation
+ *
+ * @param {object} bindings - The key bindings.
+ * @param {KeyboardEvent} event - The keyboard event.
+ *
+ * @return {?string} The action bound to the 'key' of the event, or else to its
+ *    'code', if any.
+ */
+function getAction(bindings, event) {
+  const bound = [event.key, event.code].filter(name => {
+    return Object.prototype.hasOwnProperty.call(bindings, name);
+  });
+  return bound.length > 0 ? bindings[bound[0]] : null;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.KeyboardEmulation
+ *
+ * @param {Element} element - The focused element.
+ *
+ * @return {boolean} Whether the element takes text input, in which case its
+ *    keys are left alone.
+ */
+function isEditable(element) {
+  return Boolean(element.isContentEditable) ||
+    ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName);
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.KeyboardEmulation
+ *
+ * @param {Element} element - The element.
+ *
+ * @return {westures-core.Point2D} The center of the element, in client
+ *    coordinates.
+ */
+function getCenter(element) {
+  const rect = element.getBoundingClientRect();
+  return new Point2D(rect.left + rect.width / 2, rect.top + rect.height / 2);
+}
+
+/**
+ * Emulates gestures with the keyboard, for users who cannot use a pointing
+ * device. While an element in the region has focus, the bound keys move a
+ * pair of virtual pointers placed on either side of the center of the
+ * element: the arrow keys pan, '+' and '-' zoom by moving the pointers apart
+ * or together, and '[' and ']' rotate them. The virtual pointers form a
+ * [SyntheticSession]{@link westures-core.SyntheticSession} with 'keyboard' as
+ * its source, so the gestures bound to the focused element and its ancestors
+ * see an ordinary two pointer input session.
+ *
+ * The session starts with the first bound key press and ends once no bound
+ * key has been pressed for the duration of the 'timeout' option, or is
+ * cancelled by the Escape key. Keys pressed with Ctrl, Alt or Meta, and keys
+ * pressed in text fields, are ignored.
+ *
+ * @memberof westures-core
+ *
+ * @param {westures-core.Region} region - The region whose gestures are
+ * emulated.
+ * @param {object} [options]
+ * @param {object} [options.bindings] - The action of each key, by its 'key'
+ * or 'code' value. The actions are 'panLeft', 'panRight', 'panUp', 'panDown',
+ * 'zoomIn', 'zoomOut', 'rotateClockwise', 'rotateCounterclockwise', and
+ * 'cancel'. Replaces the default bindings entirely.
+ * @param {number} [options.panStep=10] - The distance, in pixels, which a key
+ * press pans by.
+ * @param {number} [options.zoomStep=1.1] - The factor which a key press scales
+ * by.
+ * @param {number} [options.rotateStep=PI/12] - The angle, in radians, which a
+ * key press rotates by.
+ * @param {number} [options.radius=50] - The distance, in pixels, between each
+ * virtual pointer and the center of the focused element when the session
+ * starts.
+ * @param {number} [options.timeout=500] - The time, in milliseconds, after
+ * the last bound key press at which the session ends.
+ */
+class KeyboardEmulation {
+  constructor(region, options = {}) {
+    /**
+     * The region whose gestures are emulated.
+     *
+     * @type {westures-core.Region}
+     */
+    this.region = region;
+
+    /**
+     * The settings for the emulation, a combination of the given options and
+     * the defaults.
+     *
+     * @type {object}
+     */
+    this.options = { ...KeyboardEmulation.DEFAULTS, ...options };
+
+    /**
+     * The latest input session of the virtual pointers.
+     *
+     * @type {?westures-core.SyntheticSession}
+     */
+    this.session = null;
+  }
+
+  /**
+   * Moves the virtual pointers as bound to the key of the given event.
+   *
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  handleEvent(event) {
+    if (event.type !== 'keydown' ||
+        event.ctrlKey || event.altKey || event.metaKey) {
+      return;
+    }
+
+    const action = getAction(this.options.bindings, event);
+    if (action === 'cancel') {
+      if (this.session !== null) this.session.cancel(event);
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(ACTIONS, action) ||
+        !this.isTarget(event.target)) {
+      return;
+    }
+
+    const session = this.getSession(event);
+    if (session === null) return;
+
+    session.moveBy(ACTIONS[action](this.options), event);
+    session.endAfter(this.options.timeout);
+  }
+
+  /**
+   * Ends the current session, if any, unless it is on the target of the given
+   * event, and otherwise starts a new session on that target.
+   *
+   * @private
+   * @param {KeyboardEvent} event - The keyboard event.
+   *
+   * @return {?westures-core.SyntheticSession} The session on the target of
+   *    the event, or null if there are no gestures bound to the target or its
+   *    ancestors.
+   */
+  getSession(event) {
+    const { target } = event;
+    if (this.session !== null && this.session.isActive) {
+      if (this.session.element === target) return this.session;
+      this.session.end(event);
+    }
+
+    const center = getCenter(target);
+    const { radius } = this.options;
+    this.session = new SyntheticSession(this.region, target, 'keyboard');
+    this.session.start([
+      new Point2D(center.x - radius, center.y),
+      new Point2D(center.x + radius, center.y),
+    ], event);
+
+    if (this.session.potentialGestures.size === 0) {
+      this.session.cancel(event);
+      this.session = null;
+    }
+    return this.session;
+  }
+
+  /**
+   * @private
+   * @param {EventTarget} target - The target of a keyboard event.
+   *
+   * @return {boolean} Whether the target is an element within the region,
+   *    other than a text field.
+   */
+  isTarget(target) {
+    const { element } = this.region;
+    return target instanceof Element &&
+      !isEditable(target) &&
+      (typeof element.contains !== 'function' || element.contains(target));
+  }
+}
+
+KeyboardEmulation.DEFAULTS = {
+  bindings: {
+    'ArrowLeft':  'panLeft',
+    'ArrowRight': 'panRight',
+    'ArrowUp':    'panUp',
+    'ArrowDown':  'panDown',
+    '+':          'zoomIn',
+    '=':          'zoomIn',
+    '-':          'zoomOut',
+    '[':          'rotateCounterclockwise',
+    ']':          'rotateClockwise',
+    'Escape':     'cancel',
+  },
+  panStep:    10,
+  zoomStep:   1.1,
+  rotateStep: Math.PI / 12,
+  radius:     50,
+  timeout:    500,
+};
+
+module.exports = KeyboardEmulation;
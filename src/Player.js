@@ -0,0 +1,340 @@
+'use strict';
+
+const Recorder = require('./Recorder.js');
+const { STATE_KEYS } = require('./constants.js');
+const { getNodeAtIndexPath } = require('./utils.js');
+
+/**
+ * The region method to which each kind of recorded event is passed.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Player
+ */
+const METHODS = {
+  input:  'arbitrate',
+  cancel: 'cancel',
+  key:    'handleKeyboardEvent',
+};
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Player
+ *
+ * @param {(object|string)} recording - A recording, or its JSON.
+ *
+ * @return {object} The recording, once checked to be one which can be played.
+ *
+ * @throws {TypeError} If the recording is not a westures recording.
+ * @throws {RangeError} If the recording is of an unsupported version.
+ */
+function load(recording) {
+  const data = typeof recording === 'string'
+    ? JSON.parse(recording)
+    : recording;
+  if (!data || data.format !== Recorder.FORMAT || !Array.isArray(data.events)) {
+    throw new TypeError('Not a westures recording');
+  }
+  if (data.version !== Recorder.VERSION) {
+    throw new RangeError(`Unsupported recording version: ${data.version}`);
+  }
+  data.events.forEach(entry => {
+    if (!Object.prototype.hasOwnProperty.call(METHODS, entry.kind)) {
+      throw new TypeError(`Unknown kind of recorded event: ${entry.kind}`);
+    }
+  });
+  return data;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Player
+ *
+ * @param {number} time - A time, in milliseconds since the epoch.
+ *
+ * @return {number} The time as the timestamp of an event, relative to the
+ *    page's time origin where there is one.
+ */
+function getTimeStamp(time) {
+  if (typeof performance !== 'undefined' && performance.timeOrigin) {
+    return time - performance.timeOrigin;
+  }
+  return time;
+}
+
+/**
+ * Replays a recording made by a [Recorder]{@link westures-core.Recorder} into
+ * a region, either in real time or as fast as possible. Each recorded event is
+ * passed to the same region method which saw it originally, as a plain object
+ * handled by the replay [input source]{@link westures-core.inputSources.replay}
+ * which gives the recorded phase and input data. The times of the replayed
+ * events keep the intervals between the recorded events, even when replaying
+ * as fast as possible, so velocities and other timing derived from them are
+ * reproduced exactly.
+ *
+ * Replaying as fast as possible does not wait for anything driven by timers,
+ * such as inertia or the end of a keyboard emulation session.
+ *
+ * @memberof westures-core
+ *
+ * @param {westures-core.HeadlessRegion} region - The region into which to
+ * replay the recording. This can be a Region or a HeadlessRegion.
+ * @param {(object|string)} recording - The recording, or its JSON.
+ * @param {object} [options]
+ * @param {boolean} [options.realTime=true] - Whether to replay the events at
+ * the intervals at which they were recorded. Otherwise all events are replayed
+ * at once.
+ * @param {Function} [options.resolveTarget] - Finds the target of a replayed
+ * event, given the description of the target which was recorded and the
+ * region. By default, targets are found by their
+ * [index path]{@link westures-core.getNodeAtIndexPath} from the region's
+ * element.
+ *
+ * @throws {TypeError} If the recording is not a westures recording.
+ * @throws {RangeError} If the recording is of an unsupported version.
+ */
+class Player {
+  constructor(region, recording, options = {}) {
+    /**
+     * The region into which the recording is replayed.
+     *
+     * @type {westures-core.HeadlessRegion}
+     */
+    this.region = region;
+
+    /**
+     * The recording being replayed.
+     *
+     * @type {object}
+     */
+    this.recording = load(recording);
+
+    /**
+     * The settings for the player, a combination of the given options and the
+     * defaults.
+     *
+     * @type {object}
+     */
+    this.options = { ...Player.DEFAULTS, ...options };
+
+    /**
+     * The index of the next event to replay.
+     *
+     * @type {number}
+     */
+    this.position = 0;
+
+    /**
+     * The time, in milliseconds since the epoch, at which the recording
+     * started on the clock of the replayed events. Set when the first event is
+     * replayed.
+     *
+     * @private
+     * @type {?number}
+     */
+    this.origin = null;
+
+    /**
+     * The timeout for the next event, while playing in real time.
+     *
+     * @private
+     * @type {?number}
+     */
+    this.timer = null;
+
+    /**
+     * Settles the promise returned by play().
+     *
+     * @private
+     * @type {?Function}
+     */
+    this.resolve = null;
+
+    /**
+     * Rejects the promise returned by play(), if the region throws.
+     *
+     * @private
+     * @type {?Function}
+     */
+    this.reject = null;
+  }
+
+  /**
+   * Whether the player is waiting to replay the next event in real time.
+   *
+   * @type {boolean}
+   */
+  get isPlaying() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Replays the rest of the recording, from the current position.
+   *
+   * @return {Promise} Resolves when the recording has been replayed, or the
+   *    player is stopped. When replaying as fast as possible, all the events
+   *    have been replayed by the time play() returns. Rejects with the error
+   *    if the region throws while processing an event, such as from a gesture
+   *    handler, in which case the player is rewound.
+   */
+  play() {
+    this.stop();
+    const promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+
+    if (this.options.realTime) {
+      this.schedule();
+    } else {
+      try {
+        while (this.step());
+        this.stop();
+      } catch (error) {
+        this.abort(error);
+      }
+    }
+    return promise;
+  }
+
+  /**
+   * Stops replaying in real time. Playing again resumes from the next event.
+   */
+  stop() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.resolve !== null) {
+      this.resolve();
+      this.resolve = null;
+      this.reject = null;
+    }
+  }
+
+  /**
+   * Rewinds the player and rejects the promise returned by play() with the
+   * given error.
+   *
+   * @private
+   * @param {Error} error - The error thrown while replaying an event.
+   */
+  abort(error) {
+    const { reject } = this;
+    this.resolve = null;
+    this.reject = null;
+    this.rewind();
+    if (reject !== null) reject(error);
+  }
+
+  /**
+   * Stops replaying and returns to the start of the recording.
+   */
+  rewind() {
+    this.stop();
+    this.position = 0;
+    this.origin = null;
+  }
+
+  /**
+   * Replays the next event immediately.
+   *
+   * @return {boolean} Whether there was an event to replay.
+   */
+  step() {
+    const { events } = this.recording;
+    if (this.position >= events.length) return false;
+
+    const entry = events[this.position];
+    this.position += 1;
+    if (this.origin === null) this.origin = Date.now() - entry.time;
+    this.region[METHODS[entry.kind]](this.createEvent(entry));
+    return true;
+  }
+
+  /**
+   * Waits for the interval between the previous event and the next event
+   * before replaying the next event, until the end of the recording.
+   *
+   * @private
+   */
+  schedule() {
+    const { events } = this.recording;
+    if (this.position >= events.length) {
+      this.timer = null;
+      this.stop();
+      return;
+    }
+
+    const previous = events[this.position - 1];
+    const delay = previous
+      ? Math.max(0, events[this.position].time - previous.time)
+      : 0;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      try {
+        this.step();
+      } catch (error) {
+        this.abort(error);
+        return;
+      }
+      // The region's handlers may have stopped the player.
+      if (this.resolve !== null) this.schedule();
+    }, delay);
+  }
+
+  /**
+   * @private
+   * @param {object} entry - A recorded event.
+   *
+   * @return {object} The event to pass to the region.
+   */
+  createEvent(entry) {
+    const modifiers = entry.modifiers || [];
+    const target = this.options.resolveTarget(entry.target, this.region);
+    const base = {
+      replayed: true,
+      type:     entry.type,
+      phase:    entry.phase,
+      target,
+      preventDefault() {},
+    };
+    const sample = ({ time, inputs }) => {
+      const absolute = this.origin + time;
+      return {
+        ...base,
+        time:      absolute,
+        timeStamp: getTimeStamp(absolute),
+        inputs:    inputs || [],
+      };
+    };
+
+    const event = sample(entry);
+    STATE_KEYS.forEach(key => {
+      event[key] = modifiers.includes(key);
+    });
+    if (typeof entry.key === 'string') event.key = entry.key;
+    if (typeof entry.code === 'string') event.code = entry.code;
+
+    if (Array.isArray(entry.coalesced)) {
+      const coalesced = entry.coalesced.map(sample);
+      event.getCoalescedEvents = () => [...coalesced, event];
+    }
+    if (Array.isArray(entry.predicted)) {
+      const predicted = entry.predicted.map(sample);
+      event.getPredictedEvents = () => predicted;
+    }
+    return event;
+  }
+}
+
+Player.DEFAULTS = {
+  realTime: true,
+  resolveTarget(description, region) {
+    return getNodeAtIndexPath(description, region.element);
+  },
+};
+
+module.exports = Player;
@@ -1,29 +1,205 @@
 'use strict';
 
-const Point2D   = require('./Point2D.js');
-const { PHASE } = require('./constants.js');
+const Point2D      = require('./Point2D.js');
+const Transform    = require('./Transform.js');
+const inputSources = require('./inputSources.js');
+const { BUTTON_MASKS, CANCEL, END } = require('./constants.js');
+
+/**
+ * The values of the 'buttons' bitmask of a PointerEvent which correspond to the
+ * buttons of a pen, and the value of 'button' which reports the eraser.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ */
+const PEN_BUTTONS = {
+  barrel:       2,
+  eraser:       32,
+  eraserButton: 5,
+};
+
+/**
+ * The pressure reported by the Pointer Events specification for active
+ * pointers on hardware which does not measure pressure.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ */
+const DEFAULT_PRESSURE = 0.5;
 
 /**
  * @private
  * @inner
  * @memberof westures-core.PointerData
  *
- * @return {Event} The Event object which corresponds to the given identifier.
- *    Contains clientX, clientY values.
+ * @param {number} buttons - A bitmask of buttons, as in the 'buttons' property
+ * of a MouseEvent.
+ * @param {number} button - The power of two which represents the button.
+ *
+ * @return {boolean} Whether the button is set in the bitmask.
  */
-function getEventObject(event, identifier) {
+function hasButton(buttons, button) {
+  return Math.floor(buttons / button) % 2 === 1;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ *
+ * @param {(Event|Touch)} source - The object containing the pointer's data.
+ * @param {string} phase - The phase of the event.
+ *
+ * @return {number} The bitmask of pressed buttons. For events which do not
+ *    report it, such as touches, the button which caused the event (or the main
+ *    button) is assumed to be pressed until the pointer is released.
+ */
+function getButtons(source, phase) {
+  if (typeof source.buttons === 'number') {
+    return source.buttons;
+  }
+  if (phase === END || phase === CANCEL) {
+    return 0;
+  }
+  return BUTTON_MASKS[source.button] || BUTTON_MASKS[0];
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ *
+ * @param {Event} event - The original event.
+ * @param {(Event|Touch)} source - The object containing the pointer's data.
+ *
+ * @return {string} The type of device which produced the pointer: 'mouse',
+ *    'pen', or 'touch'.
+ */
+function getPointerType(event, source) {
+  if (typeof source.pointerType === 'string' && source.pointerType !== '') {
+    return source.pointerType;
+  }
   if (event.changedTouches) {
-    return Array.from(event.changedTouches).find(touch => {
-      return touch.identifier === identifier;
-    });
+    return source.touchType === 'stylus' ? 'pen' : 'touch';
+  }
+  return 'mouse';
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ *
+ * @param {Event} event - The original event.
+ * @param {(Event|Touch)} source - The object containing the pointer's data.
+ * @param {number} identifier - The identifier of the pointer.
+ *
+ * @return {boolean} Whether the pointer is the primary pointer of its type.
+ *    For touches, this is the first touch which is still on the surface.
+ */
+function getIsPrimary(event, source, identifier) {
+  if (typeof source.isPrimary === 'boolean') {
+    return source.isPrimary;
+  }
+  if (event.touches && event.touches.length > 0) {
+    return event.touches[0].identifier === identifier;
+  }
+  return true;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ *
+ * @param {(Event|Touch)} source - The object containing the pointer's data.
+ * @param {string} phase - The phase of the event.
+ *
+ * @return {number} The normalized pressure of the pointer, between 0 and 1.
+ *    Touch force is used where available. Otherwise, pointers which are in
+ *    contact have the default pressure of 0.5, and released pointers have none.
+ */
+function getPressure(source, phase) {
+  if (typeof source.pressure === 'number') {
+    return source.pressure;
+  }
+  if (phase === END || phase === CANCEL) {
+    return 0;
+  }
+  if (typeof source.force === 'number' && source.force > 0) {
+    return source.force;
   }
-  return event;
+  return DEFAULT_PRESSURE;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ *
+ * @param {(Event|Touch)} source - The object containing the pointer's data.
+ *
+ * @return {number[]} The tilt of the pointer in degrees, along the x and y
+ *    axes. Converted from the altitude and azimuth angles of a stylus Touch if
+ *    necessary.
+ */
+function getTilt(source) {
+  if (typeof source.tiltX === 'number') {
+    return [source.tiltX, source.tiltY];
+  }
+  if (typeof source.altitudeAngle === 'number') {
+    const altitude = source.altitudeAngle;
+    const azimuth = source.azimuthAngle || 0;
+    const tiltX = Math.atan2(
+      Math.cos(azimuth) * Math.cos(altitude),
+      Math.sin(altitude),
+    );
+    const tiltY = Math.atan2(
+      Math.sin(azimuth) * Math.cos(altitude),
+      Math.sin(altitude),
+    );
+    return [tiltX * 180 / Math.PI, tiltY * 180 / Math.PI];
+  }
+  return [0, 0];
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.PointerData
+ *
+ * @param {(Event|Touch)} source - The object containing the pointer's data.
+ *
+ * @return {number[]} The width and height of the pointer's contact geometry,
+ *    in pixels. Derived from the radii of a Touch if necessary.
+ */
+function getContactSize(source) {
+  if (typeof source.width === 'number') {
+    return [source.width, source.height];
+  }
+  if (typeof source.radiusX === 'number') {
+    return [2 * source.radiusX, 2 * source.radiusY];
+  }
+  return [1, 1];
 }
 
 /**
  * Low-level storage of pointer data based on incoming data from an interaction
  * event.
  *
+ * The phase, the point, and the object holding the pointer's data are given by
+ * the [input source]{@link westures-core.inputSources} of the event.
+ *
+ * The point is stored in client (viewport) coordinates. Page coordinates, and
+ * coordinates local to any element, are computed when first requested and
+ * then remembered, so they reflect the layout at the time of that request.
+ *
+ * Pen and contact geometry data are taken from PointerEvents, or from Touch
+ * objects where they provide it. Otherwise they are given the defaults which
+ * the Pointer Events specification uses for devices without such sensors.
+ *
  * @memberof westures-core
  *
  * @param {Event} event - The event object being wrapped.
@@ -31,7 +207,8 @@ function getEventObject(event, identifier) {
  */
 class PointerData {
   constructor(event, identifier) {
-    const { clientX, clientY } = getEventObject(event, identifier);
+    const inputSource = inputSources.find(event);
+    const source = inputSource.getPointer(event, identifier);
 
     /**
      * The original event object.
@@ -46,22 +223,190 @@ class PointerData {
      *
      * @type {string}
      */
-    this.type = PHASE[event.type];
+    this.type = inputSource.getPhase(event);
 
     /**
-     * The timestamp of the event in milliseconds elapsed since January 1, 1970,
-     * 00:00:00 UTC.
+     * The timestamp of the event in milliseconds, as given by its input
+     * source. For browser events, this is the time elapsed since January 1,
+     * 1970, 00:00:00 UTC.
      *
      * @type {number}
      */
-    this.time = Date.now();
+    this.time = inputSource.getTime(event);
 
     /**
      * The (x,y) coordinate of the event, wrapped in a Point2D.
      *
      * @type {westures-core.Point2D}
      */
-    this.point = new Point2D(clientX, clientY);
+    this.point = inputSource.getPoint(event, identifier);
+
+    /**
+     * The type of device which produced the pointer: 'mouse', 'pen', or
+     * 'touch', or the source of a synthetic session, such as 'keyboard'.
+     *
+     * @type {string}
+     */
+    this.pointerType = getPointerType(event, source);
+
+    /**
+     * Whether this is the primary pointer of its type, such as the first
+     * finger to touch the screen.
+     *
+     * @type {boolean}
+     */
+    this.isPrimary = getIsPrimary(event, source, identifier);
+
+    /**
+     * The normalized pressure of the pointer, between 0 and 1.
+     *
+     * @type {number}
+     */
+    this.pressure = getPressure(source, this.type);
+
+    /**
+     * The normalized tangential (barrel) pressure of a pen, between -1 and 1.
+     *
+     * @type {number}
+     */
+    this.tangentialPressure = source.tangentialPressure || 0;
+
+    const [tiltX, tiltY] = getTilt(source);
+
+    /**
+     * The angle, in degrees between -90 and 90, between the y-z plane and the
+     * plane containing the pen's axis and the y axis.
+     *
+     * @type {number}
+     */
+    this.tiltX = tiltX;
+
+    /**
+     * The angle, in degrees between -90 and 90, between the x-z plane and the
+     * plane containing the pen's axis and the x axis.
+     *
+     * @type {number}
+     */
+    this.tiltY = tiltY;
+
+    /**
+     * The clockwise rotation of a pen about its own axis, in degrees between 0
+     * and 359.
+     *
+     * @type {number}
+     */
+    this.twist = source.twist || 0;
+
+    const [width, height] = getContactSize(source);
+
+    /**
+     * The width of the pointer's contact geometry, in pixels.
+     *
+     * @type {number}
+     */
+    this.width = width;
+
+    /**
+     * The height of the pointer's contact geometry, in pixels.
+     *
+     * @type {number}
+     */
+    this.height = height;
+
+    /**
+     * The buttons which are pressed, as a bitmask in the format of the
+     * 'buttons' property of a MouseEvent.
+     *
+     * @type {number}
+     */
+    this.buttons = getButtons(source, this.type);
+
+    /**
+     * Whether the barrel button of a pen is pressed.
+     *
+     * @type {boolean}
+     */
+    this.barrelButton = this.pointerType === 'pen' &&
+      hasButton(this.buttons, PEN_BUTTONS.barrel);
+
+    /**
+     * Whether the eraser end of a pen is in use.
+     *
+     * @type {boolean}
+     */
+    this.eraser = this.pointerType === 'pen' && (
+      hasButton(this.buttons, PEN_BUTTONS.eraser) ||
+      source.button === PEN_BUTTONS.eraserButton
+    );
+
+    /**
+     * The page coordinates reported by the event, if any.
+     *
+     * @private
+     * @type {?westures-core.Point2D}
+     */
+    this.reportedPagePoint = typeof source.pageX === 'number'
+      ? new Point2D(source.pageX, source.pageY)
+      : null;
+
+    /**
+     * The points local to elements which have been requested so far.
+     *
+     * @private
+     * @type {WeakMap.<Element, ?westures-core.Point2D>}
+     */
+    this.localPoints = new WeakMap();
+  }
+
+  /**
+   * The (x,y) coordinate of the event relative to the whole document, which
+   * includes the scroll offset of the page. Without a window, as in a
+   * [HeadlessRegion]{@link westures-core.HeadlessRegion}, there is no scroll
+   * offset and this is the same as the point in client coordinates.
+   *
+   * @type {westures-core.Point2D}
+   */
+  get pagePoint() {
+    if (this.reportedPagePoint === null) {
+      this.reportedPagePoint = typeof window === 'undefined'
+        ? this.point.clone()
+        : new Point2D(
+          this.point.x + window.pageXOffset,
+          this.point.y + window.pageYOffset,
+        );
+    }
+    return this.reportedPagePoint;
+  }
+
+  /**
+   * Computes the (x,y) coordinate of the event in the local coordinate space of
+   * the given element, with the origin at the top left corner of its border
+   * box. Any CSS transforms on the element and its ancestors are inverted, so
+   * the point is measured along the element's own (possibly rotated and
+   * scaled) axes.
+   *
+   * Anything which is not a DOM element, such as the window, or the target of
+   * a [HeadlessRegion]{@link westures-core.HeadlessRegion}, has no transform,
+   * so the point is the same as in client coordinates.
+   *
+   * @see westures-core.Transform.fromElement
+   *
+   * @param {(Element|Window|Document|*)} element - The element.
+   *
+   * @return {?westures-core.Point2D} The local point, or null if the element
+   *    has been scaled down to nothing.
+   */
+  localPoint(element) {
+    if (typeof Element === 'undefined' || !(element instanceof Element)) {
+      return this.point.clone();
+    }
+    if (!this.localPoints.has(element)) {
+      const transform = Transform.fromElement(element);
+      this.localPoints.set(element, transform.isInvertible()
+        ? transform.invert().apply(this.point)
+        : null);
+    }
+    return this.localPoints.get(element);
   }
 }
 
@@ -0,0 +1,311 @@
+'use strict';
+
+const PointerData  = require('./PointerData.js');
+const inputSources = require('./inputSources.js');
+const { STATE_KEYS } = require('./constants.js');
+const { getIndexPath, getPropagationPath } = require('./utils.js');
+
+/**
+ * The methods of an event which give its samples, by the name under which
+ * they are recorded.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Recorder
+ */
+const SAMPLE_METHODS = {
+  coalesced: 'getCoalescedEvents',
+  predicted: 'getPredictedEvents',
+};
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Recorder
+ *
+ * @param {*} node - A node along the propagation path of an event.
+ *
+ * @return {string} A readable description of the node, such as
+ *    'div#canvas.active'.
+ */
+function describeNode(node) {
+  if (typeof window !== 'undefined' && node === window) {
+    return 'window';
+  }
+  if (typeof node.tagName === 'string') {
+    const id = node.id ? `#${node.id}` : '';
+    const classes = Array.from(node.classList || [])
+      .map(name => `.${name}`)
+      .join('');
+    return node.tagName.toLowerCase() + id + classes;
+  }
+  if (typeof node.nodeName === 'string') return node.nodeName;
+  if (typeof node.name === 'string') return node.name;
+  return String(node);
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Recorder
+ *
+ * @param {Event} event - An event.
+ * @param {object} source - The input source of the event.
+ *
+ * @return {object[]} The data of the inputs changed by the event, as read by
+ *    PointerData, with their identifiers and their points in client
+ *    coordinates.
+ */
+function serializeInputs(event, source) {
+  if (!source.accepts(event)) return [];
+  return source.getIdentifiers(event).map(identifier => {
+    const data = new PointerData(event, identifier);
+    return {
+      identifier,
+      clientX:            data.point.x,
+      clientY:            data.point.y,
+      pointerType:        data.pointerType,
+      isPrimary:          data.isPrimary,
+      buttons:            data.buttons,
+      pressure:           data.pressure,
+      tangentialPressure: data.tangentialPressure,
+      tiltX:              data.tiltX,
+      tiltY:              data.tiltY,
+      twist:              data.twist,
+      width:              data.width,
+      height:             data.height,
+    };
+  });
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Recorder
+ *
+ * @param {Event} event - An event.
+ * @param {string} method - Either 'getCoalescedEvents' or 'getPredictedEvents'.
+ *
+ * @return {Event[]} The events returned by the given method of the event. The
+ *    event itself, which is the last of its coalesced events, is left out.
+ */
+function getSamples(event, method) {
+  if (typeof event[method] !== 'function') return [];
+  const samples = Array.from(event[method]() || []);
+  return method === 'getCoalescedEvents' ? samples.slice(0, -1) : samples;
+}
+
+/**
+ * Records the events processed by a region, so that they can be replayed by a
+ * [Player]{@link westures-core.Player}. Every event passed to the region's
+ * arbitrate, cancel, and handleKeyboardEvent methods is serialized with its
+ * type, its time, the data of the inputs it changes, the held modifier keys,
+ * and its target and propagation path. Recordings are plain objects, which can
+ * be written as JSON and attached to bug reports or turned into tests.
+ *
+ * A recording has the following properties:<br>
+ *  - format: Always 'westures-recording'.<br>
+ *  - version: The version of the format, currently 1.<br>
+ *  - startTime: The time of the first event, in milliseconds, on the clock
+ *    of the events, or null if there are no events.<br>
+ *  - events: The recorded events, in the order in which they were
+ *    processed.<br>
+ *
+ * Each recorded event has:<br>
+ *  - kind: 'input', 'cancel', or 'key', for the region methods arbitrate,
+ *    cancel, and handleKeyboardEvent, respectively.<br>
+ *  - type: The type of the event, such as 'pointerdown'.<br>
+ *  - time: The time of the event, in milliseconds since the first event.
+ *    Events whose source gives no time, such as plain keyboard objects
+ *    passed to a headless region, take the time of the previous event.<br>
+ *  - phase: The phase of the event, if its input source is known.<br>
+ *  - inputs: The data of each input changed by the event, such as its
+ *    'identifier', 'clientX', 'clientY', 'pointerType' and 'pressure'.<br>
+ *  - coalesced, predicted: The samples coalesced into the event and predicted
+ *    to follow it, each with its 'time' and 'inputs', if there are any.<br>
+ *  - modifiers: The modifier keys held, such as 'ctrlKey'.<br>
+ *  - key, code: The key of a keyboard event.<br>
+ *  - target: The description of the event's target, made by the
+ *    'describeTarget' option.<br>
+ *  - path: A readable description of each node along the propagation path of
+ *    the event, such as 'div#canvas.active'.<br>
+ *
+ * The synthetic events of a
+ * [SyntheticSession]{@link westures-core.SyntheticSession} are not recorded.
+ * Keyboard emulation is replayed from the recorded keyboard events by the
+ * region replayed into, if it has the same 'keyboardEmulation' option. Wheel
+ * events, which the Region hands to its
+ * [WheelEmulation]{@link westures-core.WheelEmulation}, are not recorded, so
+ * wheel emulation cannot be replayed.
+ *
+ * @memberof westures-core
+ *
+ * @param {westures-core.HeadlessRegion} region - The region whose events to
+ * record. This can be a Region or a HeadlessRegion.
+ * @param {object} [options]
+ * @param {Function} [options.describeTarget] - Describes the target of an
+ * event as a value which can be written as JSON, given the target and the
+ * region. By default, targets are located by their
+ * [index path]{@link westures-core.getIndexPath} from the region's element,
+ * and targets outside of the element are described as null. Headless regions
+ * whose targets are not DOM nodes should give a description which their
+ * player's 'resolveTarget' option can find again.
+ */
+class Recorder {
+  constructor(region, options = {}) {
+    /**
+     * The region whose events are recorded.
+     *
+     * @type {westures-core.HeadlessRegion}
+     */
+    this.region = region;
+
+    /**
+     * The settings for the recorder, a combination of the given options and
+     * the defaults.
+     *
+     * @type {object}
+     */
+    this.options = { ...Recorder.DEFAULTS, ...options };
+
+    /**
+     * The recorded events.
+     *
+     * @type {object[]}
+     */
+    this.events = [];
+
+    /**
+     * The time of the first recorded event, from which the times of the
+     * recorded events are measured.
+     *
+     * @type {?number}
+     */
+    this.startTime = null;
+  }
+
+  /**
+   * Whether the recorder is currently recording the events of its region.
+   *
+   * @type {boolean}
+   */
+  get isRecording() {
+    return this.region.recorders.has(this);
+  }
+
+  /**
+   * Starts recording the events of the region. Events are added to those
+   * already recorded.
+   */
+  start() {
+    this.region.recorders.add(this);
+  }
+
+  /**
+   * Stops recording the events of the region. The recorded events are kept.
+   */
+  stop() {
+    this.region.recorders.delete(this);
+  }
+
+  /**
+   * Discards the recorded events.
+   */
+  clear() {
+    this.events = [];
+    this.startTime = null;
+  }
+
+  /**
+   * Records an event processed by the region. Called by the region itself.
+   *
+   * @private
+   * @param {string} kind - 'input', 'cancel', or 'key'.
+   * @param {Event} event - The event.
+   */
+  record(kind, event) {
+    const source = inputSources.find(event);
+    const entry = {
+      kind,
+      type:      event.type,
+      time:      this.getTime(event, source),
+      modifiers: STATE_KEYS.filter(key => Boolean(event[key])),
+      target:    this.options.describeTarget(event.target, this.region),
+      path:      getPropagationPath(event).map(describeNode),
+    };
+
+    if (source.accepts(event)) {
+      entry.phase = source.getPhase(event);
+      entry.inputs = serializeInputs(event, source);
+      Object.entries(SAMPLE_METHODS).forEach(([name, method]) => {
+        const samples = getSamples(event, method);
+        if (samples.length === 0) return;
+        entry[name] = samples.map(sample => ({
+          time:   this.getTime(sample, source),
+          inputs: serializeInputs(sample, source),
+        }));
+      });
+    }
+    if (typeof event.key === 'string') entry.key = event.key;
+    if (typeof event.code === 'string') entry.code = event.code;
+
+    this.events.push(entry);
+  }
+
+  /**
+   * @private
+   * @param {Event} event - An event.
+   * @param {object} source - The input source of the event.
+   *
+   * @return {number} The time of the event, in milliseconds since the first
+   *    recorded event.
+   */
+  getTime(event, source) {
+    const previous = this.events.length > 0
+      ? this.events[this.events.length - 1].time
+      : 0;
+    if (!source.accepts(event) && typeof event.timeStamp !== 'number') {
+      return previous;
+    }
+
+    const time = source.getTime(event);
+    if (this.startTime === null) this.startTime = time;
+    return time - this.startTime;
+  }
+
+  /**
+   * @return {object} The recording, which can be given to a
+   *    [Player]{@link westures-core.Player} as is or after a round trip
+   *    through JSON.stringify() and JSON.parse().
+   */
+  toJSON() {
+    return {
+      format:    Recorder.FORMAT,
+      version:   Recorder.VERSION,
+      startTime: this.startTime,
+      events:    this.events.slice(),
+    };
+  }
+}
+
+/**
+ * The name of the format of recordings.
+ *
+ * @type {string}
+ */
+Recorder.FORMAT = 'westures-recording';
+
+/**
+ * The version of the format of recordings which the recorder writes.
+ *
+ * @type {number}
+ */
+Recorder.VERSION = 1;
+
+Recorder.DEFAULTS = {
+  describeTarget(target, region) {
+    return getIndexPath(target, region.element);
+  },
+};
+
+module.exports = Recorder;
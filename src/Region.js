@@ -1,31 +1,45 @@
 'use strict';
 
-const State = require('./State.js');
+const HeadlessRegion    = require('./HeadlessRegion.js');
+const KeyboardEmulation = require('./KeyboardEmulation.js');
+const WheelEmulation    = require('./WheelEmulation.js');
+const inputSources      = require('./inputSources.js');
 const {
   CANCEL_EVENTS,
   KEYBOARD_EVENTS,
-  MOUSE_EVENTS,
-  POINTER_EVENTS,
-  TOUCH_EVENTS,
-
-  STATE_KEY_STRINGS,
-
-  PHASE,
-
-  CANCEL,
-  END,
-  START,
+  WHEEL_EVENTS,
 } = require('./constants.js');
-const {
-  setDifference,
-  setFilter,
-} = require('./utils.js');
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Region
+ *
+ * @param {object} options - The options of the region.
+ *
+ * @return {object[]} The input sources to which the region listens: those
+ * given in the options, or else the pointer source if pointer events are
+ * preferred and supported, or else the mouse and touch sources.
+ */
+function getInputSources(options) {
+  if (options.inputSources !== null) {
+    return options.inputSources;
+  }
+  if (options.preferPointer && window.PointerEvent) {
+    return [inputSources.pointer];
+  }
+  return [inputSources.mouse, inputSources.touch];
+}
 
 /**
  * Allows the user to specify the control region which will listen for user
- * input events.
+ * input events. The region is a thin wrapper over a
+ * [HeadlessRegion]{@link westures-core.HeadlessRegion}, which recognizes the
+ * gestures: it listens to the input events of its element and passes them
+ * along, and manages the 'touch-action' of gesture elements.
  *
  * @memberof westures-core
+ * @extends westures-core.HeadlessRegion
  *
  * @param {Element} element=window - The element which should listen to input
  * events.
@@ -34,58 +48,99 @@ const {
  * capture phase of input events. If false, uses the bubbling phase.
  * @param {boolean} [options.preferPointer=true] - If false, the region listens
  * to mouse/touch events instead of pointer events.
+ * @param {?object[]} [options.inputSources=null] - The
+ * [input sources]{@link westures-core.inputSources} to listen to. These take
+ * precedence over the registered sources for the events of this region only.
+ * Overrides 'preferPointer'.
  * @param {boolean} [options.preventDefault=true] - Whether the default
  * browser functionality should be disabled. This option should most likely be
  * ignored. Here there by dragons if set to false.
  * @param {string} [options.touchAction='none'] - Value to set the CSS
  * 'touch-action' property to on elements added to the region.
+ * @param {boolean} [options.partitionInputs=false] - Whether to partition the
+ * inputs by the element on which they started. Each input belongs to the
+ * innermost element along its propagation path to which gestures are bound.
+ * The inputs of each partition form an independent input session, with its
+ * own State and its own active gestures, so that several people can interact
+ * with different elements of the region at the same time. Cancelling an
+ * input cancels only the session of its partition, while a 'blur' of the
+ * window cancels them all. A gesture takes part in one session at a time, so
+ * gestures bound to an element shared by several partitions, such as the
+ * region's own element, only go to the first of them. Inputs which start
+ * directly on such an element while its gestures are taken get no gestures.
+ * @param {boolean} [options.penPriority=false] - Whether to ignore touch inputs
+ * while a pen is in contact, so that a hand resting on the surface while
+ * drawing does not interfere. Touch inputs which start while a pen is in
+ * contact are ignored for their whole duration, and those already in contact
+ * when a pen lands are rejected.
+ * @param {...*} [options.rejection] - The options for rejecting accidental
+ * contacts, such as palms, are passed along to the
+ * [State]{@link westures-core.State}: 'maxContactSize', 'penRejectionRadius',
+ * 'edgeRejectionMargin', 'minContactDuration', and 'rejectInput'.
+ * @param {(boolean|object)} [options.keyboardEmulation=false] - Whether to
+ * emulate gestures with the keyboard while an element in the region has
+ * focus. May be an object of options for the
+ * [KeyboardEmulation]{@link westures-core.KeyboardEmulation}.
+ * @param {(boolean|object)} [options.wheelEmulation=false] - Whether to
+ * emulate gestures with wheel events, such as trackpad pinches and scrolls.
+ * May be an object of options for the
+ * [WheelEmulation]{@link westures-core.WheelEmulation}.
  */
-class Region {
+class Region extends HeadlessRegion {
   constructor(element = window, options = {}) {
-    options = { ...Region.DEFAULTS, ...options };
+    super(element, { ...Region.DEFAULTS, ...options });
 
     /**
-     * The list of relations between elements, their gestures, and the handlers.
+     * The input sources to whose events the region listens.
      *
-     * @type {Set.<westures-core.Gesture>}
+     * @type {object[]}
      */
-    this.gestures = new Set();
+    this.inputSources = getInputSources(this.options);
 
     /**
-     * The list of active gestures for the current input session.
+     * Whether the region is currently listening for input events.
      *
-     * @type {Set.<westures-core.Gesture>}
+     * @type {boolean}
      */
-    this.activeGestures = new Set();
+    this.isActive = false;
 
     /**
-     * The base list of potentially active gestures for the current input
-     * session.
+     * The event listeners added by the region, kept so that they can be
+     * removed again.
      *
-     * @type {Set.<westures-core.Gesture>}
+     * @private
+     * @type {object[]}
      */
-    this.potentialGestures = new Set();
+    this.listeners = [];
 
     /**
-     * The element being bound to.
+     * The original 'touch-action' values of the gesture elements, from before
+     * they were overwritten by the region.
      *
-     * @type {Element}
+     * @private
+     * @type {Map.<Element, string>}
      */
-    this.element = element;
+    this.touchActions = new Map();
 
     /**
-     * The user-supplied options for the Region.
+     * The emulation of gestures with the keyboard, if enabled by the
+     * 'keyboardEmulation' option.
      *
-     * @type {object}
+     * @type {?westures-core.KeyboardEmulation}
      */
-    this.options = options;
+    this.keyboardEmulation = this.options.keyboardEmulation
+      ? new KeyboardEmulation(this, this.options.keyboardEmulation)
+      : null;
 
     /**
-     * The internal state object for a Region.  Keeps track of inputs.
+     * The emulation of gestures with wheel events, if enabled by the
+     * 'wheelEmulation' option.
      *
-     * @type {westures-core.State}
+     * @type {?westures-core.WheelEmulation}
      */
-    this.state = new State(this.element);
+    this.wheelEmulation = this.options.wheelEmulation
+      ? new WheelEmulation(this, this.options.wheelEmulation)
+      : null;
 
     // Begin operating immediately.
     this.activate();
@@ -98,6 +153,9 @@ class Region {
    * @private
    */
   activate() {
+    if (this.isActive) return;
+    this.isActive = true;
+
     /*
      * Listening to both mouse and touch comes with the difficulty that
      * preventDefault() must be called to prevent both events from iterating
@@ -112,12 +170,8 @@ class Region {
      *  https://developer.mozilla.org/en-US/docs/Web/API/Touch_events
      *  https://developer.mozilla.org/en-US/docs/Web/API/Pointer_events
      */
-    let eventNames = [];
-    if (this.options.preferPointer && window.PointerEvent) {
-      eventNames = POINTER_EVENTS;
-    } else {
-      eventNames = MOUSE_EVENTS.concat(TOUCH_EVENTS);
-    }
+    const eventNames = [];
+    this.inputSources.forEach(source => eventNames.push(...source.events));
 
     // Bind detected browser events to the region element.
     const arbitrate = this.arbitrate.bind(this);
@@ -127,149 +181,157 @@ class Region {
         once:    false,
         passive: false,
       });
+      this.listeners.push({
+        target:   this.element,
+        capture:  this.options.capture,
+        handler:  arbitrate,
+        eventName,
+      });
     });
 
+    if (this.wheelEmulation !== null) {
+      const wheel = this.wheelEmulation;
+      const handleWheelEvent = wheel.handleEvent.bind(wheel);
+      WHEEL_EVENTS.forEach(eventName => {
+        this.element.addEventListener(eventName, handleWheelEvent, {
+          capture: this.options.capture,
+          passive: false,
+        });
+        this.listeners.push({
+          target:  this.element,
+          capture: this.options.capture,
+          handler: handleWheelEvent,
+          eventName,
+        });
+      });
+    }
+
     const cancel = this.cancel.bind(this);
     CANCEL_EVENTS.forEach(eventName => {
       window.addEventListener(eventName, cancel);
+      this.listeners.push({
+        target:  window,
+        capture: false,
+        handler: cancel,
+        eventName,
+      });
     });
 
     const handleKeyboardEvent = this.handleKeyboardEvent.bind(this);
     KEYBOARD_EVENTS.forEach(eventName => {
       window.addEventListener(eventName, handleKeyboardEvent);
+      this.listeners.push({
+        target:  window,
+        capture: false,
+        handler: handleKeyboardEvent,
+        eventName,
+      });
     });
+
+    this.gestures.forEach(gesture => this.applyTouchAction(gesture.element));
   }
 
   /**
-   * Handles a cancel event. Resets the state and the active / potential gesture
-   * lists.
-   *
-   * @private
-   * @param {Event} event - The event emitted from the window object.
+   * Deactivates the region. All event listeners added by the region are
+   * removed, any gestures in progress are cancelled, and the 'touch-action'
+   * values of the gesture elements are restored. The gestures remain attached
+   * to the region, so it can be resumed by calling
+   * [reactivate]{@link westures-core.Region#reactivate}.
    */
-  cancel(event) {
-    if (this.options.preventDefault) event.preventDefault();
-    this.state.inputs.forEach(input => {
-      input.update(event);
+  deactivate() {
+    if (!this.isActive) return;
+    this.isActive = false;
+
+    this.listeners.forEach(({ target, eventName, handler, capture }) => {
+      target.removeEventListener(eventName, handler, capture);
     });
-    this.activeGestures.forEach(gesture => {
-      gesture.evaluateHook(CANCEL, this.state);
+    this.listeners = [];
+
+    this.cancelActiveGestures();
+    this.state.clearKeys();
+    this.touchActions.forEach((touchAction, element) => {
+      this.restoreTouchAction(element);
     });
-    this.state = new State(this.element);
-    this.resetActiveGestures();
   }
 
   /**
-   * Handles a keyboard event, triggering a restart of any gestures that need
-   * it.
-   *
-   * @private
-   * @param {KeyboardEvent} event - The keyboard event.
+   * Reactivates a region that was previously deactivated. Has no effect if the
+   * region is already active.
    */
-  handleKeyboardEvent(event) {
-    if (STATE_KEY_STRINGS.indexOf(event.key) >= 0) {
-      this.state.event = event;
-      const oldActiveGestures = this.activeGestures;
-      this.setActiveGestures();
-
-      setDifference(oldActiveGestures, this.activeGestures).forEach(gesture => {
-        gesture.evaluateHook(END, this.state);
-      });
-      setDifference(this.activeGestures, oldActiveGestures).forEach(gesture => {
-        gesture.evaluateHook(START, this.state);
-      });
-    }
+  reactivate() {
+    this.activate();
   }
 
   /**
-   * Resets the active gestures.
-   *
-   * @private
+   * Tears down the region completely. The region is deactivated and all of
+   * its gestures are removed. The region should not be used again afterwards.
    */
-  resetActiveGestures() {
-    this.potentialGestures = new Set();
-    this.activeGestures = new Set();
+  destroy() {
+    this.deactivate();
+    super.destroy();
   }
 
   /**
-   * Selects active gestures from the list of potentially active gestures.
+   * Sets the 'touch-action' property on the given gesture element, saving the
+   * original value so that it can be restored later.
    *
    * @private
+   * @param {Element} element - The gesture element.
    */
-  setActiveGestures() {
-    this.activeGestures = setFilter(this.potentialGestures, gesture => {
-      return gesture.isEnabled(this.state);
-    });
+  applyTouchAction(element) {
+    if (!this.touchActions.has(element)) {
+      this.touchActions.set(element, element.style.touchAction);
+    }
+    element.style.touchAction = this.options.touchAction;
   }
 
   /**
-   * Selects the potentially active gestures.
+   * Restores the original 'touch-action' property of the given element.
    *
    * @private
+   * @param {Element} element - The gesture element.
    */
-  setPotentialGestures() {
-    const input = this.state.inputs[0];
-    this.potentialGestures = setFilter(this.gestures, gesture => {
-      return input.initialElements.has(gesture.element);
-    });
+  restoreTouchAction(element) {
+    if (this.touchActions.has(element)) {
+      element.style.touchAction = this.touchActions.get(element);
+      this.touchActions.delete(element);
+    }
   }
 
   /**
-   * Selects the gestures that are active for the current input sequence.
+   * Processes an input event, finding its source among the region's own input
+   * sources before the registered ones.
    *
    * @private
    * @param {Event} event - The event emitted from the window object.
-   * @param {boolean} isInitial - Whether this is an initial contact.
    */
-  updateActiveGestures(event, isInitial) {
-    if (PHASE[event.type] === START) {
-      if (isInitial) {
-        this.setPotentialGestures();
-      }
-      this.setActiveGestures();
-    }
+  arbitrate(event) {
+    inputSources.using(this.inputSources, () => super.arbitrate(event));
   }
 
   /**
-   * Evaluates whether the current input session has completed.
+   * Handles a cancel event, finding its source among the region's own input
+   * sources before the registered ones.
    *
    * @private
    * @param {Event} event - The event emitted from the window object.
    */
-  pruneActiveGestures(event) {
-    if (PHASE[event.type] === END) {
-      if (this.state.hasNoInputs()) {
-        this.resetActiveGestures();
-      } else {
-        this.setActiveGestures();
-      }
-    }
+  cancel(event) {
+    inputSources.using(this.inputSources, () => super.cancel(event));
   }
 
   /**
-   * All input events flow through this function. It makes sure that the input
-   * state is maintained, determines which gestures to analyze based on the
-   * initial position of the inputs, calls the relevant gesture hooks, and
-   * dispatches gesture data.
+   * Handles a keyboard event, tracking the held keys, and then passes it along
+   * to the keyboard emulation, if it is enabled.
    *
    * @private
-   * @param {Event} event - The event emitted from the window object.
+   * @param {KeyboardEvent} event - The keyboard event.
    */
-  arbitrate(event) {
-    const isInitial = this.state.hasNoInputs();
-    this.state.updateAllInputs(event);
-    this.updateActiveGestures(event, isInitial);
-
-    if (this.activeGestures.size > 0) {
-      if (this.options.preventDefault) event.preventDefault();
-
-      this.activeGestures.forEach(gesture => {
-        gesture.evaluateHook(PHASE[event.type], this.state);
-      });
+  handleKeyboardEvent(event) {
+    super.handleKeyboardEvent(event);
+    if (this.keyboardEmulation !== null) {
+      this.keyboardEmulation.handleEvent(event);
     }
-
-    this.state.clearEndedInputs();
-    this.pruneActiveGestures(event);
   }
 
   /**
@@ -278,8 +340,8 @@ class Region {
    * @param {westures-core.Gesture} gesture - Instantiated gesture to add.
    */
   addGesture(gesture) {
-    gesture.element.style.touchAction = this.options.touchAction;
-    this.gestures.add(gesture);
+    if (this.isActive) this.applyTouchAction(gesture.element);
+    super.addGesture(gesture);
   }
 
   /**
@@ -288,37 +350,21 @@ class Region {
    * @param {westures-core.Gesture} gesture - Instantiated gesture to add.
    */
   removeGesture(gesture) {
-    this.gestures.delete(gesture);
-    this.potentialGestures.delete(gesture);
-    this.activeGestures.delete(gesture);
-  }
-
-  /**
-   * Retrieves Gestures by their associated element.
-   *
-   * @param {Element} element - The element for which to find gestures.
-   *
-   * @return {westures-core.Gesture[]} Gestures to which the element is bound.
-   */
-  getGesturesByElement(element) {
-    return setFilter(this.gestures, gesture => gesture.element === element);
-  }
-
-  /**
-   * Remove all gestures bound to the given element.
-   *
-   * @param {Element} element - The element to unbind.
-   */
-  removeGesturesByElement(element) {
-    this.getGesturesByElement(element).forEach(g => this.removeGesture(g));
+    super.removeGesture(gesture);
+    if (this.getGesturesByElement(gesture.element).size === 0) {
+      this.restoreTouchAction(gesture.element);
+    }
   }
 }
 
 Region.DEFAULTS = {
-  capture:        false,
-  preferPointer:  true,
-  preventDefault: true,
-  touchAction:    'none',
+  ...HeadlessRegion.DEFAULTS,
+  capture:           false,
+  inputSources:      null,
+  keyboardEmulation: false,
+  preferPointer:     true,
+  touchAction:       'none',
+  wheelEmulation:    false,
 };
 
 module.exports = Region;
@@ -1,6 +1,8 @@
 'use strict';
 
-const cascade = Symbol('cascade');
+const Point2D = require('./Point2D.js');
+const filters = require('./filters.js');
+
 const smooth = Symbol('smooth');
 
 /**
@@ -30,12 +32,139 @@ function smoothingIsApplicable(isRequested) {
   return false;
 }
 
+/**
+ * Wraps the given angle into the range [-PI, PI).
+ *
+ * @inner
+ * @memberof westures-core.Smoothable
+ *
+ * @param {number} angle - Angle in radians.
+ *
+ * @returns {number} The equivalent angle within [-PI, PI).
+ */
+function wrapAngle(angle) {
+  const turn = 2 * Math.PI;
+  return angle - turn * Math.floor((angle + Math.PI) / turn);
+}
+
+/**
+ * Applies the given function to each numeric component of the given objects,
+ * producing a new object with the components of 'b'. Components missing from
+ * 'a' are treated as zero.
+ *
+ * @inner
+ * @memberof westures-core.Smoothable
+ *
+ * @param {object} a
+ * @param {object} b
+ * @param {Function} fn - Receives the components of 'a' and 'b'.
+ *
+ * @returns {object} The object of results.
+ */
+function componentWise(a, b, fn) {
+  const result = {};
+  Object.keys(b).forEach(key => {
+    result[key] = fn(key in a ? a[key] : 0, b[key]);
+  });
+  return result;
+}
+
+/**
+ * The built-in types of smoothable data. Each type provides an 'identity'
+ * function which creates a new identity value, along with the 'average',
+ * 'interpolate', and 'distance' operations used by the filters. None of the
+ * operations modify their arguments.
+ *
+ * @memberof westures-core.Smoothable
+ * @type {object}
+ */
+const TYPES = {
+  number: {
+    identity:    () => 0,
+    average:     (a, b) => (a + b) / 2,
+    interpolate: (a, b, t) => a + (b - a) * t,
+    distance:    (a, b) => Math.abs(b - a),
+  },
+
+  point: {
+    identity:    () => new Point2D(0, 0),
+    average:     (a, b) => new Point2D((a.x + b.x) / 2, (a.y + b.y) / 2),
+    interpolate: (a, b, t) => new Point2D(
+      a.x + (b.x - a.x) * t,
+      a.y + (b.y - a.y) * t,
+    ),
+    distance: (a, b) => a.distanceTo(b),
+  },
+
+  object: {
+    identity:    () => ({}),
+    average:     (a, b) => componentWise(a, b, (x, y) => (x + y) / 2),
+    interpolate: (a, b, t) => componentWise(a, b, (x, y) => x + (y - x) * t),
+    distance:    (a, b) => {
+      const squares = componentWise(a, b, (x, y) => (y - x) ** 2);
+      return Math.sqrt(Object.values(squares).reduce((x, y) => x + y, 0));
+    },
+  },
+
+  angle: {
+    identity:    () => 0,
+    average:     (a, b) => wrapAngle(a + wrapAngle(b - a) / 2),
+    interpolate: (a, b, t) => wrapAngle(a + wrapAngle(b - a) * t),
+    distance:    (a, b) => Math.abs(wrapAngle(b - a)),
+  },
+};
+
+/**
+ * Looks up the type selected by the 'type' option.
+ *
+ * @inner
+ * @memberof westures-core.Smoothable
+ *
+ * @param {(string|object)} type - The name of a type, or a type.
+ *
+ * @returns {object} The type to use.
+ */
+function getType(type) {
+  if (typeof type !== 'string') {
+    return type;
+  }
+  if (!Object.prototype.hasOwnProperty.call(TYPES, type)) {
+    throw new TypeError(`Unknown Smoothable type: ${type}`);
+  }
+  return TYPES[type];
+}
+
+/**
+ * Creates the filter selected by the 'filter' option.
+ *
+ * @inner
+ * @memberof westures-core.Smoothable
+ *
+ * @param {(string|object)} filter - The name of a filter, or a filter.
+ *
+ * @returns {object} The filter to use.
+ */
+function createFilter(filter) {
+  if (typeof filter !== 'string') {
+    return filter;
+  }
+  if (!Object.prototype.hasOwnProperty.call(filters, filter)) {
+    throw new TypeError(`Unknown Smoothable filter: ${filter}`);
+  }
+  return filters[filter]();
+}
+
 /**
  * A Smoothable datatype is one that is capable of smoothing out a series of
- * values as they come in, one at a time, providing a more consistent series. It
- * does this by creating some inertia in the values using a cascading average.
- * (For those who are interested in such things, this effectively means that it
- * provides a practical application of Zeno's Dichotomy).
+ * values as they come in, one at a time, providing a more consistent series. By
+ * default it does this by creating some inertia in the values using a
+ * cascading average. (For those who are interested in such things, this
+ * effectively means that it provides a practical application of Zeno's
+ * Dichotomy).
+ *
+ * Other filter strategies can be selected with the 'filter' option. These take
+ * the time at which each value was sampled into account, so gestures should
+ * pass the time of the input event along with each value.
  *
  * @example
  * const x = new Smoothable({ identity: 1 });
@@ -48,22 +177,51 @@ function smoothingIsApplicable(isRequested) {
  * x.restart();
  * const g = x.next(0);   // 0.5
  *
+ * @example
+ * const y = new Smoothable({ filter: 'oneEuro' });
+ * const h = y.next(10, input.current.time);
+ *
+ * @example
+ * const z = new Smoothable({ type: 'angle', identity: Math.PI - 0.1 });
+ * const i = z.next(-Math.PI + 0.1); // -PI, rather than 0
+ *
  * @memberof westures-core
  *
  * @param {Object} [options]
  * @param {boolean} [options.applySmoothing=true] Whether to apply smoothing to
  * the data.
- * @param {*} [options.identity=0] The identity value of this smoothable data.
+ * @param {(string|object)} [options.type='number'] The type of the data being
+ * smoothed, which determines how values are combined. One of the
+ * [TYPES]{@link westures-core.Smoothable.TYPES}: 'number', 'point' (Point2D),
+ * 'object' (objects of numbers, combined component-wise), or 'angle' (angles
+ * in radians, wrapping at +/-PI). A custom type can be given as an object with
+ * the same methods as those types.
+ * @param {*} [options.identity] The identity value of this smoothable data.
+ * Defaults to the identity of the type, e.g. 0 or a Point2D at the origin.
+ * @param {(string|object)} [options.filter='cascade'] The filter strategy to
+ * use. Either the name of one of the [filters]{@link westures-core.filters}
+ * ('cascade', 'exponential', 'windowedMean', or 'oneEuro'), to use that filter
+ * with its default settings, or a filter created by one of them.
  */
 class Smoothable {
   constructor(options = {}) {
     const final_options = { ...Smoothable.DEFAULTS, ...options };
 
+    /**
+     * The type of the data being smoothed.
+     *
+     * @type {object}
+     */
+    this.type = getType(final_options.type);
+
     /**
      * The function through which smoothed emits are passed.
      *
      * @method
      * @param {*} data - The data to emit.
+     * @param {number} [time=Date.now()] - The time at which the data was
+     * sampled, in milliseconds since the epoch (e.g. the time of a
+     * PointerData).
      *
      * @return {*} The smoothed out data.
      */
@@ -75,28 +233,28 @@ class Smoothable {
     }
 
     /**
-     * The "identity" value of the data that will be smoothed.
+     * The "identity" value of the data that will be smoothed. The smoothing
+     * starts from this value, and starts from it again after a restart.
      *
      * @type {*}
-     * @default 0
      */
-    this.identity = final_options.identity;
+    this.identity = 'identity' in final_options
+      ? final_options.identity
+      : this.type.identity();
 
     /**
-     * The cascading average of outgoing values.
+     * The filter through which the data is smoothed.
      *
-     * @memberof westures-core.Smoothable
-     * @alias [@@cascade]
      * @type {object}
      */
-    this[cascade] = this.identity;
+    this.filter = createFilter(final_options.filter);
   }
 
   /**
    * Restart the Smoothable gesture.
    */
   restart() {
-    this[cascade] = this.identity;
+    this.filter.reset();
   }
 
   /**
@@ -105,32 +263,63 @@ class Smoothable {
    * @memberof westures-core.Smoothable
    * @alias [@@smooth]
    * @param {object} data - The next batch of data to emit.
+   * @param {number} [time=Date.now()] - The time at which the data was sampled.
    *
    * @return {?object}
    */
-  [smooth](data) {
-    const average = this.average(this[cascade], data);
-    this[cascade] = average;
-    return average;
+  [smooth](data, time = Date.now()) {
+    return this.filter.next(data, time, this);
   }
 
   /**
-   * Average out two values, as part of the smoothing algorithm. Override this
-   * method if the data being smoothed is not a Number.
+   * Average out two values, as part of the smoothing algorithm. Uses the
+   * 'type' of the data by default, and may be overridden for custom data.
    *
-   * @param {number} a
-   * @param {number} b
+   * @param {*} a
+   * @param {*} b
    *
-   * @return {number} The average of 'a' and 'b'
+   * @return {*} The average of 'a' and 'b'
    */
   average(a, b) {
-    return (a + b) / 2;
+    return this.type.average(a, b);
+  }
+
+  /**
+   * Interpolate linearly between two values, as part of the time-aware
+   * smoothing algorithms. Uses the 'type' of the data by default, and may be
+   * overridden for custom data.
+   *
+   * @param {*} a
+   * @param {*} b
+   * @param {number} t - The weight of 'b', between 0 and 1.
+   *
+   * @return {*} The value a fraction 't' of the way from 'a' to 'b'.
+   */
+  interpolate(a, b, t) {
+    return this.type.interpolate(a, b, t);
+  }
+
+  /**
+   * Measure the distance between two values, as part of the adaptive smoothing
+   * algorithms. Uses the 'type' of the data by default, and may be overridden
+   * for custom data.
+   *
+   * @param {*} a
+   * @param {*} b
+   *
+   * @return {number} The distance between 'a' and 'b'.
+   */
+  distance(a, b) {
+    return this.type.distance(a, b);
   }
 }
 
+Smoothable.TYPES = TYPES;
+
 Smoothable.DEFAULTS = {
   applySmoothing: true,
-  identity:       0,
+  filter:         'cascade',
+  type:           'number',
 };
 
 module.exports = Smoothable;
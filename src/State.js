@@ -4,41 +4,120 @@ const {
   CANCEL,
   END,
   MOVE,
-  PHASE,
   START,
 } = require('./constants.js');
-const Input     = require('./Input.js');
-const Point2D   = require('./Point2D.js');
+const Input        = require('./Input.js');
+const Point2D      = require('./Point2D.js');
+const Transform    = require('./Transform.js');
+const inputSources = require('./inputSources.js');
+const { getPhase } = require('./utils.js');
 
 const symbols = {
   inputs: Symbol.for('inputs'),
 };
 
 /**
- * Set of helper functions for updating inputs based on type of input.
- * Must be called with a bound 'this', via bind(), or call(), or apply().
+ * Attempts to capture the pointer with the given identifier on the element.
  *
  * @private
  * @inner
  * @memberof westure-core.State
+ *
+ * @param {Element} element - The element which should capture the pointer.
+ * @param {number} identifier - The identifier of the pointer.
  */
-const update_fns = {
-  TouchEvent: function TouchEvent(event) {
-    Array.from(event.changedTouches).forEach(touch => {
-      this.updateInput(event, touch.identifier);
-    });
-  },
+function capturePointer(element, identifier) {
+  try {
+    element.setPointerCapture(identifier);
+  } catch (e) {
+    // NOP: Optional operation failed.
+  }
+}
+
+/**
+ * Attempts to release the capture of the pointer with the given identifier.
+ *
+ * @private
+ * @inner
+ * @memberof westure-core.State
+ *
+ * @param {Element} element - The element which captured the pointer.
+ * @param {number} identifier - The identifier of the pointer.
+ */
+function releasePointer(element, identifier) {
+  try {
+    element.releasePointerCapture(identifier);
+  } catch (e) {
+    // NOP: Optional operation failed.
+  }
+}
 
-  PointerEvent: function PointerEvent(event) {
-    this.updateInput(event, event.pointerId);
-  },
+/**
+ * @private
+ * @inner
+ * @memberof westure-core.State
+ *
+ * @param {westures-core.Point2D} point - A point in client coordinates.
+ * @param {number} margin - The width of the edge, in pixels.
+ *
+ * @return {boolean} Whether the point is within the given margin of the edge
+ *    of the viewport. Without a viewport, only the top and left edges apply.
+ */
+function isNearEdge(point, margin) {
+  if (typeof window === 'undefined') {
+    return point.x < margin || point.y < margin;
+  }
+  return point.x < margin ||
+    point.y < margin ||
+    point.x > window.innerWidth - margin ||
+    point.y > window.innerHeight - margin;
+}
 
-  MouseEvent: function MouseEvent(event) {
-    if (event.button === 0) {
-      this.updateInput(event, event.button);
-    }
-  },
-};
+/**
+ * Applies the rejection policy of the given state to the given input. The
+ * built-in criteria only apply to touch inputs, as those are the ones produced
+ * by palms and stray fingers, while the 'rejectInput' option applies to all.
+ *
+ * @private
+ * @inner
+ * @memberof westure-core.State
+ *
+ * @param {westures-core.Input} input - The input to check, which has just
+ * started or been updated.
+ * @param {westures-core.State} state - The state to which the input belongs.
+ *
+ * @return {boolean} Whether the input should be rejected.
+ */
+function isRejected(input, state) {
+  const {
+    edgeRejectionMargin,
+    maxContactSize,
+    minContactDuration,
+    penRejectionRadius,
+    rejectInput,
+  } = state.options;
+
+  if (typeof rejectInput === 'function' && rejectInput(input, state)) {
+    return true;
+  }
+  if (input.pointerType !== 'touch') {
+    return false;
+  }
+
+  const { current } = input;
+  const duration = current.time - input.startTime;
+  const pens = Array.from(state[symbols.inputs].values()).filter(other => {
+    return other.pointerType === 'pen' && other.phase !== 'end';
+  });
+
+  return Math.max(current.width, current.height) > maxContactSize ||
+    (input.phase === 'end' && duration < minContactDuration) ||
+    (edgeRejectionMargin > 0 &&
+      isNearEdge(input.initial.point, edgeRejectionMargin)) ||
+    pens.some(pen => {
+      return pen.current.point.distanceTo(current.point) < penRejectionRadius;
+    });
+}
 
 /**
  * Keeps track of currently active and ending input points on the interactive
@@ -47,9 +126,28 @@ const update_fns = {
  * @memberof westures-core
  *
  * @param {Element} element - The element underpinning the associated Region.
+ * @param {object} [options] - The options object. The Region passes along its
+ * own options.
+ * @param {boolean} [options.penPriority=false] - Whether to ignore touch inputs
+ * which start while a pen is in contact, and reject those already in contact
+ * when a pen lands.
+ * @param {number} [options.maxContactSize=Infinity] - Touch inputs whose
+ * contact width or height exceeds this size, in pixels, are rejected.
+ * @param {number} [options.penRejectionRadius=0] - Touch inputs closer than
+ * this distance, in pixels, to a pen in contact are rejected.
+ * @param {number} [options.edgeRejectionMargin=0] - Touch inputs which start
+ * within this distance, in pixels, of the edge of the viewport are rejected.
+ * @param {number} [options.minContactDuration=0] - Touch inputs which end
+ * less than this many milliseconds after they started are rejected, so that
+ * they are never seen to end.
+ * @param {?Function} [options.rejectInput=null] - A predicate which receives
+ * each input, of any type, along with the state whenever the input starts or
+ * is updated, and returns true if the input should be rejected.
+ * @param {?string} [options.source=null] - The source of the inputs, if they
+ * are synthetic, such as 'keyboard'.
  */
 class State {
-  constructor(element) {
+  constructor(element, options = {}) {
     /**
      * Keep a reference to the element for the associated region.
      *
@@ -57,6 +155,30 @@ class State {
      */
     this.element = element;
 
+    /**
+     * The settings for this state, a combination of the given options and the
+     * defaults.
+     *
+     * @type {object}
+     */
+    this.options = { ...State.DEFAULTS, ...options };
+
+    /**
+     * The source of the inputs, if they are synthetic, such as 'keyboard' for
+     * keyboard emulation. Null for inputs from pointing devices.
+     *
+     * @type {?string}
+     */
+    this.source = this.options.source;
+
+    /**
+     * The inputs which were rejected while processing the latest event.
+     *
+     * @private
+     * @type {westures-core.Input[]}
+     */
+    this.rejectedInputs = [];
+
     /**
      * Keeps track of the current Input objects.
      *
@@ -96,12 +218,128 @@ class State {
      */
     this.centroid = {};
 
+    /**
+     * The centroid of the currently active points, with each point weighted
+     * by the pressure of its input. Follows the inputs which are pressed
+     * hardest, such as the fingers bearing down in a pinch. The same as the
+     * centroid if there is no pressure.
+     *
+     * @type {westures-core.Point2D}
+     */
+    this.pressureCentroid = {};
+
+    /**
+     * The mean pressure of the currently active inputs, between 0 and 1.
+     *
+     * @type {number}
+     */
+    this.averagePressure = 0;
+
+    /**
+     * The estimated velocity of the centroid, in pixels per millisecond. This
+     * is the mean of the velocities of the current inputs, including any that
+     * ended with the latest event, so it does not jump when inputs are added
+     * or removed the way that differentiating the centroid itself would.
+     *
+     * @type {westures-core.Point2D}
+     */
+    this.centroidVelocity = new Point2D(0, 0);
+
+    /**
+     * The similarity transform (translation, rotation, and scale) which best
+     * describes the movement of the active inputs since the previous update.
+     * Only inputs which were active at both updates are considered, so inputs
+     * joining or leaving do not produce spurious movement.
+     *
+     * @type {westures-core.Transform}
+     */
+    this.transform = new Transform();
+
+    /**
+     * The points of the active inputs as of the previous update, by
+     * identifier.
+     *
+     * @private
+     * @type {Map.<number, westures-core.Point2D>}
+     */
+    this.previousPoints = new Map();
+
     /**
      * The latest event that the state processed.
      *
      * @type {Event}
      */
     this.event = null;
+
+    /**
+     * The gesture which has requested that propagation be stopped, until the
+     * request is handled by the Region.
+     *
+     * @private
+     * @type {?westures-core.Gesture}
+     */
+    this.propagationStoppedBy = null;
+
+    /**
+     * The keys which are currently held down, by their 'code' (or their 'key'
+     * if the event has no code), mapped to the 'key' and 'code' values.
+     * Tracking by code ensures that keys are released even if the character
+     * they produce changes in between, such as when Shift is released first.
+     *
+     * @private
+     * @type {Map.<string, string[]>}
+     */
+    this.keys = new Map();
+  }
+
+  /**
+   * The keys which are currently held down. Each key is identified by both its
+   * 'key' value (e.g. ' ' or 'r') and its 'code' value (e.g. 'Space' or
+   * 'KeyR').
+   *
+   * @type {Set.<string>}
+   */
+  get heldKeys() {
+    const held = new Set();
+    this.keys.forEach(names => names.forEach(name => held.add(name)));
+    return held;
+  }
+
+  /**
+   * Gives the given gesture exclusive ownership of the given inputs. Other
+   * gestures will be cancelled and will not be evaluated again while any of
+   * these inputs remain.
+   *
+   * @param {westures-core.Gesture} gesture - The gesture claiming the inputs.
+   * @param {westures-core.Input[]} [inputs=this.active] - The inputs to claim.
+   */
+  claimInputs(gesture, inputs = this.active) {
+    inputs.forEach(input => {
+      input.claimedBy = gesture;
+    });
+  }
+
+  /**
+   * @param {westures-core.Gesture} gesture - The gesture to check.
+   *
+   * @return {boolean} True if any of the current inputs has been claimed by a
+   * gesture other than the given gesture.
+   */
+  isClaimedByOther(gesture) {
+    return this.inputs.some(input => {
+      return input.claimedBy !== null && input.claimedBy !== gesture;
+    });
+  }
+
+  /**
+   * Stops the input session from propagating to gestures bound to ancestors
+   * of the given gesture's element. Those gestures are cancelled and are not
+   * activated again for the rest of the input session.
+   *
+   * @param {westures-core.Gesture} gesture - The gesture stopping propagation.
+   */
+  stopPropagation(gesture) {
+    this.propagationStoppedBy = gesture;
   }
 
   /**
@@ -131,6 +369,114 @@ class State {
     return this.inputs.filter(i => i.phase !== phase);
   }
 
+  /**
+   * @param {(Element|Window|Document)} [element=this.element] - The element in
+   * whose local coordinate space to measure the points. Defaults to the
+   * element of the region.
+   *
+   * @return {westures-core.Point2D[]} The points of the active inputs, in the
+   * local coordinate space of the element.
+   */
+  getLocalPoints(element = this.element) {
+    return this.active.map(input => input.current.localPoint(element));
+  }
+
+  /**
+   * @param {(Element|Window|Document)} [element=this.element] - The element in
+   * whose local coordinate space to measure the centroid. Defaults to the
+   * element of the region.
+   *
+   * @return {?westures-core.Point2D} The centroid of the active inputs, in the
+   * local coordinate space of the element. Null if there are no active inputs
+   * or the element has been scaled down to nothing.
+   */
+  getLocalCentroid(element = this.element) {
+    const points = this.getLocalPoints(element);
+    return points.includes(null) ? null : Point2D.centroid(points);
+  }
+
+  /**
+   * @return {?westures-core.Point2D} The centroid of the active inputs in page
+   * coordinates, or null if there are no active inputs.
+   */
+  getPageCentroid() {
+    return Point2D.centroid(this.active.map(input => input.current.pagePoint));
+  }
+
+  /**
+   * @return {?westures-core.Point2D} The centroid of the points where the
+   * active inputs are predicted to be next, using the current points of any
+   * inputs without predictions. Null if there are no active inputs.
+   */
+  getPredictedCentroid() {
+    return Point2D.centroid(this.active.map(input => {
+      return input.predictedData().point;
+    }));
+  }
+
+  /**
+   * @return {boolean} True if a pen is in contact. False otherwise.
+   */
+  hasPenContact() {
+    return Array.from(this[symbols.inputs].values()).some(input => {
+      return input.pointerType === 'pen' && input.phase !== 'end';
+    });
+  }
+
+  /**
+   * @private
+   * @param {westures-core.Input} input - A newly started input.
+   *
+   * @return {boolean} True if the input should be ignored because a pen has
+   * priority.
+   */
+  isIgnored(input) {
+    return this.options.penPriority &&
+      input.pointerType === 'touch' &&
+      this.hasPenContact();
+  }
+
+  /**
+   * Updates the held keys with the given keyboard event.
+   *
+   * @private
+   * @param {KeyboardEvent} event - A 'keydown' or 'keyup' event.
+   *
+   * @return {boolean} Whether the set of held keys changed.
+   */
+  updateKeys(event) {
+    const id = event.code || event.key;
+    if (event.type === 'keyup') {
+      return this.keys.delete(id);
+    }
+    if (this.keys.has(id) && this.keys.get(id)[0] === event.key) {
+      return false;
+    }
+    this.keys.set(id, [event.key, event.code].filter(Boolean));
+    return true;
+  }
+
+  /**
+   * Releases all of the held keys, as when the window loses focus and the
+   * corresponding 'keyup' events will not be seen.
+   *
+   * @private
+   */
+  clearKeys() {
+    this.keys.clear();
+  }
+
+  /**
+   * Shares the held keys of another State, so that keyboard events tracked by
+   * either State are seen by both.
+   *
+   * @private
+   * @param {westures-core.State} other - The State whose keys to share.
+   */
+  shareKeys(other) {
+    this.keys = other.keys;
+  }
+
   /**
    * @return {boolean} True if there are no active inputs. False otherwise.
    */
@@ -138,6 +484,64 @@ class State {
     return this[symbols.inputs].size === 0;
   }
 
+  /**
+   * Releases the pointer captures held for all of the current inputs.
+   */
+  releaseCaptures() {
+    this[symbols.inputs].forEach((input, identifier) => {
+      releasePointer(this.element, identifier);
+    });
+  }
+
+  /**
+   * Tracks an input which is owned by another State, such that this State
+   * provides a view onto a subset of that State's inputs.
+   *
+   * @private
+   * @param {westures-core.Input} input - The input to track.
+   */
+  trackInput(input) {
+    this[symbols.inputs].set(input.identifier, input);
+  }
+
+  /**
+   * Removes an input and releases its pointer capture. Any further events for
+   * the input are ignored.
+   *
+   * @private
+   * @param {westures-core.Input} input - The input to remove.
+   *
+   * @return {boolean} Whether the input was tracked by this State.
+   */
+  removeInput(input) {
+    if (this[symbols.inputs].get(input.identifier) !== input) return false;
+    this[symbols.inputs].delete(input.identifier);
+    releasePointer(this.element, input.identifier);
+    return true;
+  }
+
+  /**
+   * Removes a rejected input. Any further events for the input are ignored.
+   *
+   * @private
+   * @param {westures-core.Input} input - The input to reject.
+   */
+  rejectInput(input) {
+    if (this.removeInput(input)) this.rejectedInputs.push(input);
+  }
+
+  /**
+   * Rejects the touch inputs in contact, such as a palm which landed before
+   * the pen did.
+   *
+   * @private
+   */
+  rejectTouchInputs() {
+    Array.from(this[symbols.inputs].values())
+      .filter(input => input.pointerType === 'touch')
+      .forEach(input => this.rejectInput(input));
+  }
+
   /**
    * Update the input with the given identifier using the given event.
    *
@@ -147,31 +551,31 @@ class State {
    * @param {number} identifier - The identifier of the input to update.
    */
   updateInput(event, identifier) {
-    switch (PHASE[event.type]) {
-    case START:
-      this[symbols.inputs].set(
-        identifier,
-        new Input(event, identifier),
-      );
-      try {
-        this.element.setPointerCapture(identifier);
-      } catch (e) {
-        // NOP: Optional operation failed.
+    switch (getPhase(event)) {
+    case START: {
+      const input = new Input(event, identifier);
+      if (this.isIgnored(input) || isRejected(input, this)) {
+        this.rejectedInputs.push(input);
+        break;
+      }
+      this[symbols.inputs].set(identifier, input);
+      capturePointer(this.element, identifier);
+      if (this.options.penPriority && input.pointerType === 'pen') {
+        this.rejectTouchInputs();
       }
       break;
+    }
 
     // All of 'end', 'move', and 'cancel' perform updates, hence the
     // following fall-throughs
     case END:
-      try {
-        this.element.releasePointerCapture(identifier);
-      } catch (e) {
-        // NOP: Optional operation failed.
-      }
+      releasePointer(this.element, identifier);
     case CANCEL:
     case MOVE:
       if (this[symbols.inputs].has(identifier)) {
-        this[symbols.inputs].get(identifier).update(event);
+        const input = this[symbols.inputs].get(identifier);
+        input.update(event);
+        if (isRejected(input, this)) this.rejectInput(input);
       }
       break;
 
@@ -182,12 +586,16 @@ class State {
 
   /**
    * Updates the inputs with new information based upon a new event being fired.
+   * The inputs changed by the event are identified by its
+   * [input source]{@link westures-core.inputSources}.
    *
    * @private
    * @param {Event} event - The event being captured.
    */
   updateAllInputs(event) {
-    update_fns[event.constructor.name].call(this, event);
+    this.rejectedInputs = [];
+    const identifiers = inputSources.find(event).getIdentifiers(event);
+    identifiers.forEach(identifier => this.updateInput(event, identifier));
     this.updateFields(event);
   }
 
@@ -202,9 +610,67 @@ class State {
     this.active = this.getInputsNotInPhase('end');
     this.activePoints = this.active.map(i => i.current.point);
     this.centroid = Point2D.centroid(this.activePoints);
+    this.updatePressure();
+    const velocities = this.inputs.map(i => i.velocity());
+    this.centroidVelocity = Point2D.centroid(velocities) || new Point2D(0, 0);
+    this.updateTransform();
     this.event = event;
   }
+
+  /**
+   * Updates the pressure weighted centroid and average pressure.
+   *
+   * @private
+   */
+  updatePressure() {
+    const pressures = this.active.map(input => input.pressure);
+    const total = pressures.reduce((sum, pressure) => sum + pressure, 0);
+    this.averagePressure = pressures.length > 0 ? total / pressures.length : 0;
+    if (total > 0) {
+      this.pressureCentroid = new Point2D(
+        this.active.reduce((x, input, i) => {
+          return x + input.current.point.x * pressures[i];
+        }, 0) / total,
+        this.active.reduce((y, input, i) => {
+          return y + input.current.point.y * pressures[i];
+        }, 0) / total,
+      );
+    } else {
+      this.pressureCentroid = this.centroid;
+    }
+  }
+
+  /**
+   * Updates the transform from the points of the active inputs at the
+   * previous update to their current points.
+   *
+   * @private
+   */
+  updateTransform() {
+    const from = [];
+    const to = [];
+    this.active.forEach(input => {
+      if (this.previousPoints.has(input.identifier)) {
+        from.push(this.previousPoints.get(input.identifier));
+        to.push(input.current.point);
+      }
+    });
+    this.transform = Transform.fromPointPairs(from, to);
+    this.previousPoints = new Map(this.active.map(input => {
+      return [input.identifier, input.current.point];
+    }));
+  }
 }
 
+State.DEFAULTS = {
+  penPriority:         false,
+  maxContactSize:      Infinity,
+  penRejectionRadius:  0,
+  edgeRejectionMargin: 0,
+  minContactDuration:  0,
+  rejectInput:         null,
+  source:              null,
+};
+
 module.exports = State;
 
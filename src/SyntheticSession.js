@@ -0,0 +1,312 @@
+'use strict';
+
+const Point2D   = require('./Point2D.js');
+const State     = require('./State.js');
+const Transform = require('./Transform.js');
+const { now } = require('./utils.js');
+
+/**
+ * The pressure given to the virtual pointers while they are in contact, the
+ * default of the Pointer Events specification for devices without pressure
+ * sensors.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.SyntheticSession
+ */
+const CONTACT_PRESSURE = 0.5;
+
+/**
+ * Creates a synthetic input event, as handled by the synthetic
+ * [input source]{@link westures-core.inputSources.synthetic}. The changed
+ * virtual pointers are listed in 'changedTouches', so that all of them can be
+ * updated by a single event.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.SyntheticSession
+ *
+ * @param {string} type - One of 'pointerdown', 'pointermove', 'pointerup', or
+ * 'pointercancel'.
+ * @param {westures-core.SyntheticSession} session - The session producing the
+ * event.
+ * @param {number[]} changed - The identifiers of the virtual pointers which
+ * are changed by the event.
+ * @param {?Event} sourceEvent - The event which caused the synthetic event.
+ *
+ * @return {object} The synthetic event.
+ */
+function createEvent(type, session, changed, sourceEvent) {
+  const inContact = type === 'pointerdown' || type === 'pointermove';
+  const isChanged = touch => changed.includes(touch.identifier);
+  const touches = session.points.map((point, identifier) => {
+    return {
+      identifier,
+      target:      session.element,
+      clientX:     point.x,
+      clientY:     point.y,
+      pointerType: session.source,
+      isPrimary:   identifier === 0,
+      pressure:    inContact ? CONTACT_PRESSURE : 0,
+      buttons:     inContact ? 1 : 0,
+    };
+  });
+
+  return {
+    type,
+    target:         session.element,
+    timeStamp:      sourceEvent ? sourceEvent.timeStamp : now(),
+    touches:        inContact ? touches : [],
+    changedTouches: touches.filter(isChanged),
+    synthetic:      true,
+    sourceEvent,
+    preventDefault() {
+      if (sourceEvent) sourceEvent.preventDefault();
+    },
+  };
+}
+
+/**
+ * An input session driven by virtual pointers instead of a pointing device,
+ * for emulating gestures with other kinds of input such as the keyboard. The
+ * session has its own [State]{@link westures-core.State}, which is updated
+ * with synthetic events and processed by the Region in the same way as any
+ * other input session, so the hooks of existing gestures are called as if the
+ * virtual pointers were real.
+ *
+ * The inputs of the virtual pointers have the session's source as their
+ * pointerType, and the State of the session has it as its source, which is
+ * passed to handlers as 'source'. The synthetic events passed to handlers
+ * have the event which caused them, if any, as their 'sourceEvent'.
+ *
+ * @memberof westures-core
+ *
+ * @param {westures-core.HeadlessRegion} region - The region which processes the
+ * session.
+ * @param {Element} element - The element on which the virtual pointers are
+ * placed. The gestures which take part in the session are those bound to
+ * this element and its ancestors.
+ * @param {string} source - The name of the source of the virtual pointers,
+ * such as 'keyboard'.
+ */
+class SyntheticSession {
+  constructor(region, element, source) {
+    /**
+     * The region which processes the session.
+     *
+     * @type {westures-core.HeadlessRegion}
+     */
+    this.region = region;
+
+    /**
+     * The element on which the virtual pointers are placed.
+     *
+     * @type {Element}
+     */
+    this.element = element;
+
+    /**
+     * The name of the source of the virtual pointers.
+     *
+     * @type {string}
+     */
+    this.source = source;
+
+    /**
+     * The state of the virtual pointers.
+     *
+     * @type {westures-core.State}
+     */
+    this.state = new State(region.element, { ...region.options, source });
+
+    /**
+     * The base list of potentially active gestures for the session.
+     *
+     * @type {Set.<westures-core.Gesture>}
+     */
+    this.potentialGestures = new Set();
+
+    /**
+     * The list of active gestures for the session.
+     *
+     * @type {Set.<westures-core.Gesture>}
+     */
+    this.activeGestures = new Set();
+
+    /**
+     * The current points of the virtual pointers, in client coordinates,
+     * indexed by their identifiers.
+     *
+     * @type {westures-core.Point2D[]}
+     */
+    this.points = [];
+
+    /**
+     * Cancels the scheduled end of the session, if any.
+     *
+     * @private
+     * @type {?Function}
+     */
+    this.cancelTimeout = null;
+  }
+
+  /**
+   * Whether the session is in progress, from its start until it ends or is
+   * cancelled.
+   *
+   * @type {boolean}
+   */
+  get isActive() {
+    return this.region.syntheticSessions.has(this);
+  }
+
+  /**
+   * Starts the session by placing virtual pointers at the given points. Any
+   * motion carried on by inertia from previous input sessions is stopped, as
+   * when a real input starts.
+   *
+   * @param {westures-core.Point2D[]} points - The points of the virtual
+   * pointers, in client coordinates.
+   * @param {Event} [sourceEvent] - The event which caused the session to
+   * start.
+   */
+  start(points, sourceEvent = null) {
+    if (this.isActive) return;
+    this.region.syntheticSessions.add(this);
+    this.region.stopInertia();
+    this.state.shareKeys(this.region.state);
+    this.points = points;
+    this.dispatch('pointerdown', this.identifiers(), sourceEvent);
+  }
+
+  /**
+   * Moves the virtual pointers to the given points. Only the pointers whose
+   * points have changed are updated.
+   *
+   * @param {westures-core.Point2D[]} points - The new points of the virtual
+   * pointers, in the same order as they were given to start().
+   * @param {Event} [sourceEvent] - The event which caused the movement.
+   */
+  move(points, sourceEvent = null) {
+    if (!this.isActive) return;
+    const changed = [];
+    points.forEach((point, i) => {
+      if (point.x !== this.points[i].x || point.y !== this.points[i].y) {
+        changed.push(i);
+      }
+    });
+    this.points = points;
+    if (changed.length > 0) {
+      this.dispatch('pointermove', changed, sourceEvent);
+    }
+  }
+
+  /**
+   * Moves the virtual pointers by the given transform, about their centroid.
+   * For example, a scaling moves the pointers apart or together, as in a
+   * pinch, without moving their centroid.
+   *
+   * @param {westures-core.Transform} transform - The motion of the virtual
+   * pointers, relative to their centroid.
+   * @param {Event} [sourceEvent] - The event which caused the movement.
+   */
+  moveBy(transform, sourceEvent = null) {
+    const centroid = Point2D.centroid(this.points);
+    const motion = Transform.translation(centroid.x, centroid.y)
+      .compose(transform)
+      .compose(Transform.translation(-centroid.x, -centroid.y));
+    this.move(this.points.map(point => motion.apply(point)), sourceEvent);
+  }
+
+  /**
+   * Ends the session by lifting all of the virtual pointers.
+   *
+   * @param {Event} [sourceEvent] - The event which caused the session to end.
+   */
+  end(sourceEvent = null) {
+    if (!this.isActive) return;
+    this.dispatch('pointerup', this.identifiers(), sourceEvent);
+    this.release();
+  }
+
+  /**
+   * Cancels the session, calling the "cancel" hook of its active gestures.
+   *
+   * @param {Event} [sourceEvent] - The event which caused the cancellation.
+   */
+  cancel(sourceEvent = null) {
+    if (!this.isActive) return;
+    const event = createEvent(
+      'pointercancel',
+      this,
+      this.identifiers(),
+      sourceEvent,
+    );
+    this.state.updateAllInputs(event);
+    this.region.cancelGestures(this.activeGestures, this);
+    this.release();
+  }
+
+  /**
+   * Schedules the session to end after the given time, unless this is called
+   * again in the meantime. Useful for sources which have no natural end, such
+   * as repeated key presses.
+   *
+   * @param {number} timeout - The time to wait, in milliseconds.
+   */
+  endAfter(timeout) {
+    this.clearTimeout();
+    const id = setTimeout(() => this.end(), timeout);
+    this.cancelTimeout = () => clearTimeout(id);
+  }
+
+  /**
+   * Detaches the session from the region without calling any hooks, for when
+   * the region has already cancelled the session's gestures.
+   *
+   * @private
+   */
+  release() {
+    this.clearTimeout();
+    this.region.syntheticSessions.delete(this);
+  }
+
+  /**
+   * Cancels the scheduled end of the session, if any.
+   *
+   * @private
+   */
+  clearTimeout() {
+    if (this.cancelTimeout !== null) {
+      this.cancelTimeout();
+      this.cancelTimeout = null;
+    }
+  }
+
+  /**
+   * @private
+   * @return {number[]} The identifiers of all of the virtual pointers.
+   */
+  identifiers() {
+    return this.points.map((point, identifier) => identifier);
+  }
+
+  /**
+   * Updates the state with a synthetic event and has the region process the
+   * session.
+   *
+   * @private
+   * @param {string} type - The type of the synthetic event.
+   * @param {number[]} changed - The identifiers of the virtual pointers which
+   * are changed by the event.
+   * @param {?Event} sourceEvent - The event which caused the synthetic event.
+   */
+  dispatch(type, changed, sourceEvent) {
+    const event = createEvent(type, this, changed, sourceEvent);
+    const isInitial = this.state.hasNoInputs();
+    this.state.updateAllInputs(event);
+    this.region.processSession(event, this, isInitial);
+  }
+}
+
+module.exports = SyntheticSession;
@@ -0,0 +1,422 @@
+'use strict';
+
+const Point2D = require('./Point2D.js');
+const { getElementSize } = require('./utils.js');
+
+/**
+ * Determinants smaller than this are treated as zero when inverting.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Transform
+ */
+const SINGULAR_EPSILON = 1e-12;
+
+/**
+ * Matches the computed value of the CSS 'transform' property.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Transform
+ */
+const CSS_MATRIX = /^matrix(3d)?\((.*)\)$/u;
+
+/**
+ * Matches a CSS number followed by an optional unit.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Transform
+ */
+const CSS_DIMENSION = /^([-+]?[\d.]+(?:e[-+]?\d+)?)([a-z%]*)$/iu;
+
+/**
+ * The number of radians in each CSS angle unit.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.Transform
+ */
+const ANGLE_UNITS = {
+  deg:  Math.PI / 180,
+  grad: Math.PI / 200,
+  rad:  1,
+  turn: 2 * Math.PI,
+};
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Transform
+ *
+ * @param {string} value - The computed value of the CSS 'rotate' property.
+ *
+ * @return {number} The angle of rotation about the z axis, in radians. Zero
+ *    for rotations about any other axis, which have no 2D equivalent.
+ */
+function parseRotate(value) {
+  const tokens = String(value).trim()
+    .split(/\s+/u);
+  const axis = tokens.slice(0, -1).join(' ');
+  const match = CSS_DIMENSION.exec(tokens[tokens.length - 1]);
+  if (!match || !(match[2] in ANGLE_UNITS)) return 0;
+  if (axis !== '' && axis !== 'z' && axis !== '0 0 1') return 0;
+  return parseFloat(match[1]) * ANGLE_UNITS[match[2]];
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Transform
+ *
+ * @param {string} value - The computed value of the CSS 'scale' property.
+ *
+ * @return {number[]} The scale factors along the x and y axes.
+ */
+function parseScale(value) {
+  const factors = String(value).trim()
+    .split(/\s+/u)
+    .map(token => {
+      const match = CSS_DIMENSION.exec(token);
+      if (!match) return 1;
+      const factor = parseFloat(match[1]);
+      return match[2] === '%' ? factor / 100 : factor;
+    });
+  return [factors[0], factors.length > 1 ? factors[1] : factors[0]];
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.Transform
+ *
+ * @param {Element} element
+ *
+ * @return {?Element} The parent of the element, crossing shadow root
+ *    boundaries, or null at the root of the document.
+ */
+function getParentElement(element) {
+  if (element.parentElement) return element.parentElement;
+  const root = element.getRootNode ? element.getRootNode() : null;
+  return root && root.host ? root.host : null;
+}
+
+/**
+ * A 2D affine transformation, stored as the matrix:
+ *
+ * <pre>
+ * | a c e |
+ * | b d f |
+ * | 0 0 1 |
+ * </pre>
+ *
+ * The parameters are in the same order as those of the CSS matrix() function,
+ * so a point (x, y) is transformed to (ax + cy + e, bx + dy + f). Transforms
+ * are immutable; every operation returns a new Transform.
+ *
+ * @memberof westures-core
+ *
+ * @param {number} [a=1]
+ * @param {number} [b=0]
+ * @param {number} [c=0]
+ * @param {number} [d=1]
+ * @param {number} [e=0]
+ * @param {number} [f=0]
+ */
+class Transform {
+  constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+    /**
+     * @type {number}
+     */
+    this.a = a;
+
+    /**
+     * @type {number}
+     */
+    this.b = b;
+
+    /**
+     * @type {number}
+     */
+    this.c = c;
+
+    /**
+     * @type {number}
+     */
+    this.d = d;
+
+    /**
+     * @type {number}
+     */
+    this.e = e;
+
+    /**
+     * @type {number}
+     */
+    this.f = f;
+  }
+
+  /**
+   * The translation of the origin. For a transform computed from moving
+   * inputs, note that this is generally not the change in their centroid, as
+   * it includes the effects of rotation and scale about the origin.
+   *
+   * @type {westures-core.Point2D}
+   */
+  get translation() {
+    return new Point2D(this.e, this.f);
+  }
+
+  /**
+   * The angle of rotation, in radians. Only meaningful for transforms without
+   * skew or non-uniform scale, such as similarity transforms.
+   *
+   * @type {number}
+   */
+  get rotation() {
+    return Math.atan2(this.b, this.a);
+  }
+
+  /**
+   * The scale factor. Only meaningful for transforms without skew or
+   * non-uniform scale, such as similarity transforms.
+   *
+   * @type {number}
+   */
+  get scale() {
+    return Math.hypot(this.a, this.b);
+  }
+
+  /**
+   * @return {number} The determinant of the linear part of the transform.
+   */
+  determinant() {
+    return this.a * this.d - this.b * this.c;
+  }
+
+  /**
+   * @return {boolean} Whether the transform can be inverted.
+   */
+  isInvertible() {
+    return Math.abs(this.determinant()) >= SINGULAR_EPSILON;
+  }
+
+  /**
+   * @return {westures-core.Transform} This transform without its translation.
+   */
+  linear() {
+    return new Transform(this.a, this.b, this.c, this.d, 0, 0);
+  }
+
+  /**
+   * Applies the transform to the given point.
+   *
+   * @param {westures-core.Point2D} point - The point to transform.
+   *
+   * @return {westures-core.Point2D} A new, transformed point.
+   */
+  apply(point) {
+    return new Point2D(
+      this.a * point.x + this.c * point.y + this.e,
+      this.b * point.x + this.d * point.y + this.f,
+    );
+  }
+
+  /**
+   * Composes this transform with another. The resulting transform applies
+   * 'other' first, and then this transform. That is, it is the matrix product
+   * (this * other).
+   *
+   * @example
+   * // Accumulate the transforms of successive updates.
+   * total = state.transform.compose(total);
+   *
+   * @param {westures-core.Transform} other - The transform to apply first.
+   *
+   * @return {westures-core.Transform} The composed transform.
+   */
+  compose(other) {
+    return new Transform(
+      this.a * other.a + this.c * other.b,
+      this.b * other.a + this.d * other.b,
+      this.a * other.c + this.c * other.d,
+      this.b * other.c + this.d * other.d,
+      this.a * other.e + this.c * other.f + this.e,
+      this.b * other.e + this.d * other.f + this.f,
+    );
+  }
+
+  /**
+   * @throws {Error} If the transform is not invertible.
+   *
+   * @return {westures-core.Transform} The inverse of this transform.
+   */
+  invert() {
+    if (!this.isInvertible()) {
+      throw new Error('Transform is not invertible');
+    }
+    const det = this.determinant();
+    return new Transform(
+      this.d / det,
+      -this.b / det,
+      -this.c / det,
+      this.a / det,
+      (this.c * this.f - this.d * this.e) / det,
+      (this.b * this.e - this.a * this.f) / det,
+    );
+  }
+
+  /**
+   * @param {number} x - The translation along the x axis.
+   * @param {number} y - The translation along the y axis.
+   *
+   * @return {westures-core.Transform} A translation.
+   */
+  static translation(x, y) {
+    return new Transform(1, 0, 0, 1, x, y);
+  }
+
+  /**
+   * @param {number} angle - The angle of rotation, in radians.
+   *
+   * @return {westures-core.Transform} A rotation about the origin.
+   */
+  static rotation(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return new Transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  /**
+   * @param {number} sx - The scale factor along the x axis.
+   * @param {number} [sy=sx] - The scale factor along the y axis.
+   *
+   * @return {westures-core.Transform} A scaling about the origin.
+   */
+  static scaling(sx, sy = sx) {
+    return new Transform(sx, 0, 0, sy, 0, 0);
+  }
+
+  /**
+   * Parses the computed value of the CSS 'transform' property. Only the 2D
+   * components of a matrix3d() are used.
+   *
+   * @param {string} value - A value such as 'none' or 'matrix(1, 0, 0, 1, 0,
+   * 0)', as returned by getComputedStyle().
+   *
+   * @return {westures-core.Transform} The transform. The identity if the value
+   * is 'none' or cannot be parsed.
+   */
+  static fromCSS(value) {
+    const match = CSS_MATRIX.exec(String(value).trim());
+    if (!match) {
+      return new Transform();
+    }
+
+    const v = match[2].split(',').map(Number);
+    if (match[1]) {
+      return new Transform(v[0], v[1], v[4], v[5], v[12], v[13]);
+    }
+    return new Transform(v[0], v[1], v[2], v[3], v[4], v[5]);
+  }
+
+  /**
+   * Computes the transform from the local coordinate space of the given
+   * element to client (viewport) coordinates. The local coordinate space has
+   * its origin at the top left corner of the element's border box, and is
+   * scaled and rotated along with the element by the computed CSS transforms
+   * (the 'transform', 'rotate', and 'scale' properties) of the element and all
+   * of its ancestors. Scrolling and layout are accounted for through the
+   * element's bounding client rect. Perspective and 3D transforms are not
+   * supported.
+   *
+   * @param {(Element|Window|Document)} element - The element. For the window
+   * or the document, client coordinates are used as the local coordinates.
+   *
+   * @return {westures-core.Transform} The local to client transform.
+   */
+  static fromElement(element) {
+    if (typeof Element === 'undefined' || !(element instanceof Element)) {
+      return new Transform();
+    }
+
+    let linear = new Transform();
+    for (let node = element; node; node = getParentElement(node)) {
+      const style = window.getComputedStyle(node);
+      const [sx, sy] = style.scale ? parseScale(style.scale) : [1, 1];
+      const angle = style.rotate ? parseRotate(style.rotate) : 0;
+      const own = Transform.rotation(angle)
+        .compose(Transform.scaling(sx, sy))
+        .compose(Transform.fromCSS(style.transform));
+      linear = own.linear().compose(linear);
+    }
+
+    // The bounding rect contains the transformed corners of the border box,
+    // which pins down the translation.
+    const rect = element.getBoundingClientRect();
+    const { width, height } = getElementSize(element);
+    const corners = [
+      new Point2D(0, 0),
+      new Point2D(width, 0),
+      new Point2D(0, height),
+      new Point2D(width, height),
+    ].map(corner => linear.apply(corner));
+    const minX = Math.min(...corners.map(corner => corner.x));
+    const minY = Math.min(...corners.map(corner => corner.y));
+
+    return Transform.translation(rect.left - minX, rect.top - minY)
+      .compose(linear);
+  }
+
+  /**
+   * Computes the similarity transform (translation, rotation, and uniform
+   * scale) which best maps the given points onto their counterparts, in the
+   * least squares sense. With a single pair of points, only a translation can
+   * be determined. With no points, the identity is returned.
+   *
+   * @param {westures-core.Point2D[]} from - The original points.
+   * @param {westures-core.Point2D[]} to - The transformed points, in the same
+   * order as their originals.
+   *
+   * @return {westures-core.Transform} The best fitting similarity transform.
+   */
+  static fromPointPairs(from, to) {
+    if (from.length === 0) {
+      return new Transform();
+    }
+
+    const fromCentroid = Point2D.centroid(from);
+    const toCentroid = Point2D.centroid(to);
+
+    // With the points centered on their centroids, the optimal rotation and
+    // scale follow from the sums of their dot and cross products.
+    let dot = 0;
+    let cross = 0;
+    let norm = 0;
+    from.forEach((point, i) => {
+      const p = point.minus(fromCentroid);
+      const q = to[i].minus(toCentroid);
+      dot += p.x * q.x + p.y * q.y;
+      cross += p.x * q.y - p.y * q.x;
+      norm += p.x * p.x + p.y * p.y;
+    });
+
+    let a = 1;
+    let b = 0;
+    if (norm > SINGULAR_EPSILON) {
+      a = dot / norm;
+      b = cross / norm;
+    }
+
+    return new Transform(
+      a,
+      b,
+      -b,
+      a,
+      toCentroid.x - (a * fromCentroid.x - b * fromCentroid.y),
+      toCentroid.y - (b * fromCentroid.x + a * fromCentroid.y),
+    );
+  }
+}
+
+module.exports = Transform;
@@ -0,0 +1,470 @@
+'use strict';
+
+const Point2D   = require('./Point2D.js');
+const Transform = require('./Transform.js');
+const osc       = require('./osc.js');
+const { getElementSize, now } = require('./utils.js');
+
+/**
+ * The name of the source of messages which do not name their source, as is
+ * the case for TUIO 1.1 trackers which send no 'source' message.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.TuioClient
+ */
+const DEFAULT_SOURCE = 'default';
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.TuioClient
+ *
+ * @param {*} data - The data of a message from the transport.
+ *
+ * @return {boolean} Whether the data is binary, and so must be decoded.
+ */
+function isBinary(data) {
+  return ArrayBuffer.isView(data) ||
+    Object.prototype.toString.call(data) === '[object ArrayBuffer]';
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.TuioClient
+ *
+ * @param {(Element|Window)} element - The element onto which the surface of
+ * the tracker is projected.
+ *
+ * @return {Function} A function which maps a point in the normalized
+ *    coordinates of the tracker, from (0, 0) at the top left of the surface to
+ *    (1, 1) at the bottom right, to client coordinates.
+ */
+function getProjection(element) {
+  if (typeof Element === 'undefined' || !(element instanceof Element)) {
+    return (x, y) => new Point2D(x * window.innerWidth, y * window.innerHeight);
+  }
+
+  const { width, height } = getElementSize(element);
+  const transform = Transform.fromElement(element);
+  return (x, y) => transform.apply(new Point2D(x * width, y * height));
+}
+
+/**
+ * Creates the event for a change to a cursor, as handled by the TUIO
+ * [input source]{@link westures-core.inputSources.tuio}.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.TuioClient
+ *
+ * @param {string} type - One of 'tuiodown', 'tuiomove', or 'tuioup'.
+ * @param {object} cursor - The cursor.
+ *
+ * @return {object} The event.
+ */
+function createEvent(type, cursor) {
+  const inContact = type !== 'tuioup';
+  const event = {
+    type,
+    target:      cursor.target,
+    timeStamp:   now(),
+    pointerId:   cursor.identifier,
+    clientX:     cursor.point.x,
+    clientY:     cursor.point.y,
+    pointerType: 'touch',
+    isPrimary:   cursor.isPrimary,
+    buttons:     inContact ? 1 : 0,
+    tuio:        {
+      source:    cursor.source,
+      sessionId: cursor.sessionId,
+      x:         cursor.x,
+      y:         cursor.y,
+    },
+    preventDefault() {},
+  };
+  if (typeof cursor.pressure === 'number') {
+    event.pressure = inContact ? cursor.pressure : 0;
+  }
+  return event;
+}
+
+/**
+ * Receives input from TUIO trackers, such as the cameras of multitouch tables,
+ * and feeds it to a Region. TUIO 1.1 cursors ('/tuio/2Dcur') and TUIO 2.0
+ * pointers ('/tuio2/ptr') are supported, and other profiles are ignored.
+ *
+ * The client does not open connections itself. Messages reach it from any
+ * transport, such as a WebSocket bridge, either through
+ * [connect]{@link westures-core.TuioClient#connect} or by passing them to
+ * [receive]{@link westures-core.TuioClient#receive} directly. Each message is
+ * an OSC packet, given as binary data or as already decoded by
+ * [osc.parse]{@link westures-core.osc.parse}.
+ *
+ * At the end of each frame of a tracker, the cursors which have appeared,
+ * moved, and disappeared become the start, move, and end of inputs to the
+ * Region. Their normalized coordinates are projected onto the 'element'
+ * option, which defaults to the region's element, and each new cursor is
+ * hit-tested against the document so that it reaches the gestures of the
+ * element under it, just as a touch would. Cursors which land outside of the
+ * region are ignored. The inputs have 'touch' as their pointer type, and
+ * identifiers which name the source of the cursor, so that they do not
+ * collide with each other or with other pointers.
+ *
+ * @memberof westures-core
+ *
+ * @param {westures-core.Region} region - The region which receives the input.
+ * @param {object} [options]
+ * @param {?(Element|Window)} [options.element=null] - The element onto which
+ * the surface of the trackers is projected. If null, the region's element is
+ * used.
+ * @param {?Function} [options.onError=null] - Called with the error and the
+ * packet when a packet received from a connected transport is not well-formed
+ * OSC. The packet is dropped either way.
+ */
+class TuioClient {
+  constructor(region, options = {}) {
+    /**
+     * The region which receives the input.
+     *
+     * @type {westures-core.Region}
+     */
+    this.region = region;
+
+    /**
+     * The settings for the client, a combination of the given options and the
+     * defaults.
+     *
+     * @type {object}
+     */
+    this.options = { ...TuioClient.DEFAULTS, ...options };
+
+    /**
+     * The cursors currently on the surface, by their identifiers.
+     *
+     * @type {Map.<string, object>}
+     */
+    this.cursors = new Map();
+
+    /**
+     * The transport to which the client is connected, if any.
+     *
+     * @type {?object}
+     */
+    this.transport = null;
+
+    /**
+     * The frames currently being received, by the name of their source.
+     *
+     * @private
+     * @type {Map.<string, object>}
+     */
+    this.frames = new Map();
+
+    /**
+     * The listeners added to the transport, by event type.
+     *
+     * @private
+     * @type {object}
+     */
+    this.listeners = {};
+  }
+
+  /**
+   * Receives messages from the given transport until disconnected. The
+   * transport can be an EventTarget which emits 'message' events with the
+   * packet as their 'data', such as a WebSocket or a MessagePort, or an event
+   * emitter which emits 'message' events with the packet as their argument,
+   * such as a WebSocket of the 'ws' package. WebSockets should have their
+   * 'binaryType' set to 'arraybuffer'. When the transport emits 'close', all
+   * of its cursors are removed.
+   *
+   * @param {object} transport - The transport.
+   */
+  connect(transport) {
+    this.disconnect();
+
+    const isTarget = typeof transport.addEventListener === 'function';
+    this.transport = transport;
+    this.listeners = {
+      message: isTarget
+        ? event => this.receiveFromTransport(event.data)
+        : data => this.receiveFromTransport(data),
+      close: () => this.clear(),
+    };
+
+    Object.entries(this.listeners).forEach(([type, listener]) => {
+      if (isTarget) {
+        transport.addEventListener(type, listener);
+      } else {
+        transport.on(type, listener);
+      }
+    });
+  }
+
+  /**
+   * Stops receiving messages from the connected transport, if any, and removes
+   * all cursors.
+   */
+  disconnect() {
+    const { transport } = this;
+    if (transport === null) return;
+
+    Object.entries(this.listeners).forEach(([type, listener]) => {
+      if (typeof transport.removeEventListener === 'function') {
+        transport.removeEventListener(type, listener);
+      } else {
+        transport.removeListener(type, listener);
+      }
+    });
+    this.transport = null;
+    this.listeners = {};
+    this.clear();
+  }
+
+  /**
+   * Receives a single OSC packet. Frames are completed by their last message,
+   * which is 'fseq' in TUIO 1.1 and '/tuio2/alv' in TUIO 2.0, at which point
+   * their changes are passed to the region.
+   *
+   * @param {(ArrayBuffer|ArrayBufferView|object)} packet - The packet, as
+   * binary data or already decoded.
+   *
+   * @throws {TypeError} If binary data is not a well-formed OSC packet.
+   */
+  receive(packet) {
+    const decoded = isBinary(packet) ? osc.parse(packet) : packet;
+    const context = { source: DEFAULT_SOURCE };
+    osc.getMessages(decoded).forEach(message => {
+      this.handleMessage(message, context);
+    });
+  }
+
+  /**
+   * Receives a packet from the connected transport. Packets which cannot be
+   * decoded are dropped and passed to the 'onError' option, rather than thrown
+   * on the transport.
+   *
+   * @private
+   * @param {(ArrayBuffer|ArrayBufferView|object)} packet - The packet, as
+   * binary data or already decoded.
+   */
+  receiveFromTransport(packet) {
+    let decoded = packet;
+    if (isBinary(packet)) {
+      try {
+        decoded = osc.parse(packet);
+      } catch (error) {
+        if (this.options.onError !== null) this.options.onError(error, packet);
+        return;
+      }
+    }
+    this.receive(decoded);
+  }
+
+  /**
+   * Removes all cursors, ending their inputs, and forgets any frames which are
+   * only partially received.
+   */
+  clear() {
+    this.frames.clear();
+    Array.from(this.cursors.values()).forEach(cursor => {
+      this.removeCursor(cursor);
+    });
+  }
+
+  /**
+   * @private
+   * @param {object} message - A decoded OSC message.
+   * @param {object} context - The state carried between the messages of a
+   * packet, which holds the name of the current source.
+   */
+  handleMessage({ address, args }, context) {
+    switch (address) {
+    case '/tuio/2Dcur':
+      this.handleCursorMessage(args, context);
+      break;
+    case '/tuio2/frm':
+      context.source = args.length > 3 ? String(args[3]) : DEFAULT_SOURCE;
+      break;
+    case '/tuio2/ptr':
+      this.getFrame(context.source).updates.set(args[0], {
+        x:        args[3],
+        y:        args[4],
+        pressure: args[8],
+      });
+      break;
+    case '/tuio2/alv':
+      this.getFrame(context.source).alive = args;
+      this.commitFrame(context.source);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Handles a message of the TUIO 1.1 '/tuio/2Dcur' profile.
+   *
+   * @private
+   * @param {Array} args - The arguments of the message, the first of which is
+   * its command.
+   * @param {object} context - The state carried between the messages of a
+   * packet.
+   */
+  handleCursorMessage(args, context) {
+    const [command, ...params] = args;
+    switch (command) {
+    case 'source':
+      context.source = String(params[0]);
+      break;
+    case 'alive':
+      this.getFrame(context.source).alive = params;
+      break;
+    case 'set':
+      this.getFrame(context.source).updates.set(params[0], {
+        x: params[1],
+        y: params[2],
+      });
+      break;
+    case 'fseq':
+      this.commitFrame(context.source);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} source - The name of a source.
+   *
+   * @return {object} The frame being received from the source, with the
+   *    session ids of its 'alive' cursors, if given yet, and the 'updates' to
+   *    its cursors by session id.
+   */
+  getFrame(source) {
+    if (!this.frames.has(source)) {
+      this.frames.set(source, { alive: null, updates: new Map() });
+    }
+    return this.frames.get(source);
+  }
+
+  /**
+   * Applies the frame received from the given source. Cursors which are no
+   * longer alive are removed first, then updated cursors are moved, and
+   * finally new cursors are added.
+   *
+   * @private
+   * @param {string} source - The name of the source.
+   */
+  commitFrame(source) {
+    const { alive, updates } = this.getFrame(source);
+    this.frames.delete(source);
+
+    const isAlive = sessionId => alive === null || alive.includes(sessionId);
+    Array.from(this.cursors.values()).forEach(cursor => {
+      if (cursor.source === source && !isAlive(cursor.sessionId)) {
+        this.removeCursor(cursor);
+      }
+    });
+
+    const project = getProjection(this.options.element || this.region.element);
+    const added = [];
+    updates.forEach((update, sessionId) => {
+      if (!isAlive(sessionId)) return;
+      const identifier = `tuio:${source}:${sessionId}`;
+      if (this.cursors.has(identifier)) {
+        this.moveCursor(this.cursors.get(identifier), update, project);
+      } else {
+        added.push({ identifier, source, sessionId, update });
+      }
+    });
+    added.forEach(({ update, ...cursor }) => {
+      this.addCursor(cursor, update, project);
+    });
+  }
+
+  /**
+   * @private
+   * @param {object} cursor - The new cursor, with its identifier, source and
+   * session id.
+   * @param {object} update - The position and pressure of the cursor.
+   * @param {Function} project - Maps normalized coordinates to client
+   * coordinates.
+   */
+  addCursor(cursor, update, project) {
+    const isPrimary = Array.from(this.cursors.values()).every(other => {
+      return other.target === null;
+    });
+    Object.assign(cursor, update, { point: project(update.x, update.y) });
+    cursor.target = this.hitTest(cursor.point);
+    cursor.isPrimary = isPrimary && cursor.target !== null;
+    this.cursors.set(cursor.identifier, cursor);
+    this.dispatch('tuiodown', cursor);
+  }
+
+  /**
+   * @private
+   * @param {object} cursor - The cursor.
+   * @param {object} update - The new position and pressure of the cursor.
+   * @param {Function} project - Maps normalized coordinates to client
+   * coordinates.
+   */
+  moveCursor(cursor, update, project) {
+    if (update.x === cursor.x &&
+        update.y === cursor.y &&
+        update.pressure === cursor.pressure) {
+      return;
+    }
+    Object.assign(cursor, update, { point: project(update.x, update.y) });
+    this.dispatch('tuiomove', cursor);
+  }
+
+  /**
+   * @private
+   * @param {object} cursor - The cursor.
+   */
+  removeCursor(cursor) {
+    this.cursors.delete(cursor.identifier);
+    this.dispatch('tuioup', cursor);
+  }
+
+  /**
+   * @private
+   * @param {westures-core.Point2D} point - A point, in client coordinates.
+   *
+   * @return {?Element} The element at the point, if it is within the region.
+   */
+  hitTest(point) {
+    const target = document.elementFromPoint(point.x, point.y);
+    const { element } = this.region;
+    if (target === null ||
+        (typeof element.contains === 'function' && !element.contains(target))) {
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * Passes an event for the given cursor to the region, unless the cursor is
+   * outside of the region or the region is inactive.
+   *
+   * @private
+   * @param {string} type - The type of the event.
+   * @param {object} cursor - The cursor.
+   */
+  dispatch(type, cursor) {
+    if (cursor.target !== null && this.region.isActive) {
+      this.region.arbitrate(createEvent(type, cursor));
+    }
+  }
+}
+
+TuioClient.DEFAULTS = {
+  element: null,
+  onError: null,
+};
+
+module.exports = TuioClient;
@@ -0,0 +1,164 @@
+'use strict';
+
+const Point2D          = require('./Point2D.js');
+const SyntheticSession = require('./SyntheticSession.js');
+const Transform        = require('./Transform.js');
+
+/**
+ * The values of the 'deltaMode' property of a WheelEvent.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.WheelEmulation
+ */
+const DELTA_MODES = {
+  pixel: 0,
+  line:  1,
+  page:  2,
+};
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.WheelEmulation
+ *
+ * @param {WheelEvent} event - The wheel event.
+ * @param {number} lineHeight - The height of a line, in pixels.
+ *
+ * @return {westures-core.Point2D} The delta of the event, in pixels.
+ */
+function getPixelDelta(event, lineHeight) {
+  const delta = new Point2D(event.deltaX || 0, event.deltaY || 0);
+  switch (event.deltaMode) {
+  case DELTA_MODES.line:
+    return new Point2D(delta.x * lineHeight, delta.y * lineHeight);
+  case DELTA_MODES.page:
+    return new Point2D(
+      delta.x * window.innerWidth,
+      delta.y * window.innerHeight,
+    );
+  default:
+    return delta;
+  }
+}
+
+/**
+ * Emulates gestures with the wheel, so that trackpads and mice can drive the
+ * same gestures as touch screens. Trackpad pinches arrive as wheel events with
+ * the 'ctrlKey' property set, as does turning a mouse wheel while holding
+ * Ctrl, and are emulated as a pinch about the cursor. Other wheel events, such
+ * as two finger trackpad scrolls, are emulated as a pan.
+ *
+ * A stream of wheel events drives a pair of virtual pointers placed on either
+ * side of the cursor, which form a
+ * [SyntheticSession]{@link westures-core.SyntheticSession} with 'wheel' as its
+ * source. The gestures bound to the element under the cursor and its
+ * ancestors see an ordinary two pointer input session, in which
+ * state.transform gives the scale and translation of each wheel event. As
+ * wheel events have no start or end of their own, the session starts with the
+ * first wheel event and ends once no wheel event has arrived for the duration
+ * of the 'timeout' option.
+ *
+ * @memberof westures-core
+ *
+ * @param {westures-core.Region} region - The region whose gestures are
+ * emulated.
+ * @param {object} [options]
+ * @param {number} [options.zoomSpeed=0.01] - How quickly a pinch scales. Each
+ * pixel of vertical delta scales by a factor of exp(-zoomSpeed).
+ * @param {number} [options.lineHeight=16] - The number of pixels in a line,
+ * for wheel events which measure their delta in lines.
+ * @param {number} [options.radius=50] - The distance, in pixels, between each
+ * virtual pointer and the cursor when the session starts.
+ * @param {number} [options.timeout=200] - The time, in milliseconds, after the
+ * last wheel event at which the session ends.
+ */
+class WheelEmulation {
+  constructor(region, options = {}) {
+    /**
+     * The region whose gestures are emulated.
+     *
+     * @type {westures-core.Region}
+     */
+    this.region = region;
+
+    /**
+     * The settings for the emulation, a combination of the given options and
+     * the defaults.
+     *
+     * @type {object}
+     */
+    this.options = { ...WheelEmulation.DEFAULTS, ...options };
+
+    /**
+     * The latest input session of the virtual pointers.
+     *
+     * @type {?westures-core.SyntheticSession}
+     */
+    this.session = null;
+  }
+
+  /**
+   * Moves the virtual pointers according to the given wheel event.
+   *
+   * @param {WheelEvent} event - The wheel event.
+   */
+  handleEvent(event) {
+    const session = this.getSession(event);
+    if (session === null) return;
+
+    const delta = getPixelDelta(event, this.options.lineHeight);
+    if (event.ctrlKey) {
+      // The pinch follows the cursor, should it move during the session.
+      const scale = Math.exp(-delta.y * this.options.zoomSpeed);
+      const centroid = Point2D.centroid(session.points);
+      const motion = Transform.translation(
+        event.clientX - centroid.x,
+        event.clientY - centroid.y,
+      ).compose(Transform.scaling(scale));
+      session.moveBy(motion, event);
+    } else {
+      session.moveBy(Transform.translation(-delta.x, -delta.y), event);
+    }
+    session.endAfter(this.options.timeout);
+  }
+
+  /**
+   * Continues the current session, if any, and otherwise starts a new session
+   * at the cursor. The session stays on the element where it started, even if
+   * the content under the cursor changes as it scrolls.
+   *
+   * @private
+   * @param {WheelEvent} event - The wheel event.
+   *
+   * @return {?westures-core.SyntheticSession} The session, or null if there
+   *    are no gestures bound to the target of the event or its ancestors.
+   */
+  getSession(event) {
+    if (this.session !== null && this.session.isActive) return this.session;
+    if (!(event.target instanceof Element)) return null;
+
+    const { radius } = this.options;
+    const { clientX, clientY } = event;
+    this.session = new SyntheticSession(this.region, event.target, 'wheel');
+    this.session.start([
+      new Point2D(clientX - radius, clientY),
+      new Point2D(clientX + radius, clientY),
+    ], event);
+
+    if (this.session.potentialGestures.size === 0) {
+      this.session.cancel(event);
+      this.session = null;
+    }
+    return this.session;
+  }
+}
+
+WheelEmulation.DEFAULTS = {
+  zoomSpeed:  0.01,
+  lineHeight: 16,
+  radius:     50,
+  timeout:    200,
+};
+
+module.exports = WheelEmulation;
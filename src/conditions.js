@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * Conditions for enabling gestures, for use with the 'enableWhen' option of
+ * [Gesture]{@link westures-core.Gesture}. A condition is one of:<br>
+ *  - A function, called as condition(state, gesture), which returns true if
+ *    the gesture should be enabled.<br>
+ *  - An object of the form { and: [conditions] }, which holds if all of the
+ *    given conditions hold.<br>
+ *  - An object of the form { or: [conditions] }, which holds if any of the
+ *    given conditions hold.<br>
+ *  - An object of the form { not: condition }, which holds if the given
+ *    condition does not.<br>
+ *
+ * The functions here create common conditions, which can be combined freely
+ * with each other and with custom functions.
+ *
+ * @namespace conditions
+ * @memberof westures-core
+ */
+
+/**
+ * Evaluates a condition.
+ *
+ * @memberof westures-core.conditions
+ *
+ * @param {(Function|object)} condition - The condition to evaluate.
+ * @param {westures-core.State} state - The input state of the session.
+ * @param {westures-core.Gesture} gesture - The gesture being enabled.
+ *
+ * @throws {TypeError} If the condition is not a function or one of the
+ * supported objects.
+ *
+ * @return {boolean} Whether the condition holds.
+ */
+function evaluate(condition, state, gesture) {
+  if (typeof condition === 'function') {
+    return Boolean(condition(state, gesture));
+  }
+  if (condition && Array.isArray(condition.and)) {
+    return condition.and.every(c => evaluate(c, state, gesture));
+  }
+  if (condition && Array.isArray(condition.or)) {
+    return condition.or.some(c => evaluate(c, state, gesture));
+  }
+  if (condition && 'not' in condition) {
+    return !evaluate(condition.not, state, gesture);
+  }
+  throw new TypeError(`Invalid gesture condition: ${condition}`);
+}
+
+/**
+ * @memberof westures-core.conditions
+ *
+ * @param {...(Function|object)} conditions - The conditions to combine.
+ *
+ * @return {object} A condition which holds if all of the given conditions
+ * hold.
+ */
+function and(...conditions) {
+  return { and: conditions };
+}
+
+/**
+ * @memberof westures-core.conditions
+ *
+ * @param {...(Function|object)} conditions - The conditions to combine.
+ *
+ * @return {object} A condition which holds if any of the given conditions
+ * hold.
+ */
+function or(...conditions) {
+  return { or: conditions };
+}
+
+/**
+ * @memberof westures-core.conditions
+ *
+ * @param {(Function|object)} condition - The condition to negate.
+ *
+ * @return {object} A condition which holds if the given condition does not.
+ */
+function not(condition) {
+  return { not: condition };
+}
+
+/**
+ * @memberof westures-core.conditions
+ *
+ * @param {...string} types - The allowed pointer types: 'mouse', 'pen', or
+ * 'touch'.
+ *
+ * @return {Function} A condition which holds if there are active inputs, and
+ * all of them are of one of the given types.
+ */
+function pointerType(...types) {
+  return state => state.active.length > 0 && state.active.every(input => {
+    return types.includes(input.pointerType);
+  });
+}
+
+/**
+ * @memberof westures-core.conditions
+ *
+ * @param {number} min - The minimum number of active inputs.
+ * @param {number} [max=min] - The maximum number of active inputs.
+ *
+ * @return {Function} A condition which holds if the number of active inputs
+ * is between the given bounds, inclusive.
+ */
+function inputCount(min, max = min) {
+  return state => state.active.length >= min && state.active.length <= max;
+}
+
+/**
+ * As conditions are only evaluated when input events arrive, the elapsed time
+ * is measured up to the latest event, not to the current time.
+ *
+ * @memberof westures-core.conditions
+ *
+ * @param {number} duration - The time, in milliseconds.
+ *
+ * @return {Function} A condition which holds once the given time has elapsed
+ * since the first of the current inputs started.
+ */
+function elapsed(duration) {
+  return state => {
+    if (state.inputs.length === 0) return false;
+    const start = Math.min(...state.inputs.map(input => input.startTime));
+    const latest = Math.max(...state.inputs.map(input => input.current.time));
+    return latest - start >= duration;
+  };
+}
+
+/**
+ * @memberof westures-core.conditions
+ *
+ * @param {string} name - The name of the attribute.
+ * @param {string} [value] - The required value of the attribute. If not
+ * given, any value will do.
+ *
+ * @return {Function} A condition which holds if the gesture's element has the
+ * given attribute.
+ */
+function attribute(name, value) {
+  return (state, gesture) => {
+    const { element } = gesture;
+    if (typeof element.getAttribute !== 'function') return false;
+    const actual = element.getAttribute(name);
+    return typeof value === 'undefined' ? actual !== null : actual === value;
+  };
+}
+
+module.exports = {
+  and,
+  attribute,
+  elapsed,
+  evaluate,
+  inputCount,
+  not,
+  or,
+  pointerType,
+};
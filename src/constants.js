@@ -60,6 +60,40 @@ const TOUCH_EVENTS = [
   'touchstart',
 ];
 
+/**
+ * List of the types of the events produced by a
+ * [TuioClient]{@link westures-core.TuioClient} as TUIO cursors are added,
+ * updated, and removed.
+ *
+ * @memberof westures-core
+ * @type {string[]}
+ */
+const TUIO_EVENTS = [
+  'tuiodown',
+  'tuiomove',
+  'tuioup',
+];
+
+/**
+ * List of wheel events to listen to, if wheel emulation is enabled.
+ *
+ * @memberof westures-core
+ * @type {string[]}
+ */
+const WHEEL_EVENTS = [
+  'wheel',
+];
+
+/**
+ * The value in the 'buttons' bitmask of a MouseEvent for each value of its
+ * 'button' property: 0 (main, usually left), 1 (auxiliary, usually middle),
+ * 2 (secondary, usually right), 3 (back), and 4 (forward).
+ *
+ * @memberof westures-core
+ * @type {number[]}
+ */
+const BUTTON_MASKS = [1, 4, 2, 8, 16];
+
 /**
  * List of potentially state-modifying keys.
  * Entries are: ['altKey', 'ctrlKey', 'metaKey', 'shiftKey'].
@@ -104,6 +138,15 @@ const CANCEL = 'cancel';
  */
 const END = 'end';
 
+/**
+ * The inertia phase, which follows the end phase of gestures with inertia
+ * enabled while their momentum decays.
+ *
+ * @memberof westures-core
+ * @type {string}
+ */
+const INERTIA = 'inertia';
+
 /**
  * The move phase.
  *
@@ -120,6 +163,75 @@ const MOVE = 'move';
  */
 const START = 'start';
 
+/**
+ * The state of a gesture recognizer which has not (yet) been recognized during
+ * the current input session, but which might be.
+ *
+ * @memberof westures-core
+ * @type {string}
+ */
+const POSSIBLE = 'possible';
+
+/**
+ * The state of a gesture recognizer which was recognized for the first time
+ * during the current input session.
+ *
+ * @memberof westures-core
+ * @type {string}
+ */
+const BEGAN = 'began';
+
+/**
+ * The state of a gesture recognizer which has been recognized again since it
+ * began.
+ *
+ * @memberof westures-core
+ * @type {string}
+ */
+const CHANGED = 'changed';
+
+/**
+ * The state of a gesture recognizer whose recognition has finished.
+ *
+ * @memberof westures-core
+ * @type {string}
+ */
+const ENDED = 'ended';
+
+/**
+ * The state of a gesture recognizer which will not be recognized during the
+ * current input session.
+ *
+ * @memberof westures-core
+ * @type {string}
+ */
+const FAILED = 'failed';
+
+/**
+ * The state of a gesture recognizer whose input session was cancelled.
+ *
+ * @memberof westures-core
+ * @type {string}
+ */
+const CANCELLED = 'cancelled';
+
+/**
+ * List of the states of a gesture recognizer.
+ * Entries are: ['possible', 'began', 'changed', 'ended', 'failed',
+ * 'cancelled'].
+ *
+ * @memberof westures-core
+ * @type {string[]}
+ */
+const RECOGNIZER_STATES = [
+  POSSIBLE,
+  BEGAN,
+  CHANGED,
+  ENDED,
+  FAILED,
+  CANCELLED,
+];
+
 /**
  * Object that normalizes the names of window events to be either of type start,
  * move, end, or cancel.
@@ -135,14 +247,17 @@ const PHASE = {
   mouseup:       END,
   pointerup:     END,
   touchend:      END,
+  tuioup:        END,
 
   mousemove:   MOVE,
   pointermove: MOVE,
   touchmove:   MOVE,
+  tuiomove:    MOVE,
 
   mousedown:   START,
   pointerdown: START,
   touchstart:  START,
+  tuiodown:    START,
 };
 
 module.exports = {
@@ -151,15 +266,28 @@ module.exports = {
   MOUSE_EVENTS,
   POINTER_EVENTS,
   TOUCH_EVENTS,
+  TUIO_EVENTS,
+  WHEEL_EVENTS,
+
+  BUTTON_MASKS,
 
   STATE_KEYS,
   STATE_KEY_STRINGS,
 
   CANCEL,
   END,
+  INERTIA,
   MOVE,
   START,
 
+  BEGAN,
+  CANCELLED,
+  CHANGED,
+  ENDED,
+  FAILED,
+  POSSIBLE,
+  RECOGNIZER_STATES,
+
   PHASE,
 };
 
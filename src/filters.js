@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Filter strategies for [Smoothable]{@link westures-core.Smoothable} data.
+ * Each function here creates a new filter, which must not be shared between
+ * Smoothables, as it keeps track of the values that have passed through it.
+ *
+ * A filter is an object with two methods:<br>
+ *  - next(data, time, smoothable): Returns the filtered value of 'data', which
+ *    was sampled at 'time' (in milliseconds). The filter uses the methods of
+ *    'smoothable' to combine values, so that any type of data can be filtered,
+ *    and starts from the smoothable's identity value.<br>
+ *  - reset(): Forgets all previous values, such that the next value is
+ *    filtered as though it were the first.<br>
+ *
+ * @namespace filters
+ * @memberof westures-core
+ */
+
+/**
+ * The sampling interval, in milliseconds, which is assumed for the first value
+ * passed through a time-aware filter, as the actual interval is unknown.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.filters
+ */
+const NOMINAL_INTERVAL = 1000 / 60;
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.filters
+ *
+ * @param {number} cutoff - The cutoff frequency, in hertz.
+ * @param {number} interval - The sampling interval, in milliseconds.
+ *
+ * @return {number} The smoothing factor of a first order low-pass filter with
+ *    the given cutoff frequency.
+ */
+function lowPassFactor(cutoff, interval) {
+  const timeConstant = 1000 / (2 * Math.PI * cutoff);
+  return 1 / (1 + timeConstant / interval);
+}
+
+/**
+ * Creates a filter which averages each value with the previous output, the
+ * original behaviour of Smoothable. It does not consider the timing of the
+ * values. Uses the smoothable's 'average' method.
+ *
+ * @memberof westures-core.filters
+ *
+ * @return {object} The filter.
+ */
+function cascade() {
+  let output = null;
+  let started = false;
+
+  return {
+    next(data, time, smoothable) {
+      const previous = started ? output : smoothable.identity;
+      output = smoothable.average(previous, data);
+      started = true;
+      return output;
+    },
+
+    reset() {
+      started = false;
+    },
+  };
+}
+
+/**
+ * Creates an exponential moving average filter. The smoothing factor is
+ * adjusted to the actual interval between values, so that irregular sampling
+ * does not change how quickly the output follows the input.
+ *
+ * @memberof westures-core.filters
+ *
+ * @param {object} [options]
+ * @param {number} [options.alpha=0.5] - The weight given to a new value which
+ * arrives one 'interval' after the previous value. Between 0 and 1; higher
+ * values follow the input more closely.
+ * @param {number} [options.interval=1000/60] - The sampling interval, in
+ * milliseconds, to which 'alpha' applies.
+ *
+ * @return {object} The filter.
+ */
+function exponential({ alpha = 0.5, interval = NOMINAL_INTERVAL } = {}) {
+  let output = null;
+  let previousTime = null;
+
+  return {
+    next(data, time, smoothable) {
+      if (previousTime === null) {
+        output = smoothable.interpolate(smoothable.identity, data, alpha);
+      } else {
+        const elapsed = Math.max(time - previousTime, 0);
+        const weight = 1 - (1 - alpha) ** (elapsed / interval);
+        output = smoothable.interpolate(output, data, weight);
+      }
+      previousTime = time;
+      return output;
+    },
+
+    reset() {
+      previousTime = null;
+    },
+  };
+}
+
+/**
+ * Creates a filter which outputs the mean of the values within a sliding
+ * window of time.
+ *
+ * @memberof westures-core.filters
+ *
+ * @param {object} [options]
+ * @param {number} [options.duration=100] - The length of the window, in
+ * milliseconds, preceding the latest value.
+ * @param {number} [options.size=Infinity] - The maximum number of values in
+ * the window.
+ *
+ * @return {object} The filter.
+ */
+function windowedMean({ duration = 100, size = Infinity } = {}) {
+  let samples = [];
+
+  return {
+    next(data, time, smoothable) {
+      samples.push({ data, time });
+      samples = samples.filter(s => s.time > time - duration);
+      if (samples.length > size) {
+        samples = samples.slice(samples.length - size);
+      }
+
+      // Accumulate the mean incrementally using the smoothable's methods.
+      return samples.reduce((mean, sample, index) => {
+        return smoothable.interpolate(mean, sample.data, 1 / (index + 1));
+      }, smoothable.identity);
+    },
+
+    reset() {
+      samples = [];
+    },
+  };
+}
+
+/**
+ * Creates a One Euro filter: an adaptive low-pass filter whose cutoff frequency
+ * rises with the speed of the input. Slow movements are smoothed heavily to
+ * remove jitter, while fast movements are followed closely to reduce lag.
+ *
+ * @see {@link https://gery.casiez.net/1euro/}
+ *
+ * @memberof westures-core.filters
+ *
+ * @param {object} [options]
+ * @param {number} [options.minCutoff=1] - The cutoff frequency, in hertz, when
+ * the input is still. Lower values remove more jitter.
+ * @param {number} [options.beta=0.007] - How much the cutoff frequency rises
+ * with speed. Higher values reduce lag.
+ * @param {number} [options.derivativeCutoff=1] - The cutoff frequency, in
+ * hertz, used to smooth the speed of the input.
+ *
+ * @return {object} The filter.
+ */
+function oneEuro({
+  minCutoff = 1,
+  beta = 0.007,
+  derivativeCutoff = 1,
+} = {}) {
+  let output = null;
+  let speed = 0;
+  let previousTime = null;
+
+  return {
+    next(data, time, smoothable) {
+      let interval = NOMINAL_INTERVAL;
+      let previous = smoothable.identity;
+      if (previousTime !== null) {
+        interval = Math.max(time - previousTime, 1);
+        previous = output;
+      }
+
+      const rawSpeed = smoothable.distance(previous, data) * 1000 / interval;
+      const speedFactor = lowPassFactor(derivativeCutoff, interval);
+      speed += (rawSpeed - speed) * speedFactor;
+
+      const cutoff = minCutoff + beta * speed;
+      const factor = lowPassFactor(cutoff, interval);
+      output = smoothable.interpolate(previous, data, factor);
+      previousTime = time;
+      return output;
+    },
+
+    reset() {
+      speed = 0;
+      previousTime = null;
+    },
+  };
+}
+
+module.exports = {
+  cascade,
+  exponential,
+  oneEuro,
+  windowedMean,
+};
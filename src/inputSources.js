@@ -0,0 +1,452 @@
+'use strict';
+
+const Point2D = require('./Point2D.js');
+const {
+  BUTTON_MASKS,
+  MOUSE_EVENTS,
+  POINTER_EVENTS,
+  TOUCH_EVENTS,
+  TUIO_EVENTS,
+  MOVE,
+  PHASE,
+} = require('./constants.js');
+
+/**
+ * Input sources, which adapt the events of a kind of input device for the
+ * [Region]{@link westures-core.Region} and the
+ * [State]{@link westures-core.State}. An input source is an object with:<br>
+ *  - name: The name of the source, such as 'pointer'.<br>
+ *  - events: The names of the events to which the Region listens on its
+ *    element for this source.<br>
+ *  - accepts(event): Returns true if the event comes from this source,
+ *    including events which cancel its inputs.<br>
+ *  - getPhase(event): Returns the phase of the event: 'start', 'move', 'end',
+ *    or 'cancel'.<br>
+ *  - getIdentifiers(event): Returns the identifiers of the inputs which are
+ *    changed by the event.<br>
+ *  - getPointer(event, identifier): Returns the object holding the data of the
+ *    input with the given identifier, such as a Touch, from which
+ *    [PointerData]{@link westures-core.PointerData} reads properties like
+ *    'pressure' and 'buttons'.<br>
+ *  - getPoint(event, identifier): Returns the point of the input with the
+ *    given identifier, in client coordinates, as a Point2D.<br>
+ *  - getTime(event): Returns the time of the event, in milliseconds.<br>
+ *
+ * Sources made with [create]{@link westures-core.inputSources.create} only
+ * need to provide the members which differ from the defaults. The State finds
+ * the source of each event among the registered sources, so new sources must
+ * be registered with [register]{@link westures-core.inputSources.register},
+ * unless they are only passed to a Region. A Region checks its own sources
+ * first while it processes its events, without affecting other Regions.
+ *
+ * @namespace inputSources
+ * @memberof westures-core
+ */
+
+/**
+ * Events with timestamps larger than this are assumed to have been stamped
+ * relative to the epoch, as older browsers do, rather than relative to the
+ * page's time origin.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ */
+const EPOCH_THRESHOLD = 1e12;
+
+/**
+ * The members of an input source which are not given to
+ * [create]{@link westures-core.inputSources.create}. The event itself holds
+ * the data of a single input, with identifier 0, and the phase is looked up by
+ * the event type. The time is taken from the event's own timestamp, in
+ * milliseconds elapsed since the epoch, so that delays in event delivery do
+ * not distort any timing derived from it.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ */
+const DEFAULTS = {
+  name:   null,
+  events: [],
+
+  accepts() {
+    return false;
+  },
+
+  getPhase(event) {
+    return PHASE[event.type];
+  },
+
+  getIdentifiers() {
+    return [0];
+  },
+
+  getPointer(event) {
+    return event;
+  },
+
+  getPoint(event, identifier) {
+    const { clientX, clientY } = this.getPointer(event, identifier);
+    return new Point2D(clientX, clientY);
+  },
+
+  getTime(event) {
+    const { timeStamp } = event;
+    if (typeof timeStamp === 'number' && timeStamp > 0) {
+      if (timeStamp > EPOCH_THRESHOLD) {
+        return timeStamp;
+      }
+      if (typeof performance !== 'undefined' && performance.timeOrigin) {
+        return performance.timeOrigin + timeStamp;
+      }
+    }
+    return Date.now();
+  },
+};
+
+/**
+ * Creates an input source.
+ *
+ * @memberof westures-core.inputSources
+ *
+ * @param {object} definition - The members of the source. Any which are
+ * omitted take their default values.
+ *
+ * @return {object} The input source.
+ */
+function create(definition) {
+  return { ...DEFAULTS, ...definition };
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ *
+ * @param {string[]} types - The event types.
+ *
+ * @return {Function} A function which accepts events of the given types.
+ */
+function acceptTypes(types) {
+  return event => types.includes(event.type);
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ *
+ * @param {(TouchEvent|object)} event - An event with 'changedTouches'.
+ * @param {number} identifier - The identifier of a touch.
+ *
+ * @return {(Touch|Event)} The changed touch with the given identifier, or the
+ *    event itself if there is none.
+ */
+function getChangedTouch(event, identifier) {
+  const touches = Array.from(event.changedTouches || []);
+  return touches.find(touch => touch.identifier === identifier) || event;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ *
+ * @param {MouseEvent} event - A mouse event.
+ *
+ * @return {boolean} Whether buttons other than the event's own button are
+ *    pressed. Synthetic events, which often leave 'buttons' at 0, have none.
+ */
+function hasOtherButtons(event) {
+  const mask = BUTTON_MASKS[event.button] || 0;
+  const hasOwn = mask > 0 && Math.floor(event.buttons / mask) % 2 === 1;
+  return event.buttons - (hasOwn ? mask : 0) > 0;
+}
+
+/**
+ * Pointer events. Each event changes the pointer identified by its
+ * 'pointerId'.
+ *
+ * @type {object}
+ * @memberof westures-core.inputSources
+ */
+const pointer = create({
+  name:    'pointer',
+  events:  POINTER_EVENTS,
+  accepts: acceptTypes(POINTER_EVENTS.concat(['pointercancel'])),
+
+  getIdentifiers(event) {
+    return [event.pointerId];
+  },
+});
+
+/**
+ * Mouse events. The mouse is a single input, with identifier 0, whichever of
+ * its buttons are pressed. Pressing or releasing a button while another is
+ * held changes the existing input rather than starting or ending one, as with
+ * chorded buttons in pointer events, so those mousedown and mouseup events are
+ * in the 'move' phase.
+ *
+ * @type {object}
+ * @memberof westures-core.inputSources
+ */
+const mouse = create({
+  name:    'mouse',
+  events:  MOUSE_EVENTS,
+  accepts: acceptTypes(MOUSE_EVENTS.concat(['mouseleave'])),
+
+  getPhase(event) {
+    if (typeof event.buttons === 'number') {
+      if (event.type === 'mousedown' && hasOtherButtons(event)) {
+        return MOVE;
+      }
+      if (event.type === 'mouseup' && event.buttons !== 0) {
+        return MOVE;
+      }
+    }
+    return PHASE[event.type];
+  },
+});
+
+/**
+ * Touch events. Each event changes the touches in its 'changedTouches' list,
+ * identified by their 'identifier'.
+ *
+ * @type {object}
+ * @memberof westures-core.inputSources
+ */
+const touch = create({
+  name:    'touch',
+  events:  TOUCH_EVENTS,
+  accepts: acceptTypes(TOUCH_EVENTS.concat(['touchcancel'])),
+
+  getIdentifiers(event) {
+    return Array.from(event.changedTouches).map(t => t.identifier);
+  },
+
+  getPointer: getChangedTouch,
+});
+
+/**
+ * The synthetic events of a
+ * [SyntheticSession]{@link westures-core.SyntheticSession}. These are plain
+ * objects marked as 'synthetic', with a list of 'changedTouches' as in touch
+ * events, and the types of pointer events. The Region does not listen for
+ * them, as the session processes them itself.
+ *
+ * @type {object}
+ * @memberof westures-core.inputSources
+ */
+const synthetic = create({
+  name:   'synthetic',
+  events: [],
+
+  accepts(event) {
+    return event.synthetic === true;
+  },
+
+  getIdentifiers: touch.getIdentifiers,
+  getPointer:     getChangedTouch,
+});
+
+/**
+ * The events of a [TuioClient]{@link westures-core.TuioClient}, one for each
+ * change to a TUIO cursor. These are plain objects shaped like pointer events,
+ * with the cursor identified by their 'pointerId'. The Region does not listen
+ * for them, as the client passes them to the Region itself.
+ *
+ * @type {object}
+ * @memberof westures-core.inputSources
+ */
+const tuio = create({
+  name:           'tuio',
+  events:         [],
+  accepts:        acceptTypes(TUIO_EVENTS),
+  getIdentifiers: pointer.getIdentifiers,
+});
+
+/**
+ * The inputs pushed into a
+ * [HeadlessRegion]{@link westures-core.HeadlessRegion}. These are plain objects
+ * marked as 'headless', which give the 'identifier', 'phase', 'point' and
+ * 'time' of a single input directly, along with any other pointer data such as
+ * 'pointerType'. Their times are used as given, on whatever clock the caller
+ * keeps.
+ *
+ * @type {object}
+ * @memberof westures-core.inputSources
+ */
+const headless = create({
+  name:   'headless',
+  events: [],
+
+  accepts(event) {
+    return event.headless === true;
+  },
+
+  getPhase(event) {
+    return event.phase;
+  },
+
+  getIdentifiers(event) {
+    return [event.identifier];
+  },
+
+  getPoint(event) {
+    return new Point2D(event.point.x, event.point.y);
+  },
+
+  getTime(event) {
+    return event.time;
+  },
+});
+
+/**
+ * The events replayed by a [Player]{@link westures-core.Player} from a
+ * recording. These are plain objects marked as 'replayed', which give their
+ * recorded 'phase' and 'time', and a list of 'inputs' holding the recorded
+ * data of each changed input, including its 'identifier'. The phase is used as
+ * recorded, as it may have depended on the state of the device, as with
+ * chorded mouse buttons.
+ * @type {object}
+ * @memberof westures-core.inputSources
+ */
+const replay = create({
+  name:   'replay',
+  events: [],
+
+  accepts(event) {
+    return event.replayed === true;
+  },
+
+  getPhase(event) {
+    return event.phase;
+  },
+
+  getIdentifiers(event) {
+    return event.inputs.map(input => input.identifier);
+  },
+
+  getPointer(event, identifier) {
+    const input = event.inputs.find(i => i.identifier === identifier);
+    return input || event;
+  },
+
+  getTime(event) {
+    return event.time;
+  },
+});
+
+/**
+ * The source of events which no registered source accepts, such as 'blur'.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ */
+const unknown = create({ name: 'unknown' });
+
+/**
+ * The registered input sources, in order of precedence.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ */
+const registry = [replay, headless, synthetic, tuio, pointer, mouse, touch];
+
+/**
+ * The lists of sources in use by the regions processing events, innermost
+ * last, which take precedence over the registry.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.inputSources
+ */
+const scopes = [];
+
+/**
+ * Registers an input source, so that its events can be processed. Sources
+ * registered later take precedence over those registered earlier, including
+ * the built-in sources. Registering a source more than once has no effect.
+ *
+ * @memberof westures-core.inputSources
+ *
+ * @param {object} source - The input source.
+ */
+function register(source) {
+  if (!registry.includes(source)) {
+    registry.unshift(source);
+  }
+}
+
+/**
+ * Removes an input source from the registry.
+ *
+ * @memberof westures-core.inputSources
+ *
+ * @param {object} source - The input source.
+ */
+function unregister(source) {
+  const index = registry.indexOf(source);
+  if (index >= 0) {
+    registry.splice(index, 1);
+  }
+}
+
+/**
+ * Calls the given function with the given sources taking precedence over the
+ * registered sources, as a Region does while processing its events. Sources
+ * which are registered keep their place in the registry.
+ *
+ * @memberof westures-core.inputSources
+ *
+ * @param {object[]} sources - The input sources.
+ * @param {Function} callback - The function to call.
+ *
+ * @return {*} The return value of the function.
+ */
+function using(sources, callback) {
+  scopes.push(sources);
+  try {
+    return callback();
+  } finally {
+    scopes.pop();
+  }
+}
+
+/**
+ * Finds the source of the given event among the registered sources.
+ *
+ * @memberof westures-core.inputSources
+ *
+ * @param {Event} event - The event.
+ *
+ * @return {object} The input source with the highest precedence which accepts
+ * the event. Unregistered sources passed to the innermost enclosing call of
+ * [using]{@link westures-core.inputSources.using} come first. If none
+ * accepts the event, a source which treats it as a single input with
+ * identifier 0.
+ */
+function find(event) {
+  const accepts = source => source.accepts(event);
+  const scoped = scopes.length > 0 ? scopes[scopes.length - 1] : [];
+  const unregistered = scoped.filter(source => !registry.includes(source));
+  return unregistered.find(accepts) || registry.find(accepts) || unknown;
+}
+
+module.exports = {
+  create,
+  find,
+  headless,
+  mouse,
+  pointer,
+  register,
+  replay,
+  synthetic,
+  touch,
+  tuio,
+  unregister,
+  using,
+};
@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * Decoding of Open Sound Control (OSC) 1.0 packets, the encoding in which
+ * TUIO trackers send their messages. A packet is either a message or a bundle
+ * of packets:<br>
+ *  - A message is decoded as an object with an 'address', such as
+ *    '/tuio/2Dcur', and a list of 'args'.<br>
+ *  - A bundle is decoded as an object with a 'timeTag' and a list of
+ *    'elements', each of which is a decoded packet.<br>
+ *
+ * Time tags are kept as given, as an object with the whole 'seconds' since
+ * 1900 and the 'fraction' of a second in units of 2^-32 seconds.
+ *
+ * @see http://opensoundcontrol.org/spec-1_0
+ *
+ * @namespace osc
+ * @memberof westures-core
+ */
+
+/**
+ * The string with which every bundle starts.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+const BUNDLE_TAG = '#bundle';
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ *
+ * @param {number} length - A length, in bytes.
+ *
+ * @return {number} The length padded to a multiple of four bytes, as every
+ *    part of a packet is.
+ */
+function pad(length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ *
+ * @param {Uint8Array} bytes - The bytes of a string, without its terminator.
+ *
+ * @return {string} The decoded string.
+ */
+function decodeString(bytes) {
+  if (typeof TextDecoder === 'function') {
+    return new TextDecoder().decode(bytes);
+  }
+  return String.fromCharCode(...bytes);
+}
+
+/*
+ * Each of the following reads a value from a reader, an object holding a
+ * DataView over the packet and the offset of the next value, and advances the
+ * offset past the value.
+ */
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readInt32(reader) {
+  const value = reader.view.getInt32(reader.offset);
+  reader.offset += 4;
+  return value;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readUint32(reader) {
+  const value = reader.view.getUint32(reader.offset);
+  reader.offset += 4;
+  return value;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readInt64(reader) {
+  const high = readInt32(reader);
+  const low = readUint32(reader);
+  return high * 2 ** 32 + low;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readFloat32(reader) {
+  const value = reader.view.getFloat32(reader.offset);
+  reader.offset += 4;
+  return value;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readFloat64(reader) {
+  const value = reader.view.getFloat64(reader.offset);
+  reader.offset += 8;
+  return value;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readBytes(reader, length) {
+  const { view, offset } = reader;
+  if (offset + length > view.byteLength) {
+    throw new RangeError('OSC packet ends in the middle of a value');
+  }
+  reader.offset += pad(length);
+  return new Uint8Array(view.buffer.slice(
+    view.byteOffset + offset,
+    view.byteOffset + offset + length,
+  ));
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readString(reader) {
+  const { view, offset } = reader;
+  let end = offset;
+  while (end < view.byteLength && view.getUint8(end) !== 0) end += 1;
+  if (end === view.byteLength) {
+    throw new RangeError('OSC string is not terminated');
+  }
+  const string = decodeString(readBytes(reader, end - offset));
+  reader.offset = offset + pad(end - offset + 1);
+  return string;
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readBlob(reader) {
+  return readBytes(reader, readInt32(reader));
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+function readTimeTag(reader) {
+  const seconds = readUint32(reader);
+  const fraction = readUint32(reader);
+  return { seconds, fraction };
+}
+
+/**
+ * The reader of the argument for each type tag. Tags without data read no
+ * bytes.
+ *
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ */
+const ARGUMENT_READERS = {
+  i: readInt32,
+  f: readFloat32,
+  s: readString,
+  S: readString,
+  b: readBlob,
+  h: readInt64,
+  t: readTimeTag,
+  d: readFloat64,
+  c: reader => String.fromCharCode(readInt32(reader)),
+  r: readUint32,
+  m: reader => readBytes(reader, 4),
+  T: () => true,
+  F: () => false,
+  N: () => null,
+  I: () => Infinity,
+};
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ *
+ * @param {object} reader - The reader, at the first argument of a message.
+ * @param {string} tags - The type tags of the arguments, without the leading
+ * comma. Arguments between '[' and ']' are gathered into arrays.
+ *
+ * @return {Array} The arguments.
+ */
+function readArguments(reader, tags) {
+  const stack = [[]];
+  Array.from(tags).forEach(tag => {
+    const args = stack[stack.length - 1];
+    if (tag === '[') {
+      const array = [];
+      args.push(array);
+      stack.push(array);
+    } else if (tag === ']') {
+      if (stack.length === 1) throw new TypeError('Unopened OSC array');
+      stack.pop();
+    } else if (Object.prototype.hasOwnProperty.call(ARGUMENT_READERS, tag)) {
+      args.push(ARGUMENT_READERS[tag](reader));
+    } else {
+      throw new TypeError(`Unsupported OSC type tag '${tag}'`);
+    }
+  });
+
+  if (stack.length > 1) throw new TypeError('Unclosed OSC array');
+  return stack[0];
+}
+
+/**
+ * @private
+ * @inner
+ * @memberof westures-core.osc
+ *
+ * @param {DataView} view - The bytes of a single packet.
+ *
+ * @return {object} The decoded packet.
+ */
+function readPacket(view) {
+  const reader = { view, offset: 0 };
+
+  if (view.byteLength > 0 && view.getUint8(0) === '#'.charCodeAt(0)) {
+    if (readString(reader) !== BUNDLE_TAG) {
+      throw new TypeError('Invalid OSC bundle');
+    }
+    const timeTag = readTimeTag(reader);
+    const elements = [];
+    while (reader.offset < view.byteLength) {
+      const size = readInt32(reader);
+      if (size < 0 || reader.offset + size > view.byteLength) {
+        throw new RangeError('OSC bundle element overruns the bundle');
+      }
+      const offset = view.byteOffset + reader.offset;
+      elements.push(readPacket(new DataView(view.buffer, offset, size)));
+      reader.offset += size;
+    }
+    return { timeTag, elements };
+  }
+
+  if (view.byteLength === 0 || view.getUint8(0) !== '/'.charCodeAt(0)) {
+    throw new TypeError('Not an OSC packet');
+  }
+  const address = readString(reader);
+
+  // Type tags are optional in older implementations of OSC.
+  if (reader.offset >= view.byteLength) return { address, args: [] };
+  const tags = readString(reader);
+  if (tags[0] !== ',') throw new TypeError('Missing OSC type tags');
+  return { address, args: readArguments(reader, tags.slice(1)) };
+}
+
+/**
+ * Decodes an OSC packet.
+ *
+ * @memberof westures-core.osc
+ *
+ * @param {(ArrayBuffer|ArrayBufferView)} data - The bytes of the packet, such
+ * as the data of a binary WebSocket message.
+ *
+ * @return {object} The decoded message or bundle.
+ *
+ * @throws {TypeError} If the data is not a well-formed packet.
+ * @throws {RangeError} If the packet is shorter than its contents require.
+ */
+function parse(data) {
+  if (ArrayBuffer.isView(data)) {
+    const { buffer, byteOffset, byteLength } = data;
+    return readPacket(new DataView(buffer, byteOffset, byteLength));
+  }
+  if (Object.prototype.toString.call(data) === '[object ArrayBuffer]') {
+    return readPacket(new DataView(data));
+  }
+  throw new TypeError('OSC packets must be given as binary data');
+}
+
+/**
+ * @memberof westures-core.osc
+ *
+ * @param {object} packet - A decoded packet.
+ *
+ * @return {object[]} The messages in the packet, in order, including those in
+ *    nested bundles.
+ */
+function getMessages(packet) {
+  if (Array.isArray(packet.elements)) {
+    return packet.elements.reduce((messages, element) => {
+      return messages.concat(getMessages(element));
+    }, []);
+  }
+  return [packet];
+}
+
+module.exports = {
+  getMessages,
+  parse,
+};
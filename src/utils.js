@@ -1,8 +1,14 @@
 'use strict';
 
+const { BUTTON_MASKS } = require('./constants.js');
+const inputSources = require('./inputSources.js');
+
 const PI_2   = 2 * Math.PI;
 const PI_NVE = -Math.PI;
 
+// Pivots smaller than this are treated as zero when fitting polynomials.
+const FIT_EPSILON = 1e-9;
+
 /**
  * Helper function to regulate angular differences, so they don't jump from 0 to
  * 2 * PI or vice versa.
@@ -25,7 +31,125 @@ function angularDifference(a, b) {
 }
 
 /**
- * In case event.composedPath() is not available.
+ * Fits a polynomial of the given degree to the given samples using the method
+ * of least squares.
+ *
+ * @memberof westures-core
+ *
+ * @param {number[]} xs - The sample positions, e.g. timestamps.
+ * @param {number[]} ys - The sample values, one per position.
+ * @param {number} degree - The degree of the polynomial to fit.
+ *
+ * @return {?number[]} The coefficients of the fitted polynomial, lowest order
+ * first, or null if the samples do not determine a unique fit.
+ */
+function fitPolynomial(xs, ys, degree) {
+  const size = degree + 1;
+  if (xs.length < size) {
+    return null;
+  }
+
+  // Build the normal equations, as an augmented matrix [A | b].
+  const rows = [];
+  for (let i = 0; i < size; i++) {
+    rows.push(new Array(size + 1).fill(0));
+  }
+  xs.forEach((x, n) => {
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) {
+        rows[i][j] += x ** (i + j);
+      }
+      rows[i][size] += ys[n] * x ** i;
+    }
+  });
+
+  // Gaussian elimination with partial pivoting.
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][col]) < FIT_EPSILON) {
+      return null;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= size; k++) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
+  }
+
+  // Back substitution.
+  const coefficients = new Array(size).fill(0);
+  for (let i = size - 1; i >= 0; i--) {
+    let sum = rows[i][size];
+    for (let j = i + 1; j < size; j++) {
+      sum -= rows[i][j] * coefficients[j];
+    }
+    coefficients[i] = sum / rows[i][i];
+  }
+  return coefficients;
+}
+
+/**
+ * @memberof westures-core
+ *
+ * @param {Element} element - An element.
+ *
+ * @return {{width: number, height: number}} The size of the element's border
+ * box, before any CSS transforms. Elements without offsets, such as those in
+ * an SVG, fall back to the size of their bounding rectangle.
+ */
+function getElementSize(element) {
+  if ('offsetWidth' in element) {
+    return { width: element.offsetWidth, height: element.offsetHeight };
+  }
+  const { width, height } = element.getBoundingClientRect();
+  return { width, height };
+}
+
+/**
+ * Determines the phase of an input event, as given by the
+ * [input source]{@link westures-core.inputSources} of the event.
+ *
+ * @memberof westures-core
+ *
+ * @param {Event} event - The input event.
+ *
+ * @return {string} The phase of the event: 'start', 'move', 'end', or
+ * 'cancel'.
+ */
+function getPhase(event) {
+  return inputSources.find(event).getPhase(event);
+}
+
+/**
+ * @memberof westures-core
+ *
+ * @param {number} buttons - A bitmask of buttons, as in the 'buttons' property
+ * of a MouseEvent.
+ *
+ * @return {Set.<number>} The buttons in the bitmask, identified by the values
+ * of the 'button' property of a MouseEvent which correspond to them.
+ */
+function getPressedButtons(buttons) {
+  const pressed = new Set();
+  BUTTON_MASKS.forEach((mask, button) => {
+    if (Math.floor(buttons / mask) % 2 === 1) pressed.add(button);
+  });
+  return pressed;
+}
+
+/**
+ * In case event.composedPath() is not available. The path is found by walking
+ * up the parent nodes of the target, and ends with the window if it reaches
+ * the document. Targets outside of any document, as in a headless region, only
+ * need a 'parentNode' property.
  *
  * @memberof westures-core
  *
@@ -39,15 +163,93 @@ function getPropagationPath(event) {
   }
 
   const path = [];
-  for (let node = event.target; node !== document; node = node.parentNode) {
+  for (let node = event.target; node; node = node.parentNode) {
     path.push(node);
   }
-  path.push(document);
-  path.push(window);
+  if (typeof window !== 'undefined' &&
+      path[path.length - 1] === window.document) {
+    path.push(window);
+  }
 
   return path;
 }
 
+/**
+ * @private
+ * @inner
+ * @memberof westures-core
+ *
+ * @param {*} root - The root of an index path.
+ *
+ * @return {*} The node from which the index path descends. The window stands
+ *    for its document.
+ */
+function getIndexRoot(root) {
+  if (typeof window !== 'undefined' && root === window) {
+    return window.document;
+  }
+  return root;
+}
+
+/**
+ * Locates a node within a root element by the positions of the node and its
+ * ancestors among the child elements of their parents, so that the node can
+ * be found again in a copy of the same document.
+ *
+ * @memberof westures-core
+ *
+ * @param {Node} node - The node to locate.
+ * @param {(Element|Window)} root - An ancestor of the node. The window stands
+ * for its document.
+ *
+ * @return {?number[]} The index of each node along the path from the root to
+ *    the given node, from the outermost inward, or null if the node is not
+ *    within the root.
+ */
+function getIndexPath(node, root) {
+  const base = getIndexRoot(root);
+  const indices = [];
+  for (let current = node; current !== base; current = current.parentNode) {
+    const parent = current ? current.parentNode : null;
+    if (!parent || !parent.children) return null;
+    const index = Array.prototype.indexOf.call(parent.children, current);
+    if (index < 0) return null;
+    indices.unshift(index);
+  }
+  return indices;
+}
+
+/**
+ * Finds the node located by [getIndexPath]{@link westures-core.getIndexPath}.
+ *
+ * @memberof westures-core
+ *
+ * @param {?number[]} indices - The index path of the node.
+ * @param {(Element|Window)} root - The root of the index path.
+ *
+ * @return {?Node} The node, or null if there is none at the index path.
+ */
+function getNodeAtIndexPath(indices, root) {
+  if (!Array.isArray(indices)) return null;
+  return indices.reduce((node, index) => {
+    return node && node.children ? node.children[index] || null : null;
+  }, getIndexRoot(root));
+}
+
+/**
+ * @memberof westures-core
+ *
+ * @return {number} The current time in milliseconds, from a monotonic clock if
+ * one is available.
+ */
+function now() {
+  if (typeof performance !== 'undefined' &&
+      typeof performance.now === 'function') {
+    return performance.now();
+  }
+  return Date.now();
+}
+
 /**
  * Performs a set filter operation.
  *
@@ -87,7 +289,14 @@ function setDifference(left, right) {
 
 module.exports = {
   angularDifference,
+  fitPolynomial,
+  getElementSize,
+  getIndexPath,
+  getNodeAtIndexPath,
+  getPhase,
+  getPressedButtons,
   getPropagationPath,
+  now,
   setDifference,
   setFilter,
 };
@@ -9,6 +9,12 @@ const {
   MOVE,
   START,
   STATE_KEYS,
+
+  BEGAN,
+  CHANGED,
+  ENDED,
+  FAILED,
+  POSSIBLE,
 } = require('../src/constants.js');
 
 const PHASES = [START, MOVE, END, CANCEL];
@@ -109,6 +115,7 @@ describe('Gesture', () => {
           expect(received.centroid).toBe(state.centroid);
           expect(received.event).toBe(state.event);
           expect(received.phase).toBe(hook);
+          expect(received.source).toBe(state.source);
           expect(received.type).toBe(gesture.type);
           expect(received.target).toBe(gesture.element);
           expect(received.answer).toBe(data.answer);
@@ -116,6 +123,200 @@ describe('Gesture', () => {
       });
     });
 
+    describe('claim(state, inputs)', () => {
+      test('Claims the active inputs of the state by default', () => {
+        const gesture = new Gesture('dummy');
+        const state = { active: [1, 2], claimInputs: jest.fn() };
+        gesture.claim(state);
+        expect(state.claimInputs).toHaveBeenCalledWith(gesture, [1, 2]);
+        gesture.claim(state, [2]);
+        expect(state.claimInputs).toHaveBeenCalledWith(gesture, [2]);
+      });
+    });
+
+    describe('stopPropagation(state)', () => {
+      test('Requests that the state stop propagation', () => {
+        const gesture = new Gesture('dummy');
+        const state = { stopPropagation: jest.fn() };
+        gesture.stopPropagation(state);
+        expect(state.stopPropagation).toHaveBeenCalledWith(gesture);
+      });
+    });
+
+    describe('requireFailureOf(gesture)', () => {
+      let gesture = null;
+      let other = null;
+
+      beforeEach(() => {
+        gesture = new Gesture('dummy');
+        other = new Gesture('other');
+      });
+
+      test('Records the requirement on both gestures', () => {
+        gesture.requireFailureOf(other);
+        expect(gesture.failureRequirements.has(other)).toBe(true);
+        expect(other.failureDependents.has(gesture)).toBe(true);
+        expect(gesture.requiresFailureOf(other)).toBe(true);
+        expect(other.requiresFailureOf(gesture)).toBe(false);
+      });
+
+      test('Detects indirect requirements', () => {
+        const third = new Gesture('third');
+        gesture.requireFailureOf(other);
+        other.requireFailureOf(third);
+        expect(gesture.requiresFailureOf(third)).toBe(true);
+      });
+
+      test('Throws an exception if the requirements would be circular', () => {
+        const third = new Gesture('third');
+        gesture.requireFailureOf(other);
+        other.requireFailureOf(third);
+        expect(() => gesture.requireFailureOf(gesture)).toThrow();
+        expect(() => other.requireFailureOf(gesture)).toThrow();
+        expect(() => third.requireFailureOf(gesture)).toThrow();
+      });
+    });
+
+    describe('failure requirements', () => {
+      let gesture = null;
+      let handler = null;
+      let other = null;
+      let otherHandler = null;
+      let state = null;
+
+      beforeEach(() => {
+        handler = jest.fn();
+        otherHandler = jest.fn();
+        state = { centroid: { x: 1, y: 2 }, event: {} };
+        gesture = new Gesture('dummy', null, handler);
+        other = new Gesture('other', null, otherHandler);
+        gesture.requireFailureOf(other);
+      });
+
+      test('Results are held back until the requirement fails', () => {
+        gesture.recognize(END, state, { x: 91 });
+        expect(handler).not.toHaveBeenCalled();
+        other.fail();
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0]).toMatchObject({ x: 91, phase: END });
+      });
+
+      test('Results are dispatched immediately once resolved', () => {
+        other.fail();
+        gesture.recognize(START, state, { x: 91 });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(gesture.recognized).toBe(true);
+      });
+
+      test('Fails and discards results if the requirement recognizes', () => {
+        gesture.recognize(END, state, { x: 91 });
+        other.recognize(END, state, { y: 42 });
+        expect(otherHandler).toHaveBeenCalledTimes(1);
+        expect(gesture.failed).toBe(true);
+        other.fail();
+        gesture.recognize(END, state, { x: 91 });
+        expect(handler).not.toHaveBeenCalled();
+      });
+
+      test('Ends once results held back past the end are released', () => {
+        gesture.recognize(END, state, { x: 91 });
+        gesture.endRecognition();
+        expect(gesture.recognizerState).toBe(POSSIBLE);
+        other.fail();
+        expect(handler.mock.calls[0][0].recognizerState).toBe(BEGAN);
+        expect(gesture.recognizerState).toBe(ENDED);
+      });
+
+      test('reset() discards results which are still held back', () => {
+        gesture.recognize(END, state, { x: 91 });
+        gesture.reset();
+        other.reset();
+        other.fail();
+        expect(handler).not.toHaveBeenCalled();
+        expect(gesture.deferred).toEqual([]);
+      });
+
+      test('hold() lasts until reset()', () => {
+        other.hold();
+        expect(other.held).toBe(true);
+        other.reset();
+        expect(other.held).toBe(false);
+      });
+    });
+
+    describe('recognizerState', () => {
+      let gesture = null;
+      let handler = null;
+
+      beforeEach(() => {
+        handler = jest.fn();
+        gesture = new Gesture('dummy', null, handler);
+      });
+
+      test('Is "possible" initially', () => {
+        expect(gesture.recognizerState).toBe(POSSIBLE);
+        expect(gesture.recognized).toBe(false);
+        expect(gesture.failed).toBe(false);
+      });
+
+      test('Is "began" after the first recognition', () => {
+        gesture.recognize(START, {}, {});
+        expect(gesture.recognizerState).toBe(BEGAN);
+        expect(gesture.recognized).toBe(true);
+      });
+
+      test('Is "changed" after further recognitions', () => {
+        gesture.recognize(START, {}, {});
+        gesture.recognize(MOVE, {}, {});
+        expect(gesture.recognizerState).toBe(CHANGED);
+        gesture.recognize(MOVE, {}, {});
+        expect(gesture.recognizerState).toBe(CHANGED);
+      });
+
+      test('Is passed to the handler', () => {
+        gesture.recognize(START, {}, {});
+        gesture.recognize(MOVE, {}, {});
+        expect(handler.mock.calls[0][0].recognizerState).toBe(BEGAN);
+        expect(handler.mock.calls[1][0].recognizerState).toBe(CHANGED);
+      });
+
+      test('Is "ended" once recognition in progress is ended', () => {
+        gesture.endRecognition();
+        expect(gesture.recognizerState).toBe(POSSIBLE);
+        gesture.recognize(START, {}, {});
+        gesture.endRecognition();
+        expect(gesture.recognizerState).toBe(ENDED);
+        expect(gesture.recognized).toBe(true);
+      });
+
+      test('Is "failed" after calling fail()', () => {
+        gesture.fail();
+        expect(gesture.recognizerState).toBe(FAILED);
+        expect(gesture.failed).toBe(true);
+      });
+
+      test('Is "possible" again after reset()', () => {
+        gesture.fail();
+        gesture.reset();
+        expect(gesture.recognizerState).toBe(POSSIBLE);
+      });
+    });
+
+    describe('fail()', () => {
+      test('Discards results until the gesture is reset', () => {
+        const handler = jest.fn();
+        const gesture = new Gesture('dummy', null, handler);
+        gesture.fail();
+        expect(gesture.failed).toBe(true);
+        gesture.recognize(MOVE, {}, { x: 91 });
+        expect(handler).not.toHaveBeenCalled();
+        gesture.reset();
+        expect(gesture.failed).toBe(false);
+        gesture.recognize(MOVE, {}, { x: 91 });
+        expect(handler).toHaveBeenCalledTimes(1);
+      });
+    });
+
     describe('isEnabled(state)', () => {
       let element = null;
       let gesture = null;
@@ -126,8 +327,9 @@ describe('Gesture', () => {
         element = document.createElement('div');
         handler = jest.fn();
         state = {
-          active: [],
-          event:  {},
+          active:   [],
+          event:    {},
+          heldKeys: new Set(),
         };
 
         gesture = new Gesture('dummy', element, handler);
@@ -170,6 +372,103 @@ describe('Gesture', () => {
         expect(gesture.isEnabled(state)).toBe(false);
       });
 
+      describe('enableWhen', () => {
+        beforeEach(() => {
+          state.active = [1];
+        });
+
+        test('Returns false if the condition does not hold', () => {
+          const enableWhen = jest.fn(() => false);
+          Object.assign(gesture.options, { enableWhen });
+          expect(gesture.isEnabled(state)).toBe(false);
+          expect(enableWhen).toHaveBeenCalledWith(state, gesture);
+        });
+
+        test('Accepts combinations of conditions', () => {
+          Object.assign(gesture.options, {
+            enableWhen: { or: [() => false, { not: () => false }] },
+          });
+          expect(gesture.isEnabled(state)).toBe(true);
+        });
+
+        test('Applies in addition to the other options', () => {
+          Object.assign(gesture.options, {
+            enableWhen: () => true,
+            minInputs:  2,
+          });
+          expect(gesture.isEnabled(state)).toBe(false);
+        });
+      });
+
+      describe('held keys', () => {
+        beforeEach(() => {
+          state.active = [1];
+        });
+
+        test('Enable keys may name any held key or code', () => {
+          Object.assign(gesture.options, { enableKeys: ['Space', 'r'] });
+          expect(gesture.isEnabled(state)).toBe(false);
+          state.heldKeys = new Set([' ', 'Space']);
+          expect(gesture.isEnabled(state)).toBe(true);
+          state.heldKeys = new Set(['r', 'KeyR']);
+          expect(gesture.isEnabled(state)).toBe(true);
+        });
+
+        test('Disable keys may name any held key or code', () => {
+          Object.assign(gesture.options, { disableKeys: ['KeyR'] });
+          expect(gesture.isEnabled(state)).toBe(true);
+          state.heldKeys = new Set(['r', 'KeyR']);
+          expect(gesture.isEnabled(state)).toBe(false);
+        });
+
+        test('Only modifier keys are read from the event', () => {
+          state.event = { x: 120, y: 40 };
+          Object.assign(gesture.options, { enableKeys: ['x'] });
+          expect(gesture.isEnabled(state)).toBe(false);
+          gesture.options.enableKeys = [];
+          gesture.options.disableKeys = ['y'];
+          expect(gesture.isEnabled(state)).toBe(true);
+        });
+      });
+
+      describe('enableButtons and disableButtons', () => {
+        function withButtons(...buttons) {
+          return { pressedButtons: new Set(buttons) };
+        }
+
+        test('Returns true if an enabling button is pressed', () => {
+          Object.assign(gesture.options, { enableButtons: [2] });
+          state.active = [withButtons(0, 2)];
+          expect(gesture.isEnabled(state)).toBe(true);
+          state.active = [withButtons(0)];
+          expect(gesture.isEnabled(state)).toBe(false);
+        });
+
+        test('Returns false if a disabling button is pressed', () => {
+          Object.assign(gesture.options, { disableButtons: [1] });
+          state.active = [withButtons(0)];
+          expect(gesture.isEnabled(state)).toBe(true);
+          state.active = [withButtons(0), withButtons(1)];
+          expect(gesture.isEnabled(state)).toBe(false);
+        });
+      });
+
+      describe('pointerTypes', () => {
+        beforeEach(() => {
+          Object.assign(gesture.options, { pointerTypes: ['touch'] });
+        });
+
+        test('Returns true if all active inputs are of an allowed type', () => {
+          state.active = [{ pointerType: 'touch' }, { pointerType: 'touch' }];
+          expect(gesture.isEnabled(state)).toBe(true);
+        });
+
+        test('Returns false if any active input is of another type', () => {
+          state.active = [{ pointerType: 'touch' }, { pointerType: 'pen' }];
+          expect(gesture.isEnabled(state)).toBe(false);
+        });
+      });
+
       describe('enableKeys', () => {
         describe.each(STATE_KEYS)('%s', (key) => {
           beforeEach(() => {
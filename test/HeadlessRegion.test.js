@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+
+/* global expect, describe, test, jest, beforeEach */
+
+'use strict';
+
+const Gesture = require('../src/Gesture.js');
+const HeadlessRegion = require('../src/HeadlessRegion.js');
+const { CANCELLED } = require('../src/constants.js');
+const MockGesture = require('./MockGesture.js');
+
+describe('HeadlessRegion', () => {
+  // A small scene graph, with no DOM in sight.
+  const scene = { name: 'scene', parentNode: null };
+  const sprite = { name: 'sprite', parentNode: scene };
+  const other = { name: 'other', parentNode: scene };
+  const spritePath = [sprite, scene];
+  const otherPath = [other, scene];
+
+  let gesture = null;
+  let region = null;
+
+  function push(identifier, phase, x, y, time, path = spritePath) {
+    return region.push({ identifier, phase, point: { x, y }, time, path });
+  }
+
+  beforeEach(() => {
+    region = new HeadlessRegion(scene);
+    const move = state => ({ transform: state.transform });
+    gesture = new MockGesture(sprite, move);
+    region.addGesture(gesture);
+  });
+
+  test('Runs without a DOM', () => {
+    expect(typeof window).toBe('undefined');
+    expect(typeof document).toBe('undefined');
+  });
+
+  describe('constructor(element, options)', () => {
+    test('Uses the default options', () => {
+      expect(region.options).toEqual(HeadlessRegion.DEFAULTS);
+      expect(region.element).toBe(scene);
+      expect(new HeadlessRegion().element).toBeNull();
+    });
+  });
+
+  describe('push(input)', () => {
+    test('Recognizes gestures bound to targets along the path', () => {
+      push(0, 'start', 10, 10, 0);
+      push(1, 'start', 30, 10, 10);
+      push(1, 'move', 50, 10, 20);
+      push(0, 'end', 10, 10, 30);
+      expect(gesture.phases()).toEqual(['start', 'start', 'move', 'end']);
+      expect(gesture.handler.mock.calls[2][0].transform.scale).toBeCloseTo(2);
+      expect(gesture.lastData().target).toBe(sprite);
+    });
+
+    test('Ignores inputs whose path misses the gesture', () => {
+      push(0, 'start', 10, 10, 0, otherPath);
+      push(0, 'move', 20, 10, 10, otherPath);
+      expect(gesture.handler).not.toHaveBeenCalled();
+      expect(region.state.active.length).toBe(1);
+    });
+
+    test('Uses the given times for velocity', () => {
+      push(0, 'start', 0, 0, 0);
+      push(0, 'move', 10, 0, 10);
+      push(0, 'move', 20, 0, 20);
+      const [input] = region.state.active;
+      expect(input.startTime).toBe(0);
+      expect(input.velocity().x).toBeCloseTo(1);
+    });
+
+    test('Passes along other pointer data', () => {
+      region.push({
+        identifier:  'stylus',
+        phase:       'start',
+        point:       { x: 1, y: 2 },
+        path:        spritePath,
+        pointerType: 'pen',
+        pressure:    0.8,
+      });
+      expect(region.state.active[0]).toMatchObject({
+        identifier:  'stylus',
+        pointerType: 'pen',
+        pressure:    0.8,
+      });
+    });
+
+    test('Returns the event, which handlers receive', () => {
+      const event = push(0, 'start', 10, 10, 0);
+      expect(event).toMatchObject({ headless: true, target: sprite });
+      expect(gesture.lastData().event).toBe(event);
+    });
+
+    test('The cancel phase cancels the gestures in progress', () => {
+      push(0, 'start', 10, 10, 0);
+      push(0, 'cancel', 10, 10, 10);
+      expect(gesture.cancel).toHaveBeenCalledTimes(1);
+      expect(gesture.recognizerState).toBe(CANCELLED);
+      expect(region.state.hasNoInputs()).toBe(true);
+    });
+
+    test('The cancel phase only cancels its own partition', () => {
+      region = new HeadlessRegion(scene, { partitionInputs: true });
+      region.addGesture(gesture);
+      const otherGesture = new Gesture('test', other, jest.fn());
+      otherGesture.cancel = jest.fn();
+      region.addGesture(otherGesture);
+
+      push(0, 'start', 10, 10, 0);
+      push(1, 'start', 90, 10, 0, otherPath);
+      push(1, 'cancel', 90, 10, 10, otherPath);
+      expect(otherGesture.cancel).toHaveBeenCalledTimes(1);
+      expect(gesture.cancel).not.toHaveBeenCalled();
+      expect(gesture.recognizerState).not.toBe(CANCELLED);
+      expect(region.partitions.size).toBe(1);
+    });
+
+    test('Partitions inputs by their targets', () => {
+      const otherHandler = jest.fn();
+      region = new HeadlessRegion(scene, { partitionInputs: true });
+      region.addGesture(gesture);
+      const otherGesture = new Gesture('test', other, otherHandler);
+      otherGesture.start = () => ({});
+      region.addGesture(otherGesture);
+
+      push(0, 'start', 10, 10, 0);
+      push(1, 'start', 90, 10, 0, otherPath);
+      expect(region.partitions.size).toBe(2);
+      expect(gesture.handler).toHaveBeenCalledTimes(1);
+      expect(otherHandler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Points and centroids', () => {
+    test('Page points are client points without a window', () => {
+      push(0, 'start', 10, 10, 0);
+      push(1, 'start', 30, 20, 0);
+      expect(region.state.getPageCentroid()).toMatchObject({ x: 20, y: 15 });
+    });
+
+    test('Local points are client points for targets which are not DOM', () => {
+      push(0, 'start', 10, 10, 0);
+      push(1, 'start', 30, 20, 0);
+      expect(region.state.getLocalCentroid()).toMatchObject({ x: 20, y: 15 });
+      expect(region.state.getLocalCentroid(sprite))
+        .toMatchObject({ x: 20, y: 15 });
+
+      region = new HeadlessRegion();
+      push(0, 'start', 10, 10, 0);
+      expect(region.state.getLocalCentroid()).toMatchObject({ x: 10, y: 10 });
+    });
+  });
+
+  describe('handleKeyboardEvent(event)', () => {
+    test('Tracks keys given as plain objects', () => {
+      gesture.options.enableKeys = ['Control'];
+      push(0, 'start', 10, 10, 0);
+      expect(gesture.start).not.toHaveBeenCalled();
+      region.handleKeyboardEvent({ type: 'keydown', key: 'Control' });
+      expect(gesture.start).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('destroy()', () => {
+    test('Cancels gestures in progress and removes all gestures', () => {
+      push(0, 'start', 10, 10, 0);
+      region.destroy();
+      expect(gesture.cancel).toHaveBeenCalledTimes(1);
+      expect(region.gestures.size).toBe(0);
+    });
+  });
+});
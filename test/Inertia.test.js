@@ -0,0 +1,184 @@
+/* global expect, describe, test, jest, beforeEach, afterEach */
+
+'use strict';
+
+const Gesture = require('../src/Gesture.js');
+const Inertia = require('../src/Inertia.js');
+const Point2D = require('../src/Point2D.js');
+const { CHANGED, ENDED, FAILED } = require('../src/constants.js');
+
+describe('Inertia', () => {
+  let frames = null;
+  let gesture = null;
+  let handler = null;
+  let state = null;
+  let time = 0;
+
+  function runFrame(elapsed) {
+    time += elapsed;
+    const frame = frames.shift();
+    frame(time);
+  }
+
+  function makeInertia(vx = 1, vy = 0) {
+    return new Inertia(
+      gesture,
+      state,
+      new Point2D(100, 100),
+      new Point2D(vx, vy),
+    );
+  }
+
+  beforeEach(() => {
+    frames = [];
+    time = 1000;
+    window.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+    window.cancelAnimationFrame = jest.fn();
+    jest.spyOn(performance, 'now').mockImplementation(() => time);
+
+    handler = jest.fn();
+    gesture = new Gesture('fling', document.body, handler, {
+      inertia:            true,
+      inertiaFriction:    0.01,
+      inertiaMinVelocity: 0.1,
+      inertiaMaxDuration: 1000,
+    });
+    gesture.recognizerState = CHANGED;
+    state = { centroid: null, event: null };
+  });
+
+  afterEach(() => {
+    delete window.requestAnimationFrame;
+    delete window.cancelAnimationFrame;
+    jest.restoreAllMocks();
+  });
+
+  describe('start(onStop)', () => {
+    test('Schedules a frame and returns true', () => {
+      const inertia = makeInertia();
+      expect(inertia.start()).toBe(true);
+      expect(inertia.isRunning).toBe(true);
+      expect(frames.length).toBe(1);
+    });
+
+    test('Does nothing if the speed is below the minimum', () => {
+      const inertia = makeInertia(0.05, 0.05);
+      expect(inertia.start()).toBe(false);
+      expect(inertia.isRunning).toBe(false);
+      expect(frames.length).toBe(0);
+    });
+
+    test('Falls back to a timeout without requestAnimationFrame', () => {
+      delete window.requestAnimationFrame;
+      jest.useFakeTimers();
+      gesture.inertia = jest.fn();
+      makeInertia().start();
+      jest.advanceTimersByTime(20);
+      expect(gesture.inertia).toHaveBeenCalledTimes(1);
+      jest.useRealTimers();
+    });
+  });
+
+  describe('step()', () => {
+    test('Decays the velocity exponentially', () => {
+      const inertia = makeInertia(2, -1);
+      inertia.start();
+      runFrame(100);
+      expect(inertia.elapsed).toBe(100);
+      expect(inertia.velocity.x).toBeCloseTo(2 * Math.exp(-1));
+      expect(inertia.velocity.y).toBeCloseTo(-Math.exp(-1));
+    });
+
+    test('Moves the centroid by the integral of the velocity', () => {
+      const inertia = makeInertia(2, 0);
+      inertia.start();
+      runFrame(50);
+      const first = 2 * (1 - Math.exp(-0.5)) / 0.01;
+      expect(inertia.centroid.x).toBeCloseTo(100 + first);
+      expect(inertia.delta.x).toBeCloseTo(first);
+
+      runFrame(50);
+      const second = 2 * (1 - Math.exp(-1)) / 0.01;
+      expect(inertia.centroid.x).toBeCloseTo(100 + second);
+      expect(inertia.delta.x).toBeCloseTo(second - first);
+    });
+
+    test('Calls the inertia hook with the state and itself', () => {
+      gesture.inertia = jest.fn();
+      const inertia = makeInertia();
+      inertia.start();
+      runFrame(16);
+      expect(gesture.inertia).toHaveBeenCalledWith(state, inertia);
+    });
+
+    test('Passes data from the hook to the handler', () => {
+      gesture.inertia = (s, inertia) => ({ delta: inertia.delta });
+      const inertia = makeInertia();
+      inertia.start();
+      runFrame(16);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0]).toMatchObject({
+        phase:           'inertia',
+        recognizerState: CHANGED,
+        centroid:        inertia.centroid,
+        delta:           inertia.delta,
+      });
+    });
+
+    test('Stops once the speed drops below the minimum', () => {
+      const onStop = jest.fn();
+      const inertia = makeInertia(1, 0);
+      inertia.start(onStop);
+      runFrame(100);
+      expect(inertia.isRunning).toBe(true);
+      runFrame(200);
+      expect(inertia.isRunning).toBe(false);
+      expect(frames.length).toBe(0);
+      expect(onStop).toHaveBeenCalledTimes(1);
+      expect(gesture.recognizerState).toBe(ENDED);
+    });
+
+    test('Stops once the maximum duration has passed', () => {
+      gesture.options.inertiaFriction = 0;
+      const inertia = makeInertia(1, 0);
+      inertia.start();
+      runFrame(600);
+      runFrame(600);
+      expect(inertia.elapsed).toBe(1000);
+      expect(inertia.centroid.x).toBeCloseTo(1100);
+      expect(inertia.isRunning).toBe(false);
+    });
+
+    test('Stops if the gesture fails', () => {
+      gesture.inertia = () => {
+        gesture.fail();
+      };
+      const inertia = makeInertia();
+      inertia.start();
+      runFrame(16);
+      expect(inertia.isRunning).toBe(false);
+      expect(gesture.recognizerState).toBe(FAILED);
+    });
+  });
+
+  describe('stop()', () => {
+    test('Cancels the next frame and ends recognition', () => {
+      const onStop = jest.fn();
+      const inertia = makeInertia();
+      inertia.start(onStop);
+      inertia.stop();
+      expect(window.cancelAnimationFrame).toHaveBeenCalled();
+      expect(gesture.recognizerState).toBe(ENDED);
+      expect(onStop).toHaveBeenCalledTimes(1);
+    });
+
+    test('Has no effect once stopped', () => {
+      const onStop = jest.fn();
+      const inertia = makeInertia();
+      inertia.start(onStop);
+      inertia.stop();
+      inertia.stop();
+      expect(onStop).toHaveBeenCalledTimes(1);
+    });
+  });
+});
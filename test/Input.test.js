@@ -53,6 +53,10 @@ describe('Input', () => {
       expect(input.current).toBeInstanceOf(PointerData);
       expect(input.current).toEqual(input.current);
     });
+
+    test('is not claimed by any gesture', () => {
+      expect(input.claimedBy).toBeNull();
+    });
   });
 
   describe('prototype methods', () => {
@@ -73,6 +77,27 @@ describe('Input', () => {
           expect(input.startTime).toBe(input.initial.time);
         });
       });
+
+      describe('pointerType', () => {
+        test('Returns the pointer type of the initial event', () => {
+          expect(input.pointerType).toBe('mouse');
+        });
+      });
+
+      describe('isPrimary', () => {
+        test('Returns whether the input was primary when it began', () => {
+          expect(input.isPrimary).toBe(true);
+          input.update({ ...mousemove, isPrimary: false });
+          expect(input.isPrimary).toBe(true);
+        });
+      });
+
+      describe('pressure', () => {
+        test('Returns the pressure of the current event', () => {
+          input.update({ ...mousemove, pressure: 0.7 });
+          expect(input.pressure).toBe(0.7);
+        });
+      });
     });
 
     describe('update', () => {
@@ -110,6 +135,146 @@ describe('Input', () => {
         expect(input.totalDistance()).toBeCloseTo(Math.sqrt(25));
       });
     });
+
+    describe('history', () => {
+      test('Records each sample, ending with the current one', () => {
+        const input = new Input(mousedown, 1234);
+        input.update(mousemove);
+        expect(input.history).toEqual([input.previous, input.current]);
+      });
+
+      test('Is bounded by the historySize option', () => {
+        const input = new Input(mousedown, 1234, { historySize: 3 });
+        for (let i = 0; i < 5; i++) {
+          input.update(mousemove);
+        }
+        expect(input.history.length).toBe(3);
+        expect(input.history[2]).toBe(input.current);
+      });
+    });
+
+    describe('coalesced and predicted events', () => {
+      function pointermove(x, related = {}) {
+        return {
+          type:      'pointermove',
+          pointerId: 7,
+          clientX:   x,
+          clientY:   0,
+          target:    document,
+          ...related,
+        };
+      }
+
+      test('Falls back to the event alone without browser support', () => {
+        const input = new Input(mousedown, 1234);
+        input.update(mousemove);
+        expect(input.coalesced).toEqual([input.current]);
+        expect(input.predicted).toEqual([]);
+        expect(input.predictedData()).toBe(input.current);
+      });
+
+      test('Adds each coalesced sample to the history', () => {
+        const event = pointermove(30, {
+          getCoalescedEvents: () => [10, 20, 30].map(x => pointermove(x)),
+        });
+        const input = new Input(pointermove(0), 7);
+        input.update(event);
+
+        expect(input.coalesced.map(data => data.point.x)).toEqual([10, 20, 30]);
+        expect(input.coalesced[2]).toBe(input.current);
+        expect(input.current.event).toBe(event);
+        expect(input.history.map(data => data.point.x))
+          .toEqual([0, 10, 20, 30]);
+      });
+
+      test('Keeps the history bounded with coalesced samples', () => {
+        const event = pointermove(30, {
+          getCoalescedEvents: () => [10, 20, 30].map(x => pointermove(x)),
+        });
+        const input = new Input(pointermove(0), 7, { historySize: 2 });
+        input.update(event);
+        expect(input.history.map(data => data.point.x)).toEqual([20, 30]);
+      });
+
+      test('Records the predicted samples of the latest event', () => {
+        const input = new Input(pointermove(0, {
+          getPredictedEvents: () => [pointermove(5)],
+        }), 7);
+        expect(input.predictedData().point.x).toBe(5);
+
+        input.update(pointermove(10, {
+          getPredictedEvents: () => [12, 14].map(x => pointermove(x)),
+        }));
+        expect(input.predicted.map(data => data.point.x)).toEqual([12, 14]);
+        expect(input.predictedData().point.x).toBe(14);
+      });
+
+      test('Reads the initial predictions by the input\'s identifier', () => {
+        function touch(type, x) {
+          return {
+            type,
+            changedTouches: [
+              { identifier: 2, clientX: 0, clientY: 0 },
+              { identifier: 3, clientX: x, clientY: x },
+            ],
+            target:         document,
+          };
+        }
+        const event = touch('touchstart', 10);
+        event.getPredictedEvents = () => [touch('touchmove', 20)];
+        const input = new Input(event, 3);
+        expect(input.predicted[0].point).toMatchObject({ x: 20, y: 20 });
+      });
+    });
+
+    describe('velocity and acceleration', () => {
+      function sample(type, time, x, y) {
+        return {
+          type,
+          timeStamp: time,
+          clientX:   x,
+          clientY:   y,
+          target:    activediv,
+        };
+      }
+
+      test('Are zero with only a single sample', () => {
+        const input = new Input(sample('mousedown', 1000, 0, 0), 1);
+        expect(input.velocity()).toMatchObject({ x: 0, y: 0 });
+        expect(input.acceleration()).toMatchObject({ x: 0, y: 0 });
+      });
+
+      test('Estimates constant velocity despite irregular timing', () => {
+        const input = new Input(sample('mousedown', 1000, 0, 0), 1);
+        [3, 20, 22, 51, 60].forEach(dt => {
+          input.update(sample('mousemove', 1000 + dt, 2 * dt, -dt));
+        });
+        expect(input.velocity().x).toBeCloseTo(2);
+        expect(input.velocity().y).toBeCloseTo(-1);
+        expect(input.acceleration().x).toBeCloseTo(0);
+        expect(input.acceleration().y).toBeCloseTo(0);
+      });
+
+      test('Estimates constant acceleration at the current sample', () => {
+        const input = new Input(sample('mousedown', 1000, 0, 0), 1);
+        [5, 16, 30, 33, 50].forEach(dt => {
+          input.update(sample('mousemove', 1000 + dt, dt * dt, 0));
+        });
+        expect(input.velocity().x).toBeGreaterThan(0);
+        expect(input.acceleration().x).toBeCloseTo(2);
+      });
+
+      test('Only considers samples within the velocity window', () => {
+        const input = new Input(sample('mousedown', 1000, 500, 0), 1, {
+          velocityWindow: 50,
+        });
+        input.update(sample('mousemove', 1100, 0, 0));
+        input.update(sample('mousemove', 1120, 20, 0));
+        input.update(sample('mousemove', 1140, 40, 0));
+        expect(input.recentSamples().length).toBe(3);
+        expect(input.velocity().x).toBeCloseTo(1);
+      });
+    });
   });
 });
 
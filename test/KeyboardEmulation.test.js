@@ -0,0 +1,199 @@
+/* global expect, describe, test, jest, beforeEach, afterEach */
+
+'use strict';
+
+const KeyboardEmulation = require('../src/KeyboardEmulation.js');
+const Region = require('../src/Region.js');
+const { CANCELLED } = require('../src/constants.js');
+const MockGesture = require('./MockGesture.js');
+
+describe('KeyboardEmulation', () => {
+  let element = null;
+  let gesture = null;
+  let region = null;
+
+  function press(key, init = {}, target = element) {
+    const event = new KeyboardEvent('keydown', {
+      key,
+      bubbles:    true,
+      cancelable: true,
+      ...init,
+    });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    element = document.createElement('div');
+    element.tabIndex = 0;
+    element.getBoundingClientRect = () => {
+      return { left: 100, top: 100, width: 200, height: 100 };
+    };
+    document.body.appendChild(element);
+
+    region = new Region(document.body, { keyboardEmulation: true });
+    const move = state => ({ transform: state.transform });
+    gesture = new MockGesture(element, move);
+    region.addGesture(gesture);
+  });
+
+  afterEach(() => {
+    region.destroy();
+    document.body.removeChild(element);
+    jest.useRealTimers();
+  });
+
+  describe('constructor(region, options)', () => {
+    test('Is created by the keyboardEmulation option of the Region', () => {
+      expect(region.keyboardEmulation).toBeInstanceOf(KeyboardEmulation);
+      expect(region.keyboardEmulation.options)
+        .toMatchObject(KeyboardEmulation.DEFAULTS);
+    });
+
+    test('Is disabled by default', () => {
+      const plain = new Region(element);
+      expect(plain.keyboardEmulation).toBeNull();
+      plain.destroy();
+    });
+  });
+
+  describe('handleEvent(event)', () => {
+    test('Drives the gesture with two virtual pointers', () => {
+      press('ArrowRight');
+      expect(gesture.phases()).toEqual(['start', 'move']);
+      expect(gesture.start.mock.calls[0][0].active.length).toBe(2);
+      expect(gesture.lastData()).toMatchObject({
+        source:   'keyboard',
+        centroid: { x: 210, y: 150 },
+      });
+    });
+
+    test('Arrow keys pan', () => {
+      press('ArrowUp');
+      expect(gesture.lastData().transform.translation.y).toBeCloseTo(-10);
+      press('ArrowLeft');
+      expect(gesture.lastData().transform.translation.x).toBeCloseTo(-10);
+      expect(gesture.lastData().centroid).toMatchObject({ x: 190, y: 140 });
+    });
+
+    test('Plus and minus zoom about the virtual pointers', () => {
+      press('+');
+      expect(gesture.lastData().transform.scale).toBeCloseTo(1.1);
+      press('-');
+      expect(gesture.lastData().transform.scale).toBeCloseTo(1 / 1.1);
+      expect(gesture.lastData().centroid.x).toBeCloseTo(200);
+    });
+
+    test('Brackets rotate', () => {
+      press(']');
+      expect(gesture.lastData().transform.rotation).toBeCloseTo(Math.PI / 12);
+      press('[');
+      expect(gesture.lastData().transform.rotation).toBeCloseTo(-Math.PI / 12);
+    });
+
+    test('Continues the session while keys are pressed', () => {
+      press('ArrowRight');
+      jest.advanceTimersByTime(400);
+      press('ArrowRight');
+      jest.advanceTimersByTime(400);
+      expect(gesture.phases()).toEqual(['start', 'move', 'move']);
+    });
+
+    test('Ends the session after the timeout', () => {
+      press('ArrowRight');
+      jest.advanceTimersByTime(500);
+      expect(gesture.phases()).toEqual(['start', 'move', 'end']);
+      expect(region.syntheticSessions.size).toBe(0);
+
+      press('ArrowRight');
+      expect(gesture.phases())
+        .toEqual(['start', 'move', 'end', 'start', 'move']);
+    });
+
+    test('Escape cancels the session', () => {
+      press('ArrowRight');
+      press('Escape');
+      expect(gesture.cancel).toHaveBeenCalledTimes(1);
+      expect(gesture.recognizerState).toBe(CANCELLED);
+      expect(region.syntheticSessions.size).toBe(0);
+    });
+
+    test('Prevents the default action of keys which drive gestures', () => {
+      expect(press('ArrowDown').defaultPrevented).toBe(true);
+      expect(press('a').defaultPrevented).toBe(false);
+    });
+
+    test('Passes the keyboard event along as the source event', () => {
+      const event = press('ArrowDown');
+      expect(gesture.lastData().event.sourceEvent).toBe(event);
+    });
+
+    test('Ignores keys pressed with Ctrl, Alt or Meta', () => {
+      press('+', { ctrlKey: true });
+      press('+', { altKey: true });
+      press('+', { metaKey: true });
+      expect(gesture.handler).not.toHaveBeenCalled();
+    });
+
+    test('Ignores keys pressed in text fields', () => {
+      const input = document.createElement('input');
+      element.appendChild(input);
+      press('ArrowLeft', {}, input);
+      expect(gesture.handler).not.toHaveBeenCalled();
+    });
+
+    test('Ignores elements without gestures', () => {
+      const other = document.createElement('div');
+      document.body.appendChild(other);
+      expect(press('ArrowLeft', {}, other).defaultPrevented).toBe(false);
+      expect(region.syntheticSessions.size).toBe(0);
+      document.body.removeChild(other);
+    });
+
+    test('Ends the session when focus moves to another element', () => {
+      const child = document.createElement('div');
+      element.appendChild(child);
+      child.getBoundingClientRect = element.getBoundingClientRect;
+      press('ArrowRight');
+      press('ArrowRight', {}, child);
+      expect(gesture.phases())
+        .toEqual(['start', 'move', 'end', 'start', 'move']);
+      expect(region.syntheticSessions.size).toBe(1);
+    });
+
+    test('Is cancelled along with the other sessions of the region', () => {
+      press('ArrowRight');
+      region.cancel(new CustomEvent('blur'));
+      expect(gesture.cancel).toHaveBeenCalledTimes(1);
+      expect(region.syntheticSessions.size).toBe(0);
+      jest.advanceTimersByTime(500);
+      expect(gesture.end).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('options', () => {
+    test('Bindings and steps can be configured', () => {
+      region.destroy();
+      region = new Region(document.body, {
+        keyboardEmulation: {
+          bindings: { KeyD: 'panRight' },
+          panStep:  4,
+        },
+      });
+      region.addGesture(gesture);
+
+      press('ArrowRight');
+      expect(gesture.handler).not.toHaveBeenCalled();
+      press('d', { code: 'KeyD' });
+      expect(gesture.lastData().transform.translation.x).toBeCloseTo(4);
+    });
+
+    test('The timeout can be configured', () => {
+      region.keyboardEmulation.options.timeout = 100;
+      press('ArrowRight');
+      jest.advanceTimersByTime(100);
+      expect(gesture.phases()).toEqual(['start', 'move', 'end']);
+    });
+  });
+});
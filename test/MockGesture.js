@@ -0,0 +1,37 @@
+/* global jest */
+
+'use strict';
+
+const Gesture = require('../src/Gesture.js');
+
+/*
+ * A gesture whose hooks and handler are mocks. Every hook returns empty
+ * results, except for 'move', which returns whatever the given function
+ * returns for the state.
+ */
+class MockGesture extends Gesture {
+  constructor(element, move = () => ({})) {
+    super('test', element, jest.fn());
+    this.start = jest.fn(() => ({}));
+    this.move = jest.fn(move);
+    this.end = jest.fn(() => ({}));
+    this.cancel = jest.fn(() => ({}));
+  }
+
+  /*
+   * The phases of all the results passed to the handler so far.
+   */
+  phases() {
+    return this.handler.mock.calls.map(([data]) => data.phase);
+  }
+
+  /*
+   * The latest results passed to the handler.
+   */
+  lastData() {
+    const { calls } = this.handler.mock;
+    return calls[calls.length - 1][0];
+  }
+}
+
+module.exports = MockGesture;
@@ -0,0 +1,267 @@
+/* global expect, describe, test, jest, beforeEach, afterEach */
+
+'use strict';
+
+const Gesture = require('../src/Gesture.js');
+const HeadlessRegion = require('../src/HeadlessRegion.js');
+const Player = require('../src/Player.js');
+const Recorder = require('../src/Recorder.js');
+const Region = require('../src/Region.js');
+const MockGesture = require('./MockGesture.js');
+
+// Timestamps this large are taken to be relative to the epoch.
+const EPOCH = 2e12;
+
+describe('Player', () => {
+  let element = null;
+  let gesture = null;
+  let recording = null;
+  let region = null;
+
+  /*
+   * Sets up a region over a fresh copy of the same document, with a gesture
+   * on the second child of the region's element.
+   */
+  function setUp() {
+    if (region !== null) {
+      region.destroy();
+      document.body.removeChild(element);
+    }
+    element = document.createElement('div');
+    element.innerHTML = '<span></span><span></span>';
+    document.body.appendChild(element);
+    region = new Region(element);
+    const move = state => ({ velocity: state.centroidVelocity });
+    gesture = new MockGesture(element.children[1], move);
+    region.addGesture(gesture);
+  }
+
+  function pointer(type, x, y, id, time) {
+    const event = new PointerEvent(type, x, y, element.children[1], id);
+    event.timeStamp = EPOCH + time;
+    return event;
+  }
+
+  beforeEach(() => {
+    region = null;
+    setUp();
+    const recorder = new Recorder(region);
+    recorder.start();
+    region.arbitrate(pointer('pointerdown', 10, 10, 1, 0));
+    region.arbitrate(pointer('pointermove', 20, 10, 1, 10));
+    region.arbitrate(pointer('pointermove', 30, 10, 1, 20));
+    region.arbitrate(pointer('pointerup', 30, 10, 1, 50));
+    recording = JSON.parse(JSON.stringify(recorder));
+    setUp();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  describe('constructor(region, recording, options)', () => {
+    test('Accepts recordings as JSON', () => {
+      const player = new Player(region, JSON.stringify(recording));
+      expect(player.recording).toEqual(recording);
+      expect(player.position).toBe(0);
+      expect(player.options).toEqual(Player.DEFAULTS);
+    });
+
+    test('Throws on anything which is not a recording', () => {
+      expect(() => new Player(region, {})).toThrow(TypeError);
+      expect(() => new Player(region, 'null')).toThrow(TypeError);
+      recording.version = 2;
+      expect(() => new Player(region, recording)).toThrow(RangeError);
+      recording.version = 1;
+      recording.events[0].kind = 'wheel';
+      expect(() => new Player(region, recording)).toThrow(TypeError);
+    });
+  });
+
+  describe('play()', () => {
+    test('Replays as fast as possible', () => {
+      const player = new Player(region, recording, { realTime: false });
+      const promise = player.play();
+      expect(gesture.phases()).toEqual(['start', 'move', 'move', 'end']);
+      expect(player.isPlaying).toBe(false);
+      return expect(promise).resolves.toBeUndefined();
+    });
+
+    test('Reproduces the recorded targets, points, and timing', () => {
+      new Player(region, recording, { realTime: false }).play();
+      const data = gesture.handler.mock.calls[2][0];
+      expect(data.target).toBe(element.children[1]);
+      expect(data.centroid).toMatchObject({ x: 30, y: 10 });
+      expect(data.velocity.x).toBeCloseTo(1);
+      expect(gesture.lastData().event.time - data.event.time).toBe(30);
+    });
+
+    test('Replays in real time', () => {
+      jest.useFakeTimers();
+      const player = new Player(region, recording);
+      const done = jest.fn();
+      player.play().then(done);
+      expect(player.isPlaying).toBe(true);
+      jest.advanceTimersByTime(0);
+      expect(gesture.phases()).toEqual(['start']);
+      jest.advanceTimersByTime(19);
+      expect(gesture.phases()).toEqual(['start', 'move']);
+      jest.advanceTimersByTime(1);
+      expect(gesture.phases()).toEqual(['start', 'move', 'move']);
+      jest.advanceTimersByTime(30);
+      expect(gesture.phases()).toEqual(['start', 'move', 'move', 'end']);
+      expect(player.isPlaying).toBe(false);
+      return Promise.resolve().then(() => expect(done).toHaveBeenCalled());
+    });
+
+    test('Rejects and rewinds if the region throws', () => {
+      const error = new Error('oops');
+      gesture.handler.mockImplementationOnce(() => {
+        throw error;
+      });
+      const player = new Player(region, recording, { realTime: false });
+      const promise = player.play();
+      expect(player.position).toBe(0);
+      expect(player.isPlaying).toBe(false);
+      return expect(promise).rejects.toBe(error);
+    });
+
+    test('Rejects if the region throws while replaying in real time', () => {
+      jest.useFakeTimers();
+      const error = new Error('oops');
+      gesture.handler.mockImplementationOnce(() => {
+        throw error;
+      });
+      const player = new Player(region, recording);
+      const promise = player.play();
+      jest.advanceTimersByTime(0);
+      expect(player.position).toBe(0);
+      expect(player.isPlaying).toBe(false);
+      return expect(promise).rejects.toBe(error);
+    });
+  });
+
+  describe('stop()', () => {
+    test('Pauses until played again', () => {
+      jest.useFakeTimers();
+      const player = new Player(region, recording);
+      player.play();
+      jest.advanceTimersByTime(10);
+      player.stop();
+      jest.advanceTimersByTime(100);
+      expect(gesture.phases()).toEqual(['start', 'move']);
+      player.play();
+      jest.advanceTimersByTime(100);
+      expect(gesture.phases()).toEqual(['start', 'move', 'move', 'end']);
+    });
+  });
+
+  describe('step() and rewind()', () => {
+    test('Replay one event at a time, and start over', () => {
+      const player = new Player(region, recording);
+      expect(player.step()).toBe(true);
+      expect(player.step()).toBe(true);
+      expect(gesture.phases()).toEqual(['start', 'move']);
+      player.rewind();
+      expect(player.position).toBe(0);
+      new Player(region, recording, { realTime: false }).play();
+      expect(player.step()).toBe(true);
+      player.position = recording.events.length;
+      expect(player.step()).toBe(false);
+    });
+  });
+
+  describe('Replayed events', () => {
+    test('Keys and modifiers are replayed', () => {
+      gesture.options.enableKeys = ['Shift'];
+      recording.events.splice(1, 3, {
+        kind:      'key',
+        type:      'keydown',
+        time:      5,
+        key:       'Shift',
+        code:      'ShiftLeft',
+        modifiers: ['shiftKey'],
+        target:    null,
+        path:      [],
+      });
+      new Player(region, recording, { realTime: false }).play();
+      expect(gesture.start).toHaveBeenCalledTimes(1);
+      expect(region.state.event).toMatchObject({
+        key:      'Shift',
+        shiftKey: true,
+        ctrlKey:  false,
+      });
+    });
+
+    test('Cancel events cancel the gestures in progress', () => {
+      recording.events.splice(2, 2, {
+        kind:      'cancel',
+        type:      'blur',
+        time:      30,
+        modifiers: [],
+        target:    null,
+        path:      ['window'],
+      });
+      new Player(region, recording, { realTime: false }).play();
+      expect(gesture.cancel).toHaveBeenCalledTimes(1);
+      expect(region.state.hasNoInputs()).toBe(true);
+    });
+
+    test('Recorded phases are used as is', () => {
+      recording.events[1].phase = 'end';
+      new Player(region, recording, { realTime: false }).play();
+      expect(gesture.phases()).toEqual(['start', 'end']);
+    });
+
+    test('Coalesced samples are replayed', () => {
+      const [move] = recording.events.splice(2, 2);
+      const sample = { ...move.inputs[0], clientX: 25 };
+      move.coalesced = [{ time: 15, inputs: [sample] }];
+      recording.events.push(move);
+      new Player(region, recording, { realTime: false }).play();
+      const [input] = region.state.active;
+      expect(input.coalesced.map(data => data.point.x)).toEqual([25, 30]);
+    });
+
+    test('Keyboard emulation is replayed from the recorded keys', () => {
+      region.destroy();
+      region = new Region(element, { keyboardEmulation: true });
+      region.addGesture(gesture);
+      recording.events = [{
+        kind:      'key',
+        type:      'keydown',
+        time:      0,
+        key:       'ArrowLeft',
+        code:      'ArrowLeft',
+        modifiers: [],
+        target:    [1],
+        path:      [],
+      }];
+      new Player(region, recording, { realTime: false }).play();
+      expect(gesture.phases()).toEqual(['start', 'move']);
+      expect(gesture.lastData().source).toBe('keyboard');
+    });
+
+    test('Replays into headless regions, with resolved targets', () => {
+      const scene = { name: 'scene', parentNode: null };
+      const sprite = { name: 'sprite', parentNode: scene };
+      const nodes = { scene, sprite };
+      const headless = new HeadlessRegion(scene);
+      const headlessHandler = jest.fn();
+      const other = new Gesture('test', sprite, headlessHandler);
+      other.start = () => ({});
+      headless.addGesture(other);
+      recording.events.forEach(entry => {
+        entry.target = 'sprite';
+      });
+
+      const resolveTarget = name => nodes[name];
+      new Player(headless, recording, { realTime: false, resolveTarget })
+        .play();
+      expect(headlessHandler).toHaveBeenCalledTimes(1);
+      expect(headlessHandler.mock.calls[0][0].target).toBe(sprite);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-/* global expect, describe, test, beforeAll */
+/* global expect, describe, test, beforeAll, afterEach */
 
 'use strict';
 
@@ -81,6 +81,17 @@ describe('PointerData', () => {
       expect(mdata.time / 1000).toBeCloseTo(Date.now() / 1000, 1);
     });
 
+    test('Prefers the timestamp of the event, relative to the origin', () => {
+      const data = new PointerData({ ...mouseevent, timeStamp: 250 }, id);
+      expect(data.time).toBeCloseTo(performance.timeOrigin + 250);
+    });
+
+    test('Accepts event timestamps relative to the epoch', () => {
+      const timeStamp = Date.now() - 1000;
+      const data = new PointerData({ ...mouseevent, timeStamp }, id);
+      expect(data.time).toBe(timeStamp);
+    });
+
     test('Saves the correct clientX and clientY as a Point2D', () => {
       expect(mdata.point).toBeInstanceOf(Point2D);
       expect(mdata.point.x).toBe(mouseevent.clientX);
@@ -91,5 +102,167 @@ describe('PointerData', () => {
       expect(tdata.point.y).toBe(touchevent.changedTouches[1].clientY);
     });
   });
-});
 
+  describe('pen and contact geometry', () => {
+    test('Uses the defaults for a mouse', () => {
+      const data = new PointerData(mouseevent, id);
+      expect(data).toMatchObject({
+        pointerType:        'mouse',
+        isPrimary:          true,
+        pressure:           0.5,
+        tangentialPressure: 0,
+        tiltX:              0,
+        tiltY:              0,
+        twist:              0,
+        width:              1,
+        height:             1,
+        buttons:            1,
+        barrelButton:       false,
+        eraser:             false,
+      });
+    });
+
+    test('Assumes the button of the event is pressed if not reported', () => {
+      const down = { ...mouseevent, type: 'mousedown', button: 2 };
+      const up = { ...mouseevent, type: 'mouseup', button: 2 };
+      expect(new PointerData(down, id).buttons).toBe(2);
+      expect(new PointerData(up, id).buttons).toBe(0);
+      expect(new PointerData({ ...down, buttons: 6 }, id).buttons).toBe(6);
+    });
+
+    test('Has no pressure once the pointer is released', () => {
+      const data = new PointerData({ ...mouseevent, type: 'mouseup' }, id);
+      expect(data.pressure).toBe(0);
+    });
+
+    test('Captures the data of a PointerEvent', () => {
+      const data = new PointerData({
+        ...mouseevent,
+        type:               'pointermove',
+        pointerType:        'pen',
+        isPrimary:          false,
+        pressure:           0.8,
+        tangentialPressure: -0.2,
+        tiltX:              30,
+        tiltY:              -15,
+        twist:              90,
+        width:              3,
+        height:             4,
+        buttons:            3,
+      }, id);
+      expect(data).toMatchObject({
+        pointerType:        'pen',
+        isPrimary:          false,
+        pressure:           0.8,
+        tangentialPressure: -0.2,
+        tiltX:              30,
+        tiltY:              -15,
+        twist:              90,
+        width:              3,
+        height:             4,
+        buttons:            3,
+        barrelButton:       true,
+        eraser:             false,
+      });
+    });
+
+    test('Detects the eraser end of a pen', () => {
+      const pen = { ...mouseevent, type: 'pointerdown', pointerType: 'pen' };
+      expect(new PointerData({ ...pen, buttons: 32 }, id).eraser).toBe(true);
+      expect(new PointerData({ ...pen, button: 5 }, id).eraser).toBe(true);
+      expect(new PointerData({ ...pen, buttons: 1 }, id).eraser).toBe(false);
+    });
+
+    test('Uses the force and radii of a Touch', () => {
+      const touch = touchevent.changedTouches[1];
+      const event = {
+        ...touchevent,
+        changedTouches: [{ ...touch, force: 0.3, radiusX: 5, radiusY: 8 }],
+      };
+      expect(new PointerData(event, id)).toMatchObject({
+        pointerType: 'touch',
+        pressure:    0.3,
+        width:       10,
+        height:      16,
+      });
+    });
+
+    test('Converts the altitude and azimuth of a stylus Touch to tilt', () => {
+      const touch = touchevent.changedTouches[1];
+      const event = {
+        ...touchevent,
+        changedTouches: [{
+          ...touch,
+          touchType:     'stylus',
+          altitudeAngle: Math.PI / 4,
+          azimuthAngle:  0,
+        }],
+      };
+      const data = new PointerData(event, id);
+      expect(data.pointerType).toBe('pen');
+      expect(data.tiltX).toBeCloseTo(45);
+      expect(data.tiltY).toBeCloseTo(0);
+    });
+
+    test('Treats the first touch on the surface as primary', () => {
+      const touches = touchevent.changedTouches;
+      const event = { ...touchevent, touches };
+      expect(new PointerData(event, 17).isPrimary).toBe(true);
+      expect(new PointerData(event, 42).isPrimary).toBe(false);
+    });
+  });
+
+  describe('pagePoint', () => {
+    test('Uses the page coordinates reported by the event', () => {
+      const data = new PointerData({ ...mouseevent, pageX: 7, pageY: 900 }, id);
+      expect(data.pagePoint).toMatchObject({ x: 7, y: 900 });
+    });
+
+    test('Adds the scroll offset of the page otherwise', () => {
+      window.pageXOffset = 10;
+      window.pageYOffset = 200;
+      const data = new PointerData(mouseevent, id);
+      expect(data.pagePoint).toMatchObject({ x: 99, y: 253 });
+      window.pageXOffset = 0;
+      window.pageYOffset = 0;
+    });
+  });
+
+  describe('localPoint(element)', () => {
+    afterEach(() => {
+      delete element.getBoundingClientRect;
+    });
+
+    test('Uses client coordinates for the window', () => {
+      const data = new PointerData(mouseevent, id);
+      expect(data.localPoint(window)).toMatchObject({ x: 89, y: 53 });
+    });
+
+    test('Uses client coordinates for anything but an element', () => {
+      const data = new PointerData(mouseevent, id);
+      expect(data.localPoint(null)).toMatchObject({ x: 89, y: 53 });
+      expect(data.localPoint({})).toMatchObject({ x: 89, y: 53 });
+    });
+
+    test('Measures the point relative to the element', () => {
+      element.getBoundingClientRect = () => ({ left: 80, top: 50 });
+      const data = new PointerData(mouseevent, id);
+      expect(data.localPoint(element)).toMatchObject({ x: 9, y: 3 });
+    });
+
+    test('Remembers the point once it has been computed', () => {
+      element.getBoundingClientRect = () => ({ left: 80, top: 50 });
+      const data = new PointerData(mouseevent, id);
+      const local = data.localPoint(element);
+      element.getBoundingClientRect = () => ({ left: 0, top: 0 });
+      expect(data.localPoint(element)).toBe(local);
+    });
+
+    test('Is null if the element has been scaled down to nothing', () => {
+      element.style.transform = 'matrix(0, 0, 0, 0, 0, 0)';
+      const data = new PointerData(mouseevent, id);
+      expect(data.localPoint(element)).toBeNull();
+      element.style.transform = '';
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/* global expect, describe, test, jest, beforeEach, afterEach */
+
+'use strict';
+
+const HeadlessRegion = require('../src/HeadlessRegion.js');
+const Recorder = require('../src/Recorder.js');
+const Region = require('../src/Region.js');
+
+// Timestamps this large are taken to be relative to the epoch.
+const EPOCH = 2e12;
+
+describe('Recorder', () => {
+  let element = null;
+  let target = null;
+  let recorder = null;
+  let region = null;
+
+  function pointer(type, x, y, id = 0, time = 0) {
+    const event = new PointerEvent(type, x, y, target, id);
+    event.timeStamp = EPOCH + time;
+    event.pointerType = 'touch';
+    return event;
+  }
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    element.id = 'canvas';
+    element.innerHTML = '<span></span><span class="knob big"></span>';
+    document.body.appendChild(element);
+    target = element.children[1];
+    region = new Region(element);
+    recorder = new Recorder(region);
+    recorder.start();
+  });
+
+  afterEach(() => {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  describe('constructor(region, options)', () => {
+    test('Starts without events', () => {
+      const other = new Recorder(region);
+      expect(other.events).toEqual([]);
+      expect(other.startTime).toBeNull();
+      expect(other.isRecording).toBe(false);
+    });
+  });
+
+  describe('start() and stop()', () => {
+    test('Only events processed while recording are recorded', () => {
+      expect(recorder.isRecording).toBe(true);
+      region.arbitrate(pointer('pointerdown', 10, 20));
+      recorder.stop();
+      expect(recorder.isRecording).toBe(false);
+      region.arbitrate(pointer('pointerup', 10, 20));
+      expect(recorder.events.length).toBe(1);
+    });
+  });
+
+  describe('Recorded events', () => {
+    test('Input events are recorded with their inputs', () => {
+      region.arbitrate(pointer('pointerdown', 10, 20, 3, 100));
+      region.arbitrate(pointer('pointermove', 15, 20, 3, 116));
+      expect(recorder.startTime).toBe(EPOCH + 100);
+      expect(recorder.events.map(entry => entry.time)).toEqual([0, 16]);
+      expect(recorder.events[1]).toMatchObject({
+        kind:   'input',
+        type:   'pointermove',
+        phase:  'move',
+        inputs: [{
+          identifier:  3,
+          clientX:     15,
+          clientY:     20,
+          pointerType: 'touch',
+          isPrimary:   true,
+          buttons:     1,
+          pressure:    0.5,
+          width:       1,
+          height:      1,
+        }],
+      });
+    });
+
+    test('Targets are recorded by index path, and the path described', () => {
+      region.arbitrate(pointer('pointerdown', 10, 20));
+      expect(recorder.events[0].target).toEqual([1]);
+      expect(recorder.events[0].path).toEqual([
+        'span.knob.big',
+        'div#canvas',
+        'body',
+        'html',
+        '#document',
+        'window',
+      ]);
+    });
+
+    test('Modifier keys are recorded', () => {
+      const event = pointer('pointerdown', 10, 20);
+      event.shiftKey = true;
+      event.metaKey = true;
+      region.arbitrate(event);
+      expect(recorder.events[0].modifiers).toEqual(['metaKey', 'shiftKey']);
+    });
+
+    test('Keyboard events are recorded with their keys', () => {
+      region.arbitrate(pointer('pointerdown', 10, 20, 0, 50));
+      region.handleKeyboardEvent({
+        type:    'keydown',
+        key:     'Control',
+        code:    'ControlLeft',
+        ctrlKey: true,
+        target:  document.body,
+      });
+      expect(recorder.events[1]).toEqual({
+        kind:      'key',
+        type:      'keydown',
+        time:      0,
+        key:       'Control',
+        code:      'ControlLeft',
+        modifiers: ['ctrlKey'],
+        target:    null,
+        path:      ['body', 'html', '#document', 'window'],
+      });
+    });
+
+    test('Cancel events are recorded', () => {
+      region.arbitrate(pointer('pointerdown', 10, 20));
+      region.cancel({ type: 'blur', target: window, preventDefault() {} });
+      expect(recorder.events[1]).toMatchObject({
+        kind:   'cancel',
+        type:   'blur',
+        target: null,
+        path:   ['window'],
+      });
+      expect(recorder.events[1].inputs).toBeUndefined();
+    });
+
+    test('Coalesced and predicted samples are recorded', () => {
+      region.arbitrate(pointer('pointerdown', 10, 20, 0, 0));
+      const event = pointer('pointermove', 30, 20, 0, 16);
+      const sample = pointer('pointermove', 20, 20, 0, 8);
+      const prediction = pointer('pointermove', 40, 20, 0, 24);
+      event.getCoalescedEvents = () => [sample, event];
+      event.getPredictedEvents = () => [prediction];
+      region.arbitrate(event);
+      expect(recorder.events[1].coalesced).toMatchObject([
+        { time: 8, inputs: [{ clientX: 20 }] },
+      ]);
+      expect(recorder.events[1].predicted).toMatchObject([
+        { time: 24, inputs: [{ clientX: 40 }] },
+      ]);
+    });
+
+    test('Targets can be described by the describeTarget option', () => {
+      const describeTarget = jest.fn(node => node.className);
+      recorder.stop();
+      recorder = new Recorder(region, { describeTarget });
+      recorder.start();
+      region.arbitrate(pointer('pointerdown', 10, 20));
+      expect(describeTarget).toHaveBeenCalledWith(target, region);
+      expect(recorder.events[0].target).toBe('knob big');
+    });
+
+    test('The inputs of headless regions are recorded', () => {
+      const scene = { name: 'scene', parentNode: null };
+      const sprite = { name: 'sprite', parentNode: scene };
+      const headless = new HeadlessRegion(scene);
+      recorder = new Recorder(headless, {
+        describeTarget: node => (node ? node.name : null),
+      });
+      recorder.start();
+      headless.push({
+        identifier: 'a',
+        phase:      'start',
+        point:      { x: 1, y: 2 },
+        time:       40,
+        path:       [sprite, scene],
+      });
+      expect(recorder.events[0]).toMatchObject({
+        kind:   'input',
+        phase:  'start',
+        time:   0,
+        inputs: [{ identifier: 'a', clientX: 1, clientY: 2 }],
+        target: 'sprite',
+        path:   ['sprite', 'scene'],
+      });
+    });
+  });
+
+  describe('clear()', () => {
+    test('Discards the recorded events', () => {
+      region.arbitrate(pointer('pointerdown', 10, 20));
+      recorder.clear();
+      expect(recorder.events).toEqual([]);
+      expect(recorder.startTime).toBeNull();
+    });
+  });
+
+  describe('toJSON()', () => {
+    test('Gives a versioned recording which survives JSON', () => {
+      region.arbitrate(pointer('pointerdown', 10, 20, 0, 5));
+      const recording = JSON.parse(JSON.stringify(recorder));
+      expect(recording).toEqual({
+        format:    'westures-recording',
+        version:   1,
+        startTime: EPOCH + 5,
+        events:    recorder.events,
+      });
+    });
+  });
+});
@@ -1,10 +1,11 @@
-/* global expect, describe, test, jest, beforeAll, beforeEach */
+/* global expect, describe, test, jest, beforeAll, beforeEach, afterEach */
 
 'use strict';
 
 const _ = require('lodash');
 const Gesture = require('../src/Gesture.js');
 const Region = require('../src/Region.js');
+const inputSources = require('../src/inputSources.js');
 const {
   CANCEL,
   END,
@@ -14,6 +15,13 @@ const {
   STATE_KEYS,
   STATE_KEY_STRINGS,
 
+  BEGAN,
+  CANCELLED,
+  CHANGED,
+  ENDED,
+  FAILED,
+  POSSIBLE,
+
   MOUSE_EVENTS,
   TOUCH_EVENTS,
   POINTER_EVENTS,
@@ -135,6 +143,25 @@ describe('Region', () => {
       });
     });
 
+    test('Attaches listeners for the given input sources', () => {
+      const source = inputSources.create({ events: ['stylusdown'] });
+      region = new Region(element, { inputSources: [source] });
+      expect(region.inputSources).toEqual([source]);
+      expect(element.addEventListener)
+        .toHaveBeenCalledWith('stylusdown', expect.anything(), {
+          'capture': false,
+          'once':    false,
+          'passive': false,
+        });
+      expect(element.addEventListener)
+        .not.toHaveBeenCalledWith('pointerdown', expect.anything(), {
+          'capture': false,
+          'once':    false,
+          'passive': false,
+        });
+      inputSources.unregister(source);
+    });
+
     test('Attaches "cancel" and keyboard event listeners to the window', () => {
       new Region(element);
       CANCEL_EVENTS.concat(KEYBOARD_EVENTS).forEach(event => {
@@ -181,6 +208,135 @@ describe('Region', () => {
         expect(() => region.addGesture(gesture)).not.toThrow();
         expect(region.gestures.has(gesture)).toBe(true);
       });
+
+      test('Sets the touch-action property of the gesture element', () => {
+        gesture_element.style.touchAction = 'auto';
+        region.addGesture(gesture);
+        expect(gesture_element.style.touchAction).toBe('none');
+        region.removeGesture(gesture);
+      });
+    });
+
+    describe('removeGesture(gesture)', () => {
+      test('Restores touch-action once no gestures use the element', () => {
+        const gesture3 = new Gesture('dummy', gesture_element, jest.fn());
+        gesture_element.style.touchAction = 'pan-y';
+        region.addGesture(gesture);
+        region.addGesture(gesture3);
+
+        region.removeGesture(gesture);
+        expect(gesture_element.style.touchAction).toBe('none');
+        region.removeGesture(gesture3);
+        expect(gesture_element.style.touchAction).toBe('pan-y');
+      });
+    });
+
+    describe('deactivate()', () => {
+      beforeEach(() => {
+        element.removeEventListener = jest.fn();
+        window.removeEventListener = jest.fn();
+        addGestures();
+      });
+
+      test('Removes every listener that was added by the region', () => {
+        region.deactivate();
+
+        element.addEventListener.mock.calls.forEach(([name, handler]) => {
+          expect(element.removeEventListener)
+            .toHaveBeenCalledWith(name, handler, false);
+        });
+        window.addEventListener.mock.calls.forEach(([name, handler]) => {
+          expect(window.removeEventListener)
+            .toHaveBeenCalledWith(name, handler, false);
+        });
+        expect(region.isActive).toBe(false);
+      });
+
+      test('Calls the "cancel" hook of gestures in progress', () => {
+        region.arbitrate(touchstart);
+        expect(gesture.cancel).not.toHaveBeenCalled();
+        region.deactivate();
+        expect(gesture.cancel).toHaveBeenCalledTimes(1);
+        expect(region.state.hasNoInputs()).toBe(true);
+        expect(region.activeGestures).toMatchObject(emptySet);
+      });
+
+      test('Releases pointer captures held by the state', () => {
+        region.arbitrate(touchstart);
+        region.element.releasePointerCapture = jest.fn();
+        region.deactivate();
+        expect(region.element.releasePointerCapture).toHaveBeenCalledWith(0);
+        delete region.element.releasePointerCapture;
+      });
+
+      test('Restores the original touch-action values', () => {
+        region.removeGesture(gesture);
+        region.removeGesture(gesture2);
+        gesture_element.style.touchAction = 'pan-x';
+        addGestures();
+        region.deactivate();
+        expect(gesture_element.style.touchAction).toBe('pan-x');
+      });
+
+      test('Is a no-op if the region is not active', () => {
+        region.deactivate();
+        window.removeEventListener.mockClear();
+        region.deactivate();
+        expect(window.removeEventListener).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('reactivate()', () => {
+      beforeEach(() => {
+        element.removeEventListener = jest.fn();
+        window.removeEventListener = jest.fn();
+        addGestures();
+      });
+
+      test('Adds the listeners again after deactivation', () => {
+        region.deactivate();
+        element.addEventListener.mockClear();
+        region.reactivate();
+        POINTER_EVENTS.forEach(event => {
+          expect(element.addEventListener)
+            .toHaveBeenCalledWith(event, expect.anything(), expect.anything());
+        });
+        expect(region.isActive).toBe(true);
+      });
+
+      test('Reapplies the touch-action values', () => {
+        region.deactivate();
+        region.reactivate();
+        expect(gesture_element.style.touchAction).toBe('none');
+      });
+
+      test('Is a no-op if the region is already active', () => {
+        element.addEventListener.mockClear();
+        region.reactivate();
+        expect(element.addEventListener).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('destroy()', () => {
+      beforeEach(() => {
+        element.removeEventListener = jest.fn();
+        window.removeEventListener = jest.fn();
+        addGestures();
+      });
+
+      test('Deactivates the region and removes all gestures', () => {
+        region.removeGesture(gesture);
+        region.removeGesture(gesture2);
+        gesture_element.style.touchAction = 'auto';
+        addGestures();
+        region.arbitrate(touchstart);
+
+        region.destroy();
+        expect(region.isActive).toBe(false);
+        expect(gesture.cancel).toHaveBeenCalledTimes(1);
+        expect(region.gestures).toMatchObject(emptySet);
+        expect(gesture_element.style.touchAction).toBe('auto');
+      });
     });
 
     describe('getGesturesByElement(element)', () => {
@@ -649,7 +805,7 @@ describe('Region', () => {
         });
       });
 
-      test('Is a no-op if "event.key" is not in STATE_KEY_STRINGS', () => {
+      test('Is a no-op if the held keys do not change', () => {
         const event = new KeyboardEvent('keyup', {
           key:     'K',
           ctrlKey: true,
@@ -675,6 +831,633 @@ describe('Region', () => {
       });
     });
 
+    describe('enableWhen', () => {
+      test('Conditions are re-evaluated on every move', () => {
+        let allowed = false;
+        Object.assign(gesture.options, { enableWhen: () => allowed });
+        addGestures();
+
+        region.arbitrate(touchstart);
+        expect(region.activeGestures).toEqual(emptySet);
+
+        allowed = true;
+        region.arbitrate(touchmove);
+        expect(region.activeGestures).toEqual(new Set([gesture]));
+        expect(gesture.start).toHaveBeenCalledTimes(1);
+        expect(gesture.move).toHaveBeenCalledTimes(1);
+
+        allowed = false;
+        region.arbitrate(touchmove);
+        expect(region.activeGestures).toEqual(emptySet);
+        expect(gesture.end).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('held keys', () => {
+      function key(type, name, code) {
+        return new KeyboardEvent(type, { key: name, code });
+      }
+
+      beforeEach(() => {
+        Object.assign(gesture.options, { enableKeys: ['Space'] });
+        Object.assign(gesture2.options, { minInputs: 1, disableKeys: ['r'] });
+        addGestures();
+      });
+
+      test('Any key can enable or disable gestures', () => {
+        region.arbitrate(touchstart2);
+        expect(region.activeGestures).toEqual(new Set([gesture2]));
+
+        region.handleKeyboardEvent(key('keydown', ' ', 'Space'));
+        expect(region.activeGestures).toEqual(new Set([gesture2, gesture]));
+        expect(gesture.start).toHaveBeenCalledTimes(1);
+
+        region.handleKeyboardEvent(key('keydown', 'r', 'KeyR'));
+        expect(region.activeGestures).toEqual(new Set([gesture]));
+        expect(gesture2.end).toHaveBeenCalledTimes(1);
+
+        region.handleKeyboardEvent(key('keyup', ' ', 'Space'));
+        expect(region.activeGestures).toEqual(emptySet);
+      });
+
+      test('Repeated keydown events do not restart gestures', () => {
+        region.arbitrate(touchstart2);
+        region.handleKeyboardEvent(key('keydown', ' ', 'Space'));
+        region.handleKeyboardEvent(key('keydown', ' ', 'Space'));
+        expect(gesture.start).toHaveBeenCalledTimes(1);
+      });
+
+      test('Keys are released by code', () => {
+        region.handleKeyboardEvent(key('keydown', 'R', 'KeyR'));
+        region.handleKeyboardEvent(key('keyup', 'r', 'KeyR'));
+        expect(region.state.heldKeys).toEqual(new Set());
+      });
+
+      test('Keys remain held after a cancel, except on blur', () => {
+        region.handleKeyboardEvent(key('keydown', ' ', 'Space'));
+        region.arbitrate(touchstart2);
+        region.cancel(new CustomEvent('pointercancel'));
+        expect(region.state.heldKeys).toEqual(new Set([' ', 'Space']));
+
+        region.cancel(new CustomEvent('blur'));
+        expect(region.state.heldKeys).toEqual(new Set());
+      });
+
+      test('Partitions share the held keys', () => {
+        region = new Region(element, { partitionInputs: true });
+        addGestures();
+        region.handleKeyboardEvent(key('keydown', ' ', 'Space'));
+        region.arbitrate(touchstart);
+        const session = region.partitions.get(gesture_element);
+        expect(session.activeGestures).toEqual(new Set([gesture]));
+      });
+    });
+
+    describe('propagation', () => {
+      beforeEach(() => {
+        addGestures();
+        Object.assign(gesture2.options, { minInputs: 1 });
+      });
+
+      test('Orders potential gestures from the innermost element out', () => {
+        region.removeGesture(gesture2);
+        region.addGesture(gesture2);
+        region.arbitrate(touchstart2);
+        expect(Array.from(region.potentialGestures)).toEqual([
+          gesture2,
+          gesture,
+        ]);
+      });
+
+      test('Evaluates gestures on inner elements first', () => {
+        const order = [];
+        gesture.start.mockImplementation(() => {
+          order.push(gesture.id);
+        });
+        gesture2.start.mockImplementation(() => {
+          order.push(gesture2.id);
+        });
+        region.arbitrate(touchstart2);
+        expect(order).toEqual([gesture2.id, gesture.id]);
+      });
+
+      test('stopPropagation() stops ancestors from being activated', () => {
+        gesture2.start.mockImplementation(state => {
+          gesture2.stopPropagation(state);
+        });
+        region.arbitrate(touchstart2);
+        expect(gesture.start).not.toHaveBeenCalled();
+        expect(region.potentialGestures).toMatchObject(gesture2_set);
+        expect(region.activeGestures).toMatchObject(gesture2_set);
+
+        region.arbitrate(touchmove2);
+        region.arbitrate(touchstart);
+        region.arbitrate(touchend);
+        expect(gesture.move).not.toHaveBeenCalled();
+        expect(gesture.start).not.toHaveBeenCalled();
+        expect(gesture2.move).toHaveBeenCalledTimes(1);
+      });
+
+      test('Cancels active ancestors when propagation is stopped', () => {
+        gesture2.move.mockImplementation(state => {
+          gesture2.stopPropagation(state);
+        });
+        region.arbitrate(touchstart2);
+        expect(gesture.start).toHaveBeenCalledTimes(1);
+        region.arbitrate(touchmove2);
+        expect(gesture.move).not.toHaveBeenCalled();
+        expect(gesture.cancel).toHaveBeenCalledTimes(1);
+        expect(gesture.recognizerState).toBe(CANCELLED);
+      });
+
+      test('Does not affect gestures on the same element', () => {
+        const gesture3 = new Gesture('three', gesture_element2, jest.fn());
+        gesture3.start = jest.fn();
+        region.addGesture(gesture3);
+        gesture2.start.mockImplementation(state => {
+          gesture2.stopPropagation(state);
+        });
+        region.arbitrate(touchstart2);
+        expect(gesture3.start).toHaveBeenCalledTimes(1);
+        expect(gesture.start).not.toHaveBeenCalled();
+      });
+
+      test('Propagation is restored for the next input session', () => {
+        gesture2.start.mockImplementationOnce(state => {
+          gesture2.stopPropagation(state);
+        });
+        region.arbitrate(touchstart2);
+        region.arbitrate(touchend2);
+        region.arbitrate(touchstart2);
+        expect(gesture.start).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('partitionInputs', () => {
+      let card1 = null;
+      let card2 = null;
+      let pan1 = null;
+      let pan2 = null;
+      let table = null;
+
+      function mockGesture(name, gestureElement) {
+        const mocked = new Gesture(name, gestureElement, jest.fn());
+        Object.assign(mocked, {
+          start:  jest.fn(),
+          move:   jest.fn(),
+          end:    jest.fn(),
+          cancel: jest.fn(),
+        });
+        return mocked;
+      }
+
+      beforeEach(() => {
+        card1 = document.createElement('div');
+        card2 = document.createElement('div');
+        element.appendChild(card1);
+        element.appendChild(card2);
+
+        region = new Region(element, { partitionInputs: true });
+        pan1 = mockGesture('pan1', card1);
+        pan2 = mockGesture('pan2', card2);
+        table = mockGesture('table', element);
+        region.addGesture(pan1);
+        region.addGesture(pan2);
+      });
+
+      test('Inputs on different elements form separate sessions', () => {
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 5, 5, card2, 11));
+        expect(region.partitions.size).toBe(2);
+        expect(region.partitions.get(card1).activeGestures)
+          .toMatchObject(new Set([pan1]));
+        expect(region.partitions.get(card2).activeGestures)
+          .toMatchObject(new Set([pan2]));
+
+        region.arbitrate(new TouchEvent('touchmove', 2, 2, card1, 10));
+        expect(pan1.move).toHaveBeenCalledTimes(1);
+        expect(pan2.move).not.toHaveBeenCalled();
+        expect(pan1.move.mock.calls[0][0].active.length).toBe(1);
+        expect(pan1.move.mock.calls[0][0].centroid).toMatchObject({ x: 2 });
+      });
+
+      test('Inputs on the same element join the same session', () => {
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 3, 3, card1, 11));
+        region.arbitrate(new TouchEvent('touchmove', 4, 4, card1, 11));
+        expect(region.partitions.size).toBe(1);
+        expect(pan1.start).toHaveBeenCalledTimes(2);
+        expect(pan1.move.mock.calls[0][0].active.length).toBe(2);
+      });
+
+      test('Sessions end independently', () => {
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 5, 5, card2, 11));
+        region.arbitrate(new TouchEvent('touchend', 1, 1, card1, 10));
+        expect(pan1.end).toHaveBeenCalledTimes(1);
+        expect(pan2.end).not.toHaveBeenCalled();
+        expect(region.partitions.has(card1)).toBe(false);
+        expect(region.partitions.has(card2)).toBe(true);
+
+        region.arbitrate(new TouchEvent('touchmove', 6, 6, card2, 11));
+        expect(pan2.move).toHaveBeenCalledTimes(1);
+      });
+
+      test('A gesture takes part in only one session at a time', () => {
+        region.addGesture(table);
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 5, 5, card2, 11));
+        expect(region.partitions.get(card1).activeGestures)
+          .toMatchObject(new Set([pan1, table]));
+        expect(region.partitions.get(card2).activeGestures)
+          .toMatchObject(new Set([pan2]));
+      });
+
+      test('Inputs on a shared ancestor get no gestures while taken', () => {
+        region.addGesture(table);
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 9, 9, element, 12));
+        expect(region.partitions.get(element).activeGestures)
+          .toEqual(new Set());
+        region.arbitrate(new TouchEvent('touchmove', 8, 8, element, 12));
+        expect(table.move).toHaveBeenCalledTimes(0);
+
+        region.arbitrate(new TouchEvent('touchend', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchend', 8, 8, element, 12));
+        region.arbitrate(new TouchEvent('touchstart', 9, 9, element, 13));
+        expect(region.partitions.get(element).activeGestures)
+          .toEqual(new Set([table]));
+      });
+
+      test('Cancel cancels every session', () => {
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 5, 5, card2, 11));
+        region.cancel(new CustomEvent('blur'));
+        expect(pan1.cancel).toHaveBeenCalledTimes(1);
+        expect(pan2.cancel).toHaveBeenCalledTimes(1);
+        expect(region.partitions.size).toBe(0);
+        expect(region.state.hasNoInputs()).toBe(true);
+      });
+
+      test('Cancelling an input only cancels its own session', () => {
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 5, 5, card2, 11));
+        region.cancel(new TouchEvent('touchcancel', 1, 1, card1, 10));
+        expect(pan1.cancel).toHaveBeenCalledTimes(1);
+        expect(pan2.cancel).not.toHaveBeenCalled();
+        expect(Array.from(region.partitions.keys())).toEqual([card2]);
+        expect(region.state.inputs.map(input => input.identifier))
+          .toEqual([11]);
+
+        region.arbitrate(new TouchEvent('touchmove', 6, 6, card2, 11));
+        expect(pan2.move).toHaveBeenCalledTimes(1);
+        region.arbitrate(new TouchEvent('touchmove', 2, 2, card1, 10));
+        expect(pan1.move).not.toHaveBeenCalled();
+      });
+
+      test('Keyboard changes restart gestures in every session', () => {
+        pan1.options.disableKeys = ['shiftKey'];
+        pan2.options.disableKeys = ['shiftKey'];
+        region.arbitrate(new TouchEvent('touchstart', 1, 1, card1, 10));
+        region.arbitrate(new TouchEvent('touchstart', 5, 5, card2, 11));
+        region.handleKeyboardEvent(new KeyboardEvent('keydown', {
+          key:      'Shift',
+          shiftKey: true,
+        }));
+        expect(pan1.end).toHaveBeenCalledTimes(1);
+        expect(pan2.end).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('input sources', () => {
+      const PHASES = { stylusdown: START, stylusmove: MOVE, stylusup: END };
+      const stylus = inputSources.create({
+        name:   'stylus',
+        events: Object.keys(PHASES),
+        accepts(event) {
+          return event.type in PHASES;
+        },
+        getPhase(event) {
+          return PHASES[event.type];
+        },
+        getIdentifiers(event) {
+          return [event.detail.id];
+        },
+        getPointer(event) {
+          return event.detail;
+        },
+      });
+
+      function stylusEvent(type, x, y) {
+        const event = new InputEvent(type, gesture_element);
+        event.detail = { id: 3, clientX: x, clientY: y, pointerType: 'stylus' };
+        return event;
+      }
+
+      beforeEach(() => {
+        region = new Region(element, { inputSources: [stylus] });
+        addGestures();
+      });
+
+      test('Events of registered sources drive gestures', () => {
+        region.arbitrate(stylusEvent('stylusdown', 10, 20));
+        expect(gesture.start).toHaveBeenCalledTimes(1);
+        expect(region.state.inputs[0]).toMatchObject({
+          identifier:  3,
+          pointerType: 'stylus',
+        });
+
+        region.arbitrate(stylusEvent('stylusmove', 15, 25));
+        expect(gesture.move).toHaveBeenCalledTimes(1);
+        expect(region.state.centroid).toMatchObject({ x: 15, y: 25 });
+
+        region.arbitrate(stylusEvent('stylusup', 15, 25));
+        expect(gesture.end).toHaveBeenCalledTimes(1);
+        expect(region.state.hasNoInputs()).toBe(true);
+      });
+
+      test('Sources only take precedence in their own region', () => {
+        const relabel = inputSources.create({
+          ...inputSources.pointer,
+          name: 'relabel',
+          getIdentifiers() {
+            return [42];
+          },
+        });
+        const other = document.createElement('div');
+        document.body.appendChild(other);
+        const custom = new Region(element, { inputSources: [relabel] });
+        const plain = new Region(other);
+
+        const down = () => new PointerEvent('pointerdown', 1, 1, other, 7);
+        plain.arbitrate(down());
+        custom.arbitrate(down());
+        expect(plain.state.inputs[0].identifier).toBe(7);
+        expect(custom.state.inputs[0].identifier).toBe(42);
+
+        custom.destroy();
+        plain.destroy();
+        expect(inputSources.find(down())).toBe(inputSources.pointer);
+        document.body.removeChild(other);
+      });
+    });
+
+    describe('pointer types', () => {
+      let draw = null;
+      let pan = null;
+
+      function send(type, id, pointerType) {
+        const event = new PointerEvent(type, 0, 0, gesture_element, id);
+        event.pointerType = pointerType;
+        region.arbitrate(event);
+      }
+
+      beforeEach(() => {
+        draw = new Gesture('draw', gesture_element, jest.fn(), {
+          pointerTypes: ['pen'],
+        });
+        pan = new Gesture('pan', gesture_element, jest.fn(), {
+          pointerTypes: ['touch'],
+        });
+      });
+
+      test('Gestures only respond to their pointer types', () => {
+        region = new Region(element);
+        region.addGesture(draw);
+        region.addGesture(pan);
+
+        send('pointerdown', 1, 'pen');
+        expect(region.activeGestures).toEqual(new Set([draw]));
+        send('pointerup', 1, 'pen');
+
+        send('pointerdown', 2, 'touch');
+        expect(region.activeGestures).toEqual(new Set([pan]));
+        send('pointerdown', 3, 'pen');
+        expect(region.activeGestures).toEqual(emptySet);
+      });
+
+      test('Touches are ignored while a pen is in contact', () => {
+        region = new Region(element, { penPriority: true });
+        region.addGesture(draw);
+        region.addGesture(pan);
+
+        send('pointerdown', 1, 'pen');
+        send('pointerdown', 2, 'touch');
+        expect(region.state.active.length).toBe(1);
+        expect(region.activeGestures).toEqual(new Set([draw]));
+      });
+
+      test('Touches in contact are rejected when a pen lands', () => {
+        region = new Region(element, { penPriority: true });
+        region.addGesture(draw);
+        region.addGesture(pan);
+
+        send('pointerdown', 2, 'touch');
+        expect(region.activeGestures).toEqual(new Set([pan]));
+        send('pointerdown', 1, 'pen');
+        expect(region.state.active.length).toBe(1);
+        expect(region.activeGestures).toEqual(new Set([draw]));
+      });
+    });
+
+    describe('mouse buttons', () => {
+      let pan = null;
+      let rotate = null;
+
+      function send(type, button, buttons) {
+        const event = new MouseEvent(type, 10, 10, gesture_element, button);
+        event.buttons = buttons;
+        region.arbitrate(event);
+      }
+
+      beforeEach(() => {
+        region = new Region(element, { preferPointer: false });
+        pan = new Gesture('pan', gesture_element, jest.fn(), {
+          enableButtons: [1],
+        });
+        rotate = new Gesture('rotate', gesture_element, jest.fn(), {
+          enableButtons: [2],
+        });
+        [pan, rotate].forEach(g => {
+          Object.assign(g, { start: jest.fn(), end: jest.fn() });
+          region.addGesture(g);
+        });
+      });
+
+      test('Gestures are enabled by their buttons', () => {
+        send('mousedown', 2, 2);
+        expect(region.activeGestures).toEqual(new Set([rotate]));
+        send('mouseup', 2, 0);
+
+        send('mousedown', 1, 4);
+        expect(region.activeGestures).toEqual(new Set([pan]));
+      });
+
+      test('Synthetic events without buttons start and end inputs', () => {
+        const other = new Gesture('other', gesture_element, jest.fn());
+        Object.assign(other, { start: jest.fn(), end: jest.fn() });
+        region.addGesture(other);
+        // As with new MouseEvent(type), 'buttons' is left at 0.
+        ['mousedown', 'mousemove', 'mouseup'].forEach(type => send(type, 0, 0));
+        expect(other.start).toHaveBeenCalledTimes(1);
+        expect(other.end).toHaveBeenCalledTimes(1);
+        expect(region.state.hasNoInputs()).toBe(true);
+      });
+
+      test('Changing buttons mid-drag restarts gestures', () => {
+        send('mousedown', 2, 2);
+        send('mousedown', 1, 6);
+        expect(region.activeGestures).toEqual(new Set([pan, rotate]));
+        expect(pan.start).toHaveBeenCalledTimes(1);
+
+        send('mouseup', 2, 4);
+        expect(region.activeGestures).toEqual(new Set([pan]));
+        expect(rotate.end).toHaveBeenCalledTimes(1);
+        expect(region.state.active.length).toBe(1);
+      });
+    });
+
+    describe('input rejection', () => {
+      let pan = null;
+
+      function send(type, id, size, target = gesture_element) {
+        const event = new PointerEvent(type, 100, 100, target, id);
+        Object.assign(event, { pointerType: 'touch', width: size, height: 1 });
+        region.arbitrate(event);
+      }
+
+      beforeEach(() => {
+        pan = new Gesture('pan', gesture_element, jest.fn());
+        Object.assign(pan, { start: jest.fn(), end: jest.fn() });
+      });
+
+      test('A rejected input does not begin an input session', () => {
+        region = new Region(element, { maxContactSize: 40 });
+        region.addGesture(pan);
+        expect(() => send('pointerdown', 1, 50)).not.toThrow();
+        expect(region.activeGestures).toEqual(emptySet);
+        expect(pan.start).not.toHaveBeenCalled();
+      });
+
+      test('Gestures end when their inputs are rejected', () => {
+        region = new Region(element, { maxContactSize: 40 });
+        region.addGesture(pan);
+        send('pointerdown', 1, 10);
+        expect(region.activeGestures).toEqual(new Set([pan]));
+        send('pointermove', 1, 50);
+        expect(region.activeGestures).toEqual(emptySet);
+        expect(region.state.hasNoInputs()).toBe(true);
+      });
+
+      test('Rejected inputs are removed from their partitions', () => {
+        region = new Region(element, {
+          maxContactSize:  40,
+          partitionInputs: true,
+        });
+        region.addGesture(pan);
+        send('pointerdown', 1, 10);
+        const session = region.partitions.get(gesture_element);
+        expect(session.activeGestures).toEqual(new Set([pan]));
+
+        send('pointermove', 1, 50);
+        expect(session.activeGestures).toEqual(emptySet);
+        expect(session.state.hasNoInputs()).toBe(true);
+        expect(region.partitions.size).toBe(0);
+      });
+    });
+
+    describe('inertia', () => {
+      let fling = null;
+      let frames = null;
+
+      function touch(type, x, timeStamp, target = gesture_element) {
+        const event = new TouchEvent(type, x, 0, target, 7);
+        event.timeStamp = timeStamp;
+        return event;
+      }
+
+      function swipe(speed) {
+        region.arbitrate(touch('touchstart', 0, 1000));
+        for (let t = 10; t <= 50; t += 10) {
+          region.arbitrate(touch('touchmove', speed * t, 1000 + t));
+        }
+        region.arbitrate(touch('touchend', speed * 50, 1050));
+      }
+
+      beforeEach(() => {
+        frames = [];
+        window.requestAnimationFrame = jest.fn(cb => frames.push(cb));
+        window.cancelAnimationFrame = jest.fn();
+        element.removeEventListener = jest.fn();
+        window.removeEventListener = jest.fn();
+
+        region = new Region(element);
+        fling = new Gesture('fling', gesture_element, jest.fn(), {
+          inertia: true,
+        });
+        Object.assign(fling, {
+          move:    jest.fn(() => ({})),
+          inertia: jest.fn(() => ({})),
+        });
+        region.addGesture(fling);
+      });
+
+      afterEach(() => {
+        delete window.requestAnimationFrame;
+        delete window.cancelAnimationFrame;
+      });
+
+      test('Carries the motion on after the inputs are released', () => {
+        swipe(1);
+        expect(region.inertia.has(fling)).toBe(true);
+        expect(fling.recognizerState).toBe(CHANGED);
+
+        frames.shift()();
+        expect(fling.inertia).toHaveBeenCalledTimes(1);
+        expect(fling.inertia.mock.calls[0][1].initialVelocity.x)
+          .toBeCloseTo(1);
+        expect(fling.handler).toHaveBeenLastCalledWith(expect.objectContaining({
+          phase: 'inertia',
+        }));
+      });
+
+      test('Is not used unless the gesture enables it', () => {
+        fling.options.inertia = false;
+        swipe(1);
+        expect(region.inertia.size).toBe(0);
+        expect(frames.length).toBe(0);
+        expect(fling.recognizerState).toBe(ENDED);
+      });
+
+      test('Is not used if the inputs were released slowly', () => {
+        swipe(0.001);
+        expect(region.inertia.size).toBe(0);
+        expect(fling.recognizerState).toBe(ENDED);
+      });
+
+      test('Is stopped by a new input', () => {
+        swipe(1);
+        region.arbitrate(touch('touchstart', 0, 2000));
+        expect(window.cancelAnimationFrame).toHaveBeenCalled();
+        expect(region.inertia.size).toBe(0);
+        expect(fling.recognizerState).toBe(POSSIBLE);
+      });
+
+      test('Is stopped when the region is deactivated', () => {
+        swipe(1);
+        region.deactivate();
+        expect(region.inertia.size).toBe(0);
+        expect(fling.recognizerState).toBe(ENDED);
+      });
+
+      test('Is stopped when the gesture is removed', () => {
+        swipe(1);
+        region.removeGesture(fling);
+        expect(region.inertia.size).toBe(0);
+        expect(fling.recognizerState).toBe(ENDED);
+      });
+    });
+
     describe('arbitrate(event)', () => {
       beforeEach(addGestures);
 
@@ -794,6 +1577,204 @@ describe('Region', () => {
         region.options.preventDefault = oldPreventDefault;
       });
 
+      test('Evaluates gestures after those whose failure they require', () => {
+        const order = [];
+        Object.assign(gesture2.options, { minInputs: 1 });
+        gesture.start = () => {
+          order.push(gesture.id);
+        };
+        gesture2.start = () => {
+          order.push(gesture2.id);
+        };
+        gesture2.requireFailureOf(gesture);
+        region.arbitrate(touchstart2);
+        expect(order).toEqual([gesture.id, gesture2.id]);
+      });
+
+      test('Defers a gesture until its requirement fails', () => {
+        const tap = new Gesture('tap', gesture_element, handler);
+        const doubletap = new Gesture('doubletap', gesture_element, handler2);
+        tap.end = () => ({ taps: 1 });
+        doubletap.end = () => doubletap.hold();
+        tap.requireFailureOf(doubletap);
+        region.addGesture(tap);
+        region.addGesture(doubletap);
+
+        region.arbitrate(touchstart);
+        region.arbitrate(touchend);
+        expect(handler).not.toHaveBeenCalled();
+        expect(doubletap.recognizerState).toBe(POSSIBLE);
+
+        doubletap.fail();
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0]).toMatchObject({ taps: 1 });
+        expect(tap.recognizerState).toBe(ENDED);
+      });
+
+      test('Fails a gesture when its requirement is recognized', () => {
+        const tap = new Gesture('tap', gesture_element, handler);
+        const doubletap = new Gesture('doubletap', gesture_element, handler2);
+        let taps = 0;
+        tap.end = () => ({ taps: 1 });
+        doubletap.end = () => {
+          if (++taps === 2) return { taps };
+          doubletap.hold();
+          return null;
+        };
+        tap.requireFailureOf(doubletap);
+        region.addGesture(tap);
+        region.addGesture(doubletap);
+
+        region.arbitrate(touchstart);
+        region.arbitrate(touchend);
+        region.arbitrate(touchstart);
+        region.arbitrate(touchend);
+
+        expect(handler2).toHaveBeenCalledTimes(1);
+        expect(handler).not.toHaveBeenCalled();
+        expect(tap.failed).toBe(true);
+      });
+
+      test('Fails requirements which are impossible for the session', () => {
+        const tap = new Gesture('tap', gesture_element, handler);
+        const other = new Gesture('other', gesture_element2, handler2);
+        tap.end = () => ({ taps: 1 });
+        tap.requireFailureOf(other);
+        region.addGesture(tap);
+        region.addGesture(other);
+
+        region.arbitrate(touchstart);
+        expect(other.failed).toBe(true);
+        region.arbitrate(touchend);
+        expect(handler).toHaveBeenCalledTimes(1);
+      });
+
+      test('Fails requirements still possible when the session ends', () => {
+        const tap = new Gesture('tap', gesture_element, handler);
+        const twoFingerTap = new Gesture(
+          'twoFingerTap',
+          gesture_element,
+          handler2,
+          { minInputs: 2 },
+        );
+        tap.end = () => ({ taps: 1 });
+        twoFingerTap.end = () => ({ taps: 1 });
+        tap.requireFailureOf(twoFingerTap);
+        region.addGesture(tap);
+        region.addGesture(twoFingerTap);
+
+        region.arbitrate(touchstart);
+        region.arbitrate(touchend);
+        expect(twoFingerTap.failed).toBe(true);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(tap.recognizerState).toBe(ENDED);
+        expect(tap.deferred).toEqual([]);
+      });
+
+      test('Discards held back results when a new session starts', () => {
+        const tap = new Gesture('tap', gesture_element, handler);
+        const doubletap = new Gesture('doubletap', gesture_element, handler2);
+        tap.end = () => ({ taps: 1 });
+        doubletap.end = () => doubletap.hold();
+        tap.requireFailureOf(doubletap);
+        region.addGesture(tap);
+        region.addGesture(doubletap);
+
+        region.arbitrate(touchstart);
+        region.arbitrate(touchend);
+        expect(tap.deferred.length).toBe(1);
+        region.arbitrate(touchstart);
+        expect(tap.deferred).toEqual([]);
+        doubletap.fail();
+        expect(handler).not.toHaveBeenCalled();
+      });
+
+      test('Tracks the recognizer state of the gestures', () => {
+        gesture.move.mockReturnValue({});
+        region.arbitrate(touchstart);
+        expect(gesture.recognizerState).toBe(POSSIBLE);
+        region.arbitrate(touchmove);
+        expect(gesture.recognizerState).toBe(BEGAN);
+        region.arbitrate(touchmove);
+        expect(gesture.recognizerState).toBe(CHANGED);
+        region.arbitrate(touchend);
+        expect(gesture.recognizerState).toBe(ENDED);
+        region.arbitrate(touchstart);
+        expect(gesture.recognizerState).toBe(POSSIBLE);
+      });
+
+      test('Ends recognition of gestures deactivated mid-session', () => {
+        Object.assign(gesture2.options, { minInputs: 2 });
+        gesture2.start.mockReturnValue({});
+        region.arbitrate(touchstart2);
+        region.arbitrate(touchstart);
+        expect(gesture2.recognizerState).toBe(BEGAN);
+        region.arbitrate(touchend);
+        expect(gesture2.recognizerState).toBe(ENDED);
+      });
+
+      test('Marks active gestures as cancelled on cancel', () => {
+        gesture.move.mockReturnValue({});
+        region.arbitrate(touchstart);
+        region.arbitrate(touchmove);
+        region.cancel(new CustomEvent('blur'));
+        expect(gesture.recognizerState).toBe(CANCELLED);
+      });
+
+      test('Does not call hooks of gestures which have failed', () => {
+        gesture.start.mockImplementationOnce(() => gesture.fail());
+        region.arbitrate(touchstart);
+        expect(gesture.recognizerState).toBe(FAILED);
+        region.arbitrate(touchmove);
+        region.arbitrate(touchend);
+        expect(gesture.move).not.toHaveBeenCalled();
+        expect(gesture.end).not.toHaveBeenCalled();
+
+        region.arbitrate(touchstart);
+        region.arbitrate(touchmove);
+        expect(gesture.move).toHaveBeenCalledTimes(1);
+      });
+
+      test('Cancels other gestures when a gesture claims the inputs', () => {
+        const gesture3 = new Gesture('three', gesture_element, jest.fn());
+        Object.assign(gesture3, {
+          start:  jest.fn(),
+          move:   jest.fn(),
+          end:    jest.fn(),
+          cancel: jest.fn(),
+        });
+        region.addGesture(gesture3);
+        gesture3.move.mockImplementation(state => gesture3.claim(state));
+
+        region.arbitrate(touchstart);
+        region.arbitrate(touchmove);
+        expect(gesture.move).toHaveBeenCalledTimes(1);
+        expect(gesture.cancel).toHaveBeenCalledTimes(1);
+        expect(gesture.recognizerState).toBe(CANCELLED);
+        expect(gesture3.cancel).not.toHaveBeenCalled();
+        expect(region.activeGestures).toMatchObject(new Set([gesture3]));
+
+        region.arbitrate(touchmove);
+        region.arbitrate(touchend);
+        expect(gesture.move).toHaveBeenCalledTimes(1);
+        expect(gesture.end).not.toHaveBeenCalled();
+        expect(gesture3.move).toHaveBeenCalledTimes(2);
+        expect(gesture3.end).toHaveBeenCalledTimes(1);
+      });
+
+      test('Claims only last until the claimed inputs end', () => {
+        gesture.start.mockImplementationOnce(state => gesture.claim(state));
+        Object.assign(gesture2.options, { minInputs: 1 });
+
+        region.arbitrate(touchstart2);
+        expect(gesture2.recognizerState).toBe(CANCELLED);
+        region.arbitrate(touchend2);
+
+        region.arbitrate(touchstart2);
+        region.arbitrate(touchmove2);
+        expect(gesture2.move).toHaveBeenCalledTimes(1);
+      });
+
       test('Sets the correct phase on each input', () => {
         gesture.start = buildExpectPhaseForStateInputs(START);
         gesture.move = buildExpectPhaseForStateInputs(MOVE);
@@ -1,9 +1,10 @@
-/* global expect, describe, test */
+/* global expect, describe, jest, test */
 
 'use strict';
 
 const Smoothable = require('../src/Smoothable');
 const Point2D = require('../src/Point2D');
+const filters = require('../src/filters');
 
 describe('Smoothable', () => {
   describe('constructor(options)', () => {
@@ -15,6 +16,37 @@ describe('Smoothable', () => {
       const sdata = new Smoothable({ identity: 42 });
       expect(sdata.identity).toBe(42);
     });
+
+    test('Accepts the name of a filter', () => {
+      const sdata = new Smoothable({ filter: 'exponential' });
+      expect(sdata.filter.next).toBeInstanceOf(Function);
+    });
+
+    test('Accepts a filter', () => {
+      const filter = filters.windowedMean({ duration: 50 });
+      expect(new Smoothable({ filter }).filter).toBe(filter);
+    });
+
+    test('Throws a TypeError for an unknown filter name', () => {
+      expect(() => new Smoothable({ filter: 'kalman' })).toThrow(TypeError);
+    });
+
+    test('Defaults the identity to that of the type', () => {
+      expect(new Smoothable().identity).toBe(0);
+      expect(new Smoothable({ type: 'point' }).identity)
+        .toMatchObject(new Point2D(0, 0));
+      expect(new Smoothable({ type: 'object' }).identity).toEqual({});
+    });
+
+    test('Creates a separate identity for each instance', () => {
+      const a = new Smoothable({ type: 'point' });
+      const b = new Smoothable({ type: 'point' });
+      expect(a.identity).not.toBe(b.identity);
+    });
+
+    test('Throws a TypeError for an unknown type name', () => {
+      expect(() => new Smoothable({ type: 'matrix' })).toThrow(TypeError);
+    });
   });
 
   describe('methods', () => {
@@ -33,6 +65,19 @@ describe('Smoothable', () => {
         const sdata = new Smoothable({ identity: 1 });
         expect(sdata.next(2)).toBeCloseTo(1.5);
       });
+
+      test('Passes the data, time, and itself to the filter', () => {
+        const filter = { next: jest.fn(() => 7), reset: jest.fn() };
+        const sdata = new Smoothable({ filter });
+        expect(sdata.next(2, 1234)).toBe(7);
+        expect(filter.next).toHaveBeenCalledWith(2, 1234, sdata);
+      });
+
+      test('Uses the current time if no time is given', () => {
+        const sdata = new Smoothable({ filter: 'windowedMean' });
+        expect(sdata.next(2)).toBe(2);
+        expect(sdata.next(4)).toBe(3);
+      });
     });
 
     describe('restart()', () => {
@@ -43,6 +88,77 @@ describe('Smoothable', () => {
         expect(() => sdata.restart()).not.toThrow();
         expect(sdata.next(2)).toBe(1);
       });
+
+      test('Resets the filter', () => {
+        const filter = { next: jest.fn(), reset: jest.fn() };
+        new Smoothable({ filter }).restart();
+        expect(filter.reset).toHaveBeenCalled();
+      });
+    });
+
+    describe('interpolate(a, b, t)', () => {
+      test('Interpolates linearly between numbers', () => {
+        expect(new Smoothable().interpolate(2, 6, 0.25)).toBe(3);
+      });
+    });
+
+    describe('distance(a, b)', () => {
+      test('Measures the absolute difference of numbers', () => {
+        expect(new Smoothable().distance(2, -3)).toBe(5);
+      });
+    });
+  });
+
+  describe('types', () => {
+    test('Smooths Point2D values', () => {
+      const sdata = new Smoothable({ type: 'point' });
+      const result = sdata.next(new Point2D(2, 4));
+      expect(result).toBeInstanceOf(Point2D);
+      expect(result).toMatchObject({ x: 1, y: 2 });
+      expect(sdata.distance(new Point2D(0, 0), new Point2D(3, 4))).toBe(5);
+    });
+
+    test('Smooths objects of numbers component-wise', () => {
+      const sdata = new Smoothable({ type: 'object' });
+      expect(sdata.next({ scale: 2, rotation: -1 }))
+        .toEqual({ scale: 1, rotation: -0.5 });
+      expect(sdata.next({ scale: 3, rotation: -0.5 }))
+        .toEqual({ scale: 2, rotation: -0.5 });
+      expect(sdata.distance({ a: 1, b: 1 }, { a: 4, b: 5 })).toBe(5);
+    });
+
+    test('Smooths angles across the +/-PI boundary', () => {
+      const sdata = new Smoothable({ type: 'angle', identity: Math.PI - 0.1 });
+      expect(Math.abs(sdata.next(-Math.PI + 0.1))).toBeCloseTo(Math.PI);
+      expect(sdata.distance(Math.PI - 0.1, -Math.PI + 0.1)).toBeCloseTo(0.2);
+      expect(sdata.interpolate(Math.PI - 0.1, -Math.PI + 0.1, 0.25))
+        .toBeCloseTo(Math.PI - 0.05);
+    });
+
+    test('Works with the time-aware filters', () => {
+      const sdata = new Smoothable({ type: 'point', filter: 'exponential' });
+      expect(sdata.next(new Point2D(4, 8), 1000))
+        .toMatchObject({ x: 2, y: 4 });
+    });
+
+    test('Returns to the identity on restart', () => {
+      const sdata = new Smoothable({ type: 'point' });
+      sdata.next(new Point2D(2, 2));
+      sdata.restart();
+      expect(sdata.next(new Point2D(4, 4))).toMatchObject({ x: 2, y: 2 });
+      expect(sdata.identity).toMatchObject({ x: 0, y: 0 });
+    });
+
+    test('Accepts a custom type', () => {
+      const type = {
+        identity:    () => 10,
+        average:     (a, b) => Math.max(a, b),
+        interpolate: (a, b) => Math.max(a, b),
+        distance:    (a, b) => Math.abs(b - a),
+      };
+      const sdata = new Smoothable({ type });
+      expect(sdata.identity).toBe(10);
+      expect(sdata.next(3)).toBe(10);
     });
   });
 
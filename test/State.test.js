@@ -4,6 +4,8 @@
 
 const State = require('../src/State.js');
 const Input = require('../src/Input.js');
+const Transform = require('../src/Transform.js');
+const Point2D = require('../src/Point2D.js');
 const { PHASE } = require('../src/constants.js');
 
 const MouseEvent = require('./MouseEvent.js');
@@ -171,11 +173,29 @@ describe('State', () => {
           expect(state.event).toBeDefined();
         });
 
-        test('Ignores mouse events other than button 0', () => {
-          const event = new MouseEvent(1, targetdiv, MouseEvent.start, 42, 43);
+        test('Tracks the mouse as a single input for all buttons', () => {
+          const event = new MouseEvent(2, targetdiv, MouseEvent.start, 42, 43);
+          event.buttons = 2;
           expect(() => state.updateAllInputs(event)).not.toThrow();
-          expect(state[inputSymbol].get(1)).toBeFalsy();
-          expect(state[inputSymbol].size).toBe(0);
+          expect(state[inputSymbol].size).toBe(1);
+          expect(state[inputSymbol].get(0).pressedButtons)
+            .toEqual(new Set([2]));
+        });
+
+        test('Keeps the mouse input while any button is pressed', () => {
+          function send(type, button, buttons) {
+            const event = new MouseEvent(button, targetdiv, type, 42, 43);
+            event.buttons = buttons;
+            state.updateAllInputs(event);
+            return state[inputSymbol].get(0);
+          }
+
+          send(MouseEvent.start, 0, 1);
+          expect(send(MouseEvent.start, 1, 5).phase).toBe('move');
+          expect(send(MouseEvent.end, 0, 4).phase).toBe('move');
+          const input = send(MouseEvent.move, 0, 4);
+          expect(input.pressedButtons).toEqual(new Set([1]));
+          expect(send(MouseEvent.end, 1, 0).phase).toBe('end');
         });
       });
 
@@ -243,6 +263,62 @@ describe('State', () => {
         });
       });
 
+      describe('claimInputs(gesture, inputs)', () => {
+        test('Claims all active inputs by default', () => {
+          const gesture = {};
+          sendAll(startevents);
+          state.claimInputs(gesture);
+          state.inputs.forEach(input => {
+            expect(input.claimedBy).toBe(gesture);
+          });
+        });
+
+        test('Claims only the given inputs', () => {
+          const gesture = {};
+          sendAll(startevents);
+          state.claimInputs(gesture, [state.inputs[0]]);
+          expect(state.inputs[0].claimedBy).toBe(gesture);
+          state.inputs.slice(1).forEach(input => {
+            expect(input.claimedBy).toBeNull();
+          });
+        });
+      });
+
+      describe('isClaimedByOther(gesture)', () => {
+        test('Is true only if another gesture claimed an input', () => {
+          const gesture = {};
+          const other = {};
+          sendAll(startevents);
+          expect(state.isClaimedByOther(gesture)).toBe(false);
+          state.claimInputs(gesture, [state.inputs[0]]);
+          expect(state.isClaimedByOther(gesture)).toBe(false);
+          expect(state.isClaimedByOther(other)).toBe(true);
+        });
+      });
+
+      describe('stopPropagation(gesture)', () => {
+        test('Records the gesture which stopped propagation', () => {
+          const gesture = {};
+          expect(state.propagationStoppedBy).toBeNull();
+          state.stopPropagation(gesture);
+          expect(state.propagationStoppedBy).toBe(gesture);
+        });
+      });
+
+      describe('releaseCaptures', () => {
+        test('Releases the pointer capture of every current input', () => {
+          state = new State(targetdiv);
+          targetdiv.releasePointerCapture = jest.fn();
+          sendAll(startevents);
+          state.releaseCaptures();
+          startevents.forEach(event => {
+            expect(targetdiv.releasePointerCapture)
+              .toHaveBeenCalledWith(event.id);
+          });
+          delete targetdiv.releasePointerCapture;
+        });
+      });
+
       describe('hasNoInputs', () => {
         test('Is true if the state has no inputs', () => {
           expect(state.hasNoInputs()).toBe(true);
@@ -264,4 +340,333 @@ describe('State', () => {
       });
     });
   });
+
+  describe('centroidVelocity', () => {
+    let state = null;
+    let element = null;
+
+    function send(id, type, time, x, y) {
+      const event = new PointerEvent(id, element, type, x, y);
+      event.timeStamp = time;
+      state.updateAllInputs(event);
+    }
+
+    beforeEach(() => {
+      element = document.createElement('div');
+      document.body.appendChild(element);
+      state = new State(element);
+    });
+
+    test('Is zero without any inputs', () => {
+      expect(state.centroidVelocity).toMatchObject({ x: 0, y: 0 });
+    });
+
+    test('Is the mean velocity of the current inputs', () => {
+      send(0, PointerEvent.start, 1000, 0, 0);
+      send(1, PointerEvent.start, 1000, 100, 100);
+      for (let t = 10; t <= 50; t += 10) {
+        send(0, PointerEvent.move, 1000 + t, 2 * t, 0);
+        send(1, PointerEvent.move, 1000 + t, 100, 100 + 4 * t);
+      }
+      expect(state.centroidVelocity.x).toBeCloseTo(1);
+      expect(state.centroidVelocity.y).toBeCloseTo(2);
+    });
+
+    test('Ignores the positions at which inputs are added or removed', () => {
+      send(0, PointerEvent.start, 1000, 0, 0);
+      for (let t = 10; t <= 50; t += 10) {
+        send(0, PointerEvent.move, 1000 + t, t, 0);
+      }
+      send(1, PointerEvent.start, 1055, 500, 500);
+      expect(state.centroidVelocity.x).toBeCloseTo(0.5);
+
+      send(1, PointerEvent.end, 1060, 500, 500);
+      state.clearEndedInputs();
+      send(0, PointerEvent.move, 1070, 70, 0);
+      expect(state.centroidVelocity.x).toBeCloseTo(1);
+      expect(state.centroidVelocity.y).toBeCloseTo(0);
+    });
+  });
+
+  describe('heldKeys', () => {
+    test('Tracks the keys held down by key and code', () => {
+      const state = new State(document.body);
+      const down = new KeyboardEvent('keydown', { key: ' ', code: 'Space' });
+      const up = new KeyboardEvent('keyup', { key: ' ', code: 'Space' });
+
+      expect(state.updateKeys(down)).toBe(true);
+      expect(state.heldKeys).toEqual(new Set([' ', 'Space']));
+      expect(state.updateKeys(down)).toBe(false);
+      expect(state.updateKeys(up)).toBe(true);
+      expect(state.heldKeys).toEqual(new Set());
+      expect(state.updateKeys(up)).toBe(false);
+    });
+  });
+
+  describe('getPredictedCentroid()', () => {
+    test('Uses the predicted points where available', () => {
+      const element = document.createElement('div');
+      document.body.appendChild(element);
+      const state = new State(element);
+      const predicted = new PointerEvent(0, element, PointerEvent.move, 20, 0);
+      const first = new PointerEvent(0, element, PointerEvent.start, 10, 0);
+      first.getPredictedEvents = () => [predicted];
+      const second = new PointerEvent(1, element, PointerEvent.start, 40, 10);
+      state.updateAllInputs(first);
+      state.updateAllInputs(second);
+      expect(state.getPredictedCentroid()).toMatchObject({ x: 30, y: 5 });
+    });
+  });
+
+  describe('penPriority', () => {
+    let element = null;
+
+    function send(state, id, type, pointerType) {
+      const event = new PointerEvent(id, element, type, 0, 0);
+      event.pointerType = pointerType;
+      state.updateAllInputs(event);
+    }
+
+    beforeEach(() => {
+      element = document.createElement('div');
+      document.body.appendChild(element);
+    });
+
+    test('Ignores touch inputs which start while a pen is in contact', () => {
+      const state = new State(element, { penPriority: true });
+      send(state, 1, PointerEvent.start, 'pen');
+      send(state, 2, PointerEvent.start, 'touch');
+      send(state, 2, PointerEvent.move, 'touch');
+      expect(state.active.map(input => input.identifier)).toEqual([1]);
+
+      send(state, 1, PointerEvent.end, 'pen');
+      state.clearEndedInputs();
+      send(state, 3, PointerEvent.start, 'touch');
+      expect(state.active.map(input => input.identifier)).toEqual([3]);
+    });
+
+    test('Rejects touch inputs in contact when a pen lands', () => {
+      const state = new State(element, { penPriority: true });
+      send(state, 2, PointerEvent.start, 'touch');
+      send(state, 1, PointerEvent.start, 'pen');
+      expect(state.active.map(input => input.identifier)).toEqual([1]);
+      expect(state.rejectedInputs.map(input => input.identifier))
+        .toEqual([2]);
+      send(state, 2, PointerEvent.move, 'touch');
+      expect(state.active.map(input => input.identifier)).toEqual([1]);
+    });
+
+    test('Treats all inputs alike by default', () => {
+      const state = new State(element);
+      send(state, 1, PointerEvent.start, 'pen');
+      send(state, 2, PointerEvent.start, 'touch');
+      expect(state.active.length).toBe(2);
+    });
+  });
+
+  describe('input rejection', () => {
+    let element = null;
+
+    function send(state, id, type, x, y, props = {}) {
+      const event = new PointerEvent(id, element, type, x, y);
+      Object.assign(event, { pointerType: 'touch', timeStamp: 1000 }, props);
+      state.updateAllInputs(event);
+    }
+
+    function activeIds(state) {
+      return state.active.map(input => input.identifier);
+    }
+
+    beforeEach(() => {
+      element = document.createElement('div');
+      document.body.appendChild(element);
+    });
+
+    test('Rejects touches with a large contact area', () => {
+      const state = new State(element, { maxContactSize: 40 });
+      send(state, 1, PointerEvent.start, 100, 100, { width: 60, height: 30 });
+      send(state, 2, PointerEvent.start, 200, 100, { width: 10, height: 10 });
+      expect(activeIds(state)).toEqual([2]);
+      expect(state.rejectedInputs).toEqual([]);
+    });
+
+    test('Drops touches whose contact area grows too large', () => {
+      const state = new State(element, { maxContactSize: 40 });
+      send(state, 1, PointerEvent.start, 100, 100, { width: 10, height: 10 });
+      send(state, 1, PointerEvent.move, 100, 100, { width: 50, height: 50 });
+      expect(activeIds(state)).toEqual([]);
+      expect(state.rejectedInputs.map(input => input.identifier))
+        .toEqual([1]);
+
+      send(state, 1, PointerEvent.move, 100, 100, { width: 10, height: 10 });
+      expect(activeIds(state)).toEqual([]);
+    });
+
+    test('Rejects touches near a pen in contact', () => {
+      const state = new State(element, { penRejectionRadius: 100 });
+      send(state, 1, PointerEvent.start, 100, 100, { pointerType: 'pen' });
+      send(state, 2, PointerEvent.start, 150, 150);
+      send(state, 3, PointerEvent.start, 300, 100);
+      expect(activeIds(state)).toEqual([1, 3]);
+
+      send(state, 1, PointerEvent.move, 280, 120, { pointerType: 'pen' });
+      send(state, 3, PointerEvent.move, 300, 110);
+      expect(activeIds(state)).toEqual([1]);
+    });
+
+    test('Rejects touches which start near the edge of the viewport', () => {
+      const state = new State(element, { edgeRejectionMargin: 20 });
+      send(state, 1, PointerEvent.start, 10, 300);
+      send(state, 2, PointerEvent.start, 300, window.innerHeight - 5);
+      send(state, 3, PointerEvent.start, 300, 300);
+      expect(activeIds(state)).toEqual([3]);
+    });
+
+    test('Rejects touches which end too quickly', () => {
+      const state = new State(element, { minContactDuration: 50 });
+      send(state, 1, PointerEvent.start, 100, 100);
+      send(state, 2, PointerEvent.start, 200, 100);
+      send(state, 1, PointerEvent.end, 100, 100, { timeStamp: 1020 });
+      send(state, 2, PointerEvent.end, 200, 100, { timeStamp: 1080 });
+      expect(state.getInputsInPhase('end').map(input => input.identifier))
+        .toEqual([2]);
+    });
+
+    test('Only applies the built-in criteria to touches', () => {
+      const state = new State(element, { maxContactSize: 40 });
+      send(state, 1, PointerEvent.start, 100, 100, {
+        pointerType: 'pen',
+        width:       60,
+        height:      60,
+      });
+      expect(activeIds(state)).toEqual([1]);
+    });
+
+    test('Rejects inputs for which the predicate returns true', () => {
+      const rejectInput = jest.fn(input => input.pointerType === 'mouse');
+      const state = new State(element, { rejectInput });
+      send(state, 1, PointerEvent.start, 100, 100, { pointerType: 'mouse' });
+      send(state, 2, PointerEvent.start, 100, 100);
+      expect(activeIds(state)).toEqual([2]);
+      expect(rejectInput).toHaveBeenCalledWith(expect.any(Input), state);
+    });
+  });
+
+  describe('pressure', () => {
+    let state = null;
+    let element = null;
+
+    function press(id, x, y, pressure) {
+      const event = new PointerEvent(id, element, PointerEvent.start, x, y);
+      event.pressure = pressure;
+      state.updateAllInputs(event);
+    }
+
+    beforeEach(() => {
+      element = document.createElement('div');
+      document.body.appendChild(element);
+      state = new State(element);
+    });
+
+    test('Weights the centroid by the pressure of each input', () => {
+      press(0, 0, 0, 0.2);
+      press(1, 100, 50, 0.6);
+      expect(state.pressureCentroid.x).toBeCloseTo(75);
+      expect(state.pressureCentroid.y).toBeCloseTo(37.5);
+      expect(state.averagePressure).toBeCloseTo(0.4);
+    });
+
+    test('Falls back to the centroid if there is no pressure', () => {
+      press(0, 0, 0, 0);
+      press(1, 100, 50, 0);
+      expect(state.pressureCentroid).toMatchObject({ x: 50, y: 25 });
+      expect(state.averagePressure).toBe(0);
+    });
+  });
+
+  describe('transform', () => {
+    let state = null;
+    let element = null;
+
+    function send(id, type, x, y) {
+      state.updateAllInputs(new PointerEvent(id, element, type, x, y));
+    }
+
+    beforeEach(() => {
+      element = document.createElement('div');
+      document.body.appendChild(element);
+      state = new State(element);
+    });
+
+    test('Is the identity without any movement', () => {
+      expect(state.transform).toBeInstanceOf(Transform);
+      send(0, PointerEvent.start, 10, 10);
+      expect(state.transform.translation).toMatchObject({ x: 0, y: 0 });
+    });
+
+    test('Describes the movement since the previous update', () => {
+      send(0, PointerEvent.start, -10, 0);
+      send(1, PointerEvent.start, 10, 0);
+      send(0, PointerEvent.move, 0, -20);
+      const first = state.transform;
+      send(1, PointerEvent.move, 0, 20);
+      const total = state.transform.compose(first);
+      expect(total.rotation).toBeCloseTo(Math.PI / 2);
+      expect(total.scale).toBeCloseTo(2);
+      expect(total.apply(new Point2D(10, 0)).y).toBeCloseTo(20);
+    });
+
+    test('Ignores inputs which joined since the previous update', () => {
+      send(0, PointerEvent.start, 0, 0);
+      send(0, PointerEvent.move, 5, 0);
+      expect(state.transform.translation).toMatchObject({ x: 5, y: 0 });
+      send(1, PointerEvent.start, 100, 100);
+      expect(state.transform.translation).toMatchObject({ x: 0, y: 0 });
+      expect(state.transform.scale).toBe(1);
+    });
+
+    test('Ignores inputs which left since the previous update', () => {
+      send(0, PointerEvent.start, 0, 0);
+      send(1, PointerEvent.start, 100, 0);
+      send(1, PointerEvent.end, 100, 0);
+      state.clearEndedInputs();
+      send(0, PointerEvent.move, 0, 7);
+      expect(state.transform.scale).toBeCloseTo(1);
+      expect(state.transform.translation).toMatchObject({ x: 0, y: 7 });
+    });
+  });
+
+  describe('coordinate spaces', () => {
+    let state = null;
+    let element = null;
+
+    beforeEach(() => {
+      element = document.createElement('div');
+      document.body.appendChild(element);
+      element.getBoundingClientRect = () => ({ left: 100, top: 10 });
+      state = new State(element);
+      const first = new PointerEvent(0, element, 'pointerdown', 110, 20);
+      const second = new PointerEvent(1, element, 'pointerdown', 130, 40);
+      state.updateAllInputs(first);
+      state.updateAllInputs(second);
+    });
+
+    test('getLocalPoints() defaults to the region element', () => {
+      expect(state.getLocalPoints()).toMatchObject([
+        { x: 10, y: 10 },
+        { x: 30, y: 30 },
+      ]);
+    });
+
+    test('getLocalCentroid(element) uses the given element', () => {
+      expect(state.getLocalCentroid(element)).toMatchObject({ x: 20, y: 20 });
+      expect(state.getLocalCentroid(window)).toMatchObject({ x: 120, y: 30 });
+    });
+
+    test('getPageCentroid() includes the scroll offset', () => {
+      window.pageYOffset = 50;
+      expect(state.getPageCentroid()).toMatchObject({ x: 120, y: 80 });
+      window.pageYOffset = 0;
+    });
+  });
 });
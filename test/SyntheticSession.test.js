@@ -0,0 +1,168 @@
+/* global expect, describe, test, jest, beforeEach, afterEach */
+
+'use strict';
+
+const Gesture = require('../src/Gesture.js');
+const Point2D = require('../src/Point2D.js');
+const Region = require('../src/Region.js');
+const SyntheticSession = require('../src/SyntheticSession.js');
+const Transform = require('../src/Transform.js');
+
+describe('SyntheticSession', () => {
+  let element = null;
+  let gesture = null;
+  let handler = null;
+  let region = null;
+  let session = null;
+
+  const points = [new Point2D(0, 0), new Point2D(10, 0)];
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    document.body.appendChild(element);
+    region = new Region(document.body);
+    handler = jest.fn();
+    gesture = new Gesture('test', element, handler);
+    Object.assign(gesture, {
+      start:  jest.fn(() => ({})),
+      move:   jest.fn(() => ({})),
+      end:    jest.fn(() => ({})),
+      cancel: jest.fn(() => ({})),
+    });
+    region.addGesture(gesture);
+    session = new SyntheticSession(region, element, 'test');
+  });
+
+  afterEach(() => {
+    region.destroy();
+    document.body.removeChild(element);
+  });
+
+  describe('constructor(region, element, source)', () => {
+    test('Has its own state, with the given source', () => {
+      expect(session.state).not.toBe(region.state);
+      expect(session.state.source).toBe('test');
+      expect(session.isActive).toBe(false);
+    });
+  });
+
+  describe('start(points, sourceEvent)', () => {
+    test('Starts the gestures of the element with virtual pointers', () => {
+      session.start(points);
+      expect(session.isActive).toBe(true);
+      expect(region.getSessions()).toContain(session);
+      expect(session.activeGestures).toEqual(new Set([gesture]));
+      expect(gesture.start).toHaveBeenCalledTimes(1);
+      expect(session.state.active.length).toBe(2);
+      expect(session.state.centroid).toMatchObject({ x: 5, y: 0 });
+    });
+
+    test('Gives the inputs the source as their pointer type', () => {
+      session.start(points);
+      session.state.inputs.forEach(input => {
+        expect(input.pointerType).toBe('test');
+        expect(input.pressure).toBe(0.5);
+      });
+      expect(session.state.inputs[0].isPrimary).toBe(true);
+      expect(session.state.inputs[1].isPrimary).toBe(false);
+    });
+
+    test('Passes the source to handlers', () => {
+      session.start(points);
+      expect(handler.mock.calls[0][0]).toMatchObject({
+        phase:  'start',
+        source: 'test',
+        event:  { synthetic: true, sourceEvent: null },
+      });
+    });
+  });
+
+  describe('move(points, sourceEvent)', () => {
+    test('Updates only the pointers which have moved', () => {
+      session.start(points);
+      session.move([new Point2D(0, 0), new Point2D(20, 0)]);
+      expect(gesture.move).toHaveBeenCalledTimes(1);
+      expect(session.state.event.changedTouches.length).toBe(1);
+      expect(session.state.transform.scale).toBeCloseTo(2);
+    });
+
+    test('Does nothing if no pointer has moved', () => {
+      session.start(points);
+      session.move(points);
+      expect(gesture.move).not.toHaveBeenCalled();
+    });
+
+    test('Prevents the default action of the source event', () => {
+      const sourceEvent = { preventDefault: jest.fn() };
+      session.start(points);
+      session.move([new Point2D(5, 5), new Point2D(15, 5)], sourceEvent);
+      expect(sourceEvent.preventDefault).toHaveBeenCalled();
+    });
+  });
+
+  describe('moveBy(transform, sourceEvent)', () => {
+    test('Moves the pointers about their centroid', () => {
+      session.start(points);
+      session.moveBy(Transform.scaling(2));
+      expect(session.points[0]).toMatchObject({ x: -5, y: 0 });
+      expect(session.points[1]).toMatchObject({ x: 15, y: 0 });
+      expect(session.state.transform.scale).toBeCloseTo(2);
+    });
+  });
+
+  describe('end(sourceEvent)', () => {
+    test('Ends the gestures and detaches the session', () => {
+      session.start(points);
+      session.end();
+      expect(gesture.end).toHaveBeenCalledTimes(1);
+      expect(session.activeGestures).toEqual(new Set());
+      expect(session.isActive).toBe(false);
+    });
+  });
+
+  describe('cancel(sourceEvent)', () => {
+    test('Cancels the gestures and detaches the session', () => {
+      session.start(points);
+      session.cancel();
+      expect(gesture.cancel).toHaveBeenCalledTimes(1);
+      expect(gesture.end).not.toHaveBeenCalled();
+      expect(session.isActive).toBe(false);
+    });
+  });
+
+  describe('endAfter(timeout)', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('Ends the session once the time has passed', () => {
+      session.start(points);
+      session.endAfter(100);
+      jest.advanceTimersByTime(99);
+      expect(session.isActive).toBe(true);
+      jest.advanceTimersByTime(1);
+      expect(session.isActive).toBe(false);
+      expect(gesture.end).toHaveBeenCalledTimes(1);
+    });
+
+    test('Restarts the wait when called again', () => {
+      session.start(points);
+      session.endAfter(100);
+      jest.advanceTimersByTime(60);
+      session.endAfter(100);
+      jest.advanceTimersByTime(60);
+      expect(session.isActive).toBe(true);
+    });
+  });
+
+  test('Takes gestures out of other sessions', () => {
+    session.start(points);
+    region.arbitrate(new PointerEvent('pointerdown', 0, 0, element, 7));
+    expect(region.potentialGestures).toEqual(new Set());
+    expect(gesture.start).toHaveBeenCalledTimes(1);
+  });
+});
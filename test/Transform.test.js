@@ -0,0 +1,238 @@
+/* global expect, describe, jest, test, afterEach */
+
+'use strict';
+
+const Transform = require('../src/Transform.js');
+const Point2D   = require('../src/Point2D.js');
+
+function expectPointCloseTo(point, x, y) {
+  expect(point.x).toBeCloseTo(x);
+  expect(point.y).toBeCloseTo(y);
+}
+
+describe('Transform', () => {
+  describe('constructor', () => {
+    test('Defaults to the identity', () => {
+      expect(new Transform()).toMatchObject({
+        a: 1, b: 0, c: 0, d: 1, e: 0, f: 0,
+      });
+    });
+  });
+
+  describe('apply(point)', () => {
+    test('Transforms the point like the CSS matrix() function', () => {
+      const transform = new Transform(1, 2, 3, 4, 5, 6);
+      expectPointCloseTo(transform.apply(new Point2D(1, 1)), 9, 12);
+    });
+
+    test('Returns a new Point2D', () => {
+      const point = new Point2D(1, 1);
+      const result = new Transform().apply(point);
+      expect(result).toBeInstanceOf(Point2D);
+      expect(result).not.toBe(point);
+    });
+  });
+
+  describe('static constructors', () => {
+    test('translation(x, y)', () => {
+      const transform = Transform.translation(3, -2);
+      expectPointCloseTo(transform.apply(new Point2D(1, 1)), 4, -1);
+    });
+
+    test('rotation(angle)', () => {
+      const transform = Transform.rotation(Math.PI / 2);
+      expectPointCloseTo(transform.apply(new Point2D(1, 0)), 0, 1);
+      expect(transform.rotation).toBeCloseTo(Math.PI / 2);
+    });
+
+    test('scaling(sx, sy)', () => {
+      expectPointCloseTo(
+        Transform.scaling(2, 3).apply(new Point2D(1, 1)),
+        2,
+        3,
+      );
+      expect(Transform.scaling(2).scale).toBeCloseTo(2);
+    });
+  });
+
+  describe('compose(other)', () => {
+    test('Applies the other transform first', () => {
+      const translate = Transform.translation(1, 0);
+      const rotate = Transform.rotation(Math.PI / 2);
+      const point = new Point2D(1, 0);
+
+      expectPointCloseTo(rotate.compose(translate).apply(point), 0, 2);
+      expectPointCloseTo(translate.compose(rotate).apply(point), 1, 1);
+    });
+  });
+
+  describe('invert()', () => {
+    test('Produces the inverse transform', () => {
+      const transform = Transform.translation(4, 5)
+        .compose(Transform.rotation(0.3))
+        .compose(Transform.scaling(2, 0.5));
+      const point = new Point2D(-3, 7);
+      const inverse = transform.invert();
+
+      expectPointCloseTo(inverse.apply(transform.apply(point)), -3, 7);
+      const identity = inverse.compose(transform);
+      expect(identity.a).toBeCloseTo(1);
+      expect(identity.b).toBeCloseTo(0);
+      expect(identity.e).toBeCloseTo(0);
+    });
+
+    test('Throws an Error if the transform is singular', () => {
+      expect(() => Transform.scaling(0, 1).invert()).toThrow(Error);
+    });
+  });
+
+  describe('fromCSS(value)', () => {
+    test('Returns the identity for "none"', () => {
+      expect(Transform.fromCSS('none')).toEqual(new Transform());
+    });
+
+    test('Parses a matrix()', () => {
+      expect(Transform.fromCSS('matrix(1, 2, 3, 4, 5, 6)')).toMatchObject({
+        a: 1, b: 2, c: 3, d: 4, e: 5, f: 6,
+      });
+    });
+
+    test('Parses the 2D components of a matrix3d()', () => {
+      const value = 'matrix3d(1, 2, 0, 0, 3, 4, 0, 0, 0, 0, 1, 0, 5, 6, 0, 1)';
+      expect(Transform.fromCSS(value)).toMatchObject({
+        a: 1, b: 2, c: 3, d: 4, e: 5, f: 6,
+      });
+    });
+  });
+
+  describe('fromElement(element)', () => {
+    const styles = new Map();
+
+    function layout(element, { width, height, rect, style = {} }) {
+      Object.defineProperty(element, 'offsetWidth', { value: width });
+      Object.defineProperty(element, 'offsetHeight', { value: height });
+      element.getBoundingClientRect = () => rect;
+      styles.set(element, style);
+    }
+
+    function mockStyles() {
+      jest.spyOn(window, 'getComputedStyle').mockImplementation(element => {
+        return styles.get(element) || { transform: 'none' };
+      });
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      styles.clear();
+    });
+
+    test('Returns the identity for the window and document', () => {
+      expect(Transform.fromElement(window)).toEqual(new Transform());
+      expect(Transform.fromElement(document)).toEqual(new Transform());
+    });
+
+    test('Maps local coordinates of a rotated element', () => {
+      const element = document.createElement('div');
+      layout(element, {
+        width:  100,
+        height: 50,
+        rect:   { left: 35, top: -5, width: 50, height: 100 },
+        style:  { transform: 'matrix(0, 1, -1, 0, 0, 0)' },
+      });
+      mockStyles();
+
+      const transform = Transform.fromElement(element);
+      expectPointCloseTo(transform.apply(new Point2D(0, 0)), 85, -5);
+      expectPointCloseTo(transform.apply(new Point2D(100, 50)), 35, 95);
+      expectPointCloseTo(transform.apply(new Point2D(50, 25)), 60, 45);
+    });
+
+    test('Includes the transforms of ancestors', () => {
+      const parent = document.createElement('div');
+      const child = document.createElement('div');
+      parent.appendChild(child);
+      layout(parent, {
+        width:  100,
+        height: 100,
+        rect:   { left: 0, top: 0, width: 200, height: 200 },
+        style:  { transform: 'matrix(2, 0, 0, 2, 0, 0)' },
+      });
+      layout(child, {
+        width:  10,
+        height: 10,
+        rect:   { left: 100, top: 100, width: 20, height: 20 },
+      });
+      mockStyles();
+
+      const inverse = Transform.fromElement(child).invert();
+      expectPointCloseTo(inverse.apply(new Point2D(110, 120)), 5, 10);
+    });
+
+    test('Includes the individual rotate and scale properties', () => {
+      const element = document.createElement('div');
+      layout(element, {
+        width:  10,
+        height: 10,
+        rect:   { left: 0, top: 0, width: 20, height: 20 },
+        style:  { transform: 'none', rotate: '0.25turn', scale: '2' },
+      });
+      mockStyles();
+
+      const transform = Transform.fromElement(element);
+      expect(transform.rotation).toBeCloseTo(Math.PI / 2);
+      expect(transform.scale).toBeCloseTo(2);
+    });
+  });
+
+  describe('fromPointPairs(from, to)', () => {
+    const from = [
+      new Point2D(0, 0),
+      new Point2D(10, 0),
+      new Point2D(10, 10),
+      new Point2D(0, 10),
+    ];
+
+    test('Returns the identity without any points', () => {
+      expect(Transform.fromPointPairs([], [])).toEqual(new Transform());
+    });
+
+    test('Returns a translation for a single pair of points', () => {
+      const transform = Transform.fromPointPairs(
+        [new Point2D(1, 2)],
+        [new Point2D(4, 0)],
+      );
+      expect(transform.scale).toBe(1);
+      expect(transform.rotation).toBe(0);
+      expectPointCloseTo(transform.translation, 3, -2);
+    });
+
+    test('Recovers an exact similarity transform', () => {
+      const expected = Transform.translation(5, -3)
+        .compose(Transform.rotation(0.4))
+        .compose(Transform.scaling(1.5));
+      const to = from.map(p => expected.apply(p));
+      const transform = Transform.fromPointPairs(from, to);
+
+      expect(transform.rotation).toBeCloseTo(0.4);
+      expect(transform.scale).toBeCloseTo(1.5);
+      expectPointCloseTo(transform.translation, 5, -3);
+    });
+
+    test('Finds the least squares fit for inexact points', () => {
+      const to = [
+        new Point2D(0, 0),
+        new Point2D(11, 0),
+        new Point2D(10, 10),
+        new Point2D(-1, 10),
+      ];
+      const transform = Transform.fromPointPairs(from, to);
+      expect(transform.a).toBeCloseTo(1.05);
+      expect(transform.b).toBeCloseTo(0.05);
+      expectPointCloseTo(
+        transform.apply(Point2D.centroid(from)),
+        Point2D.centroid(to).x,
+        Point2D.centroid(to).y,
+      );
+    });
+  });
+});
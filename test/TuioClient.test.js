@@ -0,0 +1,246 @@
+/* global expect, describe, test, jest, beforeEach, afterEach */
+
+'use strict';
+
+const Region = require('../src/Region.js');
+const TuioClient = require('../src/TuioClient.js');
+const MockGesture = require('./MockGesture.js');
+const TuioServer = require('./TuioServer.js');
+
+describe('TuioClient', () => {
+  let client = null;
+  let element = null;
+  let gesture = null;
+  let region = null;
+  let server = null;
+  let socket = null;
+
+  beforeEach(() => {
+    // The element covers the left half of the window, which is 1024 by 768.
+    element = document.createElement('div');
+    document.body.appendChild(element);
+    document.elementFromPoint = jest.fn(x => {
+      return x < 512 ? element : document.body;
+    });
+
+    region = new Region(document.body);
+    gesture = new MockGesture(element);
+    region.addGesture(gesture);
+
+    client = new TuioClient(region, { element: window });
+    server = new TuioServer();
+    socket = server.connect();
+    client.connect(socket);
+  });
+
+  afterEach(() => {
+    client.disconnect();
+    region.destroy();
+    document.body.removeChild(element);
+    delete document.elementFromPoint;
+  });
+
+  describe('constructor(region, options)', () => {
+    test('Starts without cursors or a transport', () => {
+      const other = new TuioClient(region);
+      expect(other.cursors.size).toBe(0);
+      expect(other.transport).toBeNull();
+      expect(other.options).toEqual(TuioClient.DEFAULTS);
+    });
+  });
+
+  describe('TUIO 1.1 cursors', () => {
+    test('Cursors which appear start inputs', () => {
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(gesture.phases()).toEqual(['start']);
+      expect(gesture.lastData().centroid).toMatchObject({ x: 256, y: 384 });
+      expect(region.state.active[0]).toMatchObject({
+        identifier:  'tuio:default:1',
+        pointerType: 'touch',
+        isPrimary:   true,
+      });
+    });
+
+    test('Cursors which are set again move their inputs', () => {
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      server.sendFrame([1], { 1: [0.375, 0.5] });
+      expect(gesture.phases()).toEqual(['start', 'move']);
+      expect(gesture.lastData().centroid).toMatchObject({ x: 384, y: 384 });
+    });
+
+    test('Cursors which are set without moving are left alone', () => {
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      server.sendFrame([1]);
+      expect(gesture.phases()).toEqual(['start']);
+    });
+
+    test('Cursors which are no longer alive end their inputs', () => {
+      server.sendFrame([1, 2], { 1: [0.25, 0.5], 2: [0.125, 0.5] });
+      server.sendFrame([2]);
+      expect(gesture.phases()).toEqual(['start', 'start', 'end']);
+      expect(region.state.active.length).toBe(1);
+      expect(region.state.active[0].identifier).toBe('tuio:default:2');
+      server.sendFrame([]);
+      expect(region.state.hasNoInputs()).toBe(true);
+      expect(client.cursors.size).toBe(0);
+    });
+
+    test('Only the first cursor is primary', () => {
+      server.sendFrame([1, 2], { 1: [0.25, 0.5], 2: [0.125, 0.5] });
+      expect(region.state.active.map(input => input.isPrimary))
+        .toEqual([true, false]);
+    });
+
+    test('Frames are only applied once complete', () => {
+      const { bundle, message } = TuioServer;
+      server.send(bundle(
+        message('/tuio/2Dcur', 'si', 'alive', 1),
+        message('/tuio/2Dcur', 'siff', 'set', 1, 0.25, 0.5),
+      ));
+      expect(gesture.handler).not.toHaveBeenCalled();
+      server.send(bundle(message('/tuio/2Dcur', 'si', 'fseq', 1)));
+      expect(gesture.phases()).toEqual(['start']);
+    });
+
+    test('Cursors from different sources are kept apart', () => {
+      const other = new TuioServer('table-2');
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      other.sockets.add(socket);
+      other.sendFrame([1], { 1: [0.125, 0.5] });
+      expect(region.state.active.map(input => input.identifier))
+        .toEqual(['tuio:default:1', 'tuio:table-2:1']);
+      other.sendFrame([]);
+      expect(region.state.active.length).toBe(1);
+    });
+  });
+
+  describe('TUIO 2.0 pointers', () => {
+    test('Pointers start, move, and end inputs, with their pressure', () => {
+      server.sendFrame2({ 4: [0.25, 0.5, 0.75] });
+      expect(region.state.active[0]).toMatchObject({
+        identifier: 'tuio:tracker:4',
+        pressure:   0.75,
+      });
+      server.sendFrame2({ 4: [0.375, 0.5, 0.75] });
+      server.sendFrame2({});
+      expect(gesture.phases()).toEqual(['start', 'move', 'end']);
+    });
+  });
+
+  describe('projection and hit-testing', () => {
+    test('Cursors start on the element under them', () => {
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(document.elementFromPoint).toHaveBeenCalledWith(256, 384);
+      expect(region.state.active[0].initialPath[0]).toBe(element);
+    });
+
+    test('Cursors over other elements do not reach the gesture', () => {
+      server.sendFrame([1], { 1: [0.75, 0.5] });
+      expect(gesture.handler).not.toHaveBeenCalled();
+      expect(region.state.active[0].initialPath[0]).toBe(document.body);
+    });
+
+    test('Cursors outside of the region are ignored', () => {
+      region.destroy();
+      region = new Region(element);
+      client.region = region;
+      server.sendFrame([1], { 1: [0.75, 0.5] });
+      expect(region.state.hasNoInputs()).toBe(true);
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(region.state.hasNoInputs()).toBe(true);
+    });
+
+    test('Coordinates are projected onto the element option', () => {
+      client.options.element = element;
+      element.getBoundingClientRect = () => {
+        return { left: 100, top: 50, width: 200, height: 100 };
+      };
+      Object.defineProperty(element, 'offsetWidth', { value: 200 });
+      Object.defineProperty(element, 'offsetHeight', { value: 100 });
+      server.sendFrame([1], { 1: [0.5, 0.25] });
+      expect(region.state.active[0].current.point)
+        .toMatchObject({ x: 200, y: 75 });
+    });
+  });
+
+  describe('connect(transport)', () => {
+    test('Accepts event emitters', () => {
+      const listeners = {};
+      const emitter = {
+        on:             jest.fn((type, fn) => (listeners[type] = fn)),
+        removeListener: jest.fn(),
+      };
+      client.connect(emitter);
+      expect(socket.listeners).toEqual([]);
+      server.sockets.clear();
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(gesture.handler).not.toHaveBeenCalled();
+
+      server.sockets.add({ emit: (type, data) => listeners[type](data) });
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(gesture.phases()).toEqual(['start']);
+
+      client.disconnect();
+      expect(emitter.removeListener).toHaveBeenCalledTimes(2);
+    });
+
+    test('Drops malformed packets and reports them to onError', () => {
+      const onError = jest.fn();
+      client.disconnect();
+      client = new TuioClient(region, { element: window, onError });
+      client.connect(socket);
+      const fseq = TuioServer.message('/tuio/2Dcur', 'si', 'fseq', 1);
+      const packet = TuioServer.bundle(fseq);
+      expect(() => server.send(packet.subarray(0, 30))).not.toThrow();
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0]).toBeInstanceOf(RangeError);
+
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(gesture.phases()).toEqual(['start']);
+    });
+
+    test('Removes all cursors when the transport closes', () => {
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      socket.close();
+      expect(gesture.phases()).toEqual(['start', 'end']);
+      expect(client.cursors.size).toBe(0);
+    });
+  });
+
+  describe('disconnect()', () => {
+    test('Stops receiving messages and removes all cursors', () => {
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      client.disconnect();
+      expect(gesture.phases()).toEqual(['start', 'end']);
+      expect(socket.listeners).toEqual([]);
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(gesture.phases()).toEqual(['start', 'end']);
+    });
+  });
+
+  describe('receive(packet)', () => {
+    test('Accepts packets which are already decoded', () => {
+      client.receive({
+        timeTag:  { seconds: 0, fraction: 1 },
+        elements: [
+          { address: '/tuio/2Dcur', args: ['alive', 1] },
+          { address: '/tuio/2Dcur', args: ['set', 1, 0.25, 0.5] },
+          { address: '/tuio/2Dcur', args: ['fseq', 1] },
+        ],
+      });
+      expect(gesture.phases()).toEqual(['start']);
+    });
+
+    test('Ignores other profiles', () => {
+      client.receive({ address: '/tuio/2Dobj', args: ['alive', 1] });
+      expect(client.cursors.size).toBe(0);
+    });
+
+    test('Does nothing while the region is inactive', () => {
+      region.deactivate();
+      server.sendFrame([1], { 1: [0.25, 0.5] });
+      expect(region.state.hasNoInputs()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/* eslint-disable max-classes-per-file */
+
+'use strict';
+
+/*
+ * A mock of a WebSocket bridge for TUIO trackers. The server encodes frames of
+ * cursors as OSC bundles and sends them to its connected sockets, which
+ * deliver them as the 'data' of 'message' events, as a WebSocket with its
+ * 'binaryType' set to 'arraybuffer' does.
+ */
+
+function pad(length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+function encodeString(string) {
+  const bytes = new Uint8Array(pad(string.length + 1));
+  Array.from(string).forEach((char, i) => {
+    bytes[i] = char.charCodeAt(0);
+  });
+  return bytes;
+}
+
+function encodeNumber(tag, value) {
+  const view = new DataView(new ArrayBuffer(4));
+  if (tag === 'f') {
+    view.setFloat32(0, value);
+  } else {
+    view.setInt32(0, value);
+  }
+  return new Uint8Array(view.buffer);
+}
+
+function concat(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+// Time tags are always 'immediately'.
+function encodeTimeTag() {
+  return concat([encodeNumber('i', 0), encodeNumber('i', 1)]);
+}
+
+function encodeArgument(tag, value) {
+  switch (tag) {
+  case 's': return encodeString(value);
+  case 't': return encodeTimeTag();
+  default: return encodeNumber(tag, value);
+  }
+}
+
+/*
+ * Encodes a message with arguments of the given type tags. The arguments are
+ * given for the tags 'i', 'f', 's', and 't', and other tags are only written
+ * to the type tag string.
+ */
+function message(address, tags, ...args) {
+  const values = args.slice();
+  return concat([
+    encodeString(address),
+    encodeString(`,${tags}`),
+    ...Array.from(tags)
+      .filter(tag => 'ifst'.includes(tag))
+      .map(tag => encodeArgument(tag, values.shift())),
+  ]);
+}
+
+function bundle(...elements) {
+  return concat([
+    encodeString('#bundle'),
+    encodeTimeTag(),
+    ...elements.map(element => {
+      return concat([encodeNumber('i', element.length), element]);
+    }),
+  ]);
+}
+
+class MockSocket {
+  constructor(server) {
+    this.server = server;
+    this.listeners = [];
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push({ type, listener });
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(entry => {
+      return entry.type !== type || entry.listener !== listener;
+    });
+  }
+
+  emit(type, data) {
+    this.listeners
+      .filter(entry => entry.type === type)
+      .forEach(entry => entry.listener({ type, data }));
+  }
+
+  close() {
+    this.server.sockets.delete(this);
+    this.emit('close');
+  }
+}
+
+class TuioServer {
+  constructor(source = null) {
+    this.source = source;
+    this.sockets = new Set();
+    this.frameId = 0;
+  }
+
+  connect() {
+    const socket = new MockSocket(this);
+    this.sockets.add(socket);
+    return socket;
+  }
+
+  send(packet) {
+    const data = packet.buffer.slice(
+      packet.byteOffset,
+      packet.byteOffset + packet.byteLength,
+    );
+    this.sockets.forEach(socket => socket.emit('message', data));
+  }
+
+  /*
+   * Sends a TUIO 1.1 frame, in which the cursors are alive and those listed in
+   * 'set' have the given positions, by session id.
+   */
+  sendFrame(alive, set = {}) {
+    this.frameId += 1;
+    const messages = [];
+    if (this.source !== null) {
+      messages.push(message('/tuio/2Dcur', 'ss', 'source', this.source));
+    }
+    const ids = alive.map(() => 'i').join('');
+    messages.push(message('/tuio/2Dcur', `s${ids}`, 'alive', ...alive));
+    Object.entries(set).forEach(([key, [x, y]]) => {
+      const args = ['set', Number(key), x, y, 0, 0, 0];
+      messages.push(message('/tuio/2Dcur', 'sifffff', ...args));
+    });
+    messages.push(message('/tuio/2Dcur', 'si', 'fseq', this.frameId));
+    this.send(bundle(...messages));
+  }
+
+  /*
+   * Sends a TUIO 2.0 frame, with the given pointers as [x, y, pressure] by
+   * session id, all of which are alive.
+   */
+  sendFrame2(pointers) {
+    this.frameId += 1;
+    const source = this.source || 'tracker';
+    const ids = Object.keys(pointers).map(Number);
+    this.send(bundle(
+      message('/tuio2/frm', 'itis', this.frameId, 0, 0, source),
+      ...ids.map(id => {
+        const [x, y, pressure] = pointers[id];
+        const args = [id, 0, 0, x, y, 0, 0, 0, pressure, 0];
+        return message('/tuio2/ptr', 'iiifffffff', ...args);
+      }),
+      message('/tuio2/alv', ids.map(() => 'i').join(''), ...ids),
+    ));
+  }
+}
+
+TuioServer.bundle = bundle;
+TuioServer.message = message;
+
+module.exports = TuioServer;
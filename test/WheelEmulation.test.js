@@ -0,0 +1,154 @@
+/* global expect, describe, test, jest, beforeEach, afterEach */
+
+'use strict';
+
+const Region = require('../src/Region.js');
+const WheelEmulation = require('../src/WheelEmulation.js');
+const MockGesture = require('./MockGesture.js');
+
+describe('WheelEmulation', () => {
+  let element = null;
+  let gesture = null;
+  let region = null;
+
+  function wheel(init = {}, target = element) {
+    const event = new WheelEvent('wheel', {
+      clientX:    100,
+      clientY:    200,
+      bubbles:    true,
+      cancelable: true,
+      ...init,
+    });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    element = document.createElement('div');
+    document.body.appendChild(element);
+
+    region = new Region(document.body, { wheelEmulation: true });
+    const move = state => ({ transform: state.transform });
+    gesture = new MockGesture(element, move);
+    region.addGesture(gesture);
+  });
+
+  afterEach(() => {
+    region.destroy();
+    document.body.removeChild(element);
+    jest.useRealTimers();
+  });
+
+  describe('constructor(region, options)', () => {
+    test('Is created by the wheelEmulation option of the Region', () => {
+      expect(region.wheelEmulation).toBeInstanceOf(WheelEmulation);
+      expect(region.wheelEmulation.options)
+        .toMatchObject(WheelEmulation.DEFAULTS);
+    });
+
+    test('Is disabled by default', () => {
+      const plain = new Region(element);
+      expect(plain.wheelEmulation).toBeNull();
+      wheel({ deltaY: 10 });
+      expect(plain.syntheticSessions.size).toBe(0);
+      plain.destroy();
+    });
+  });
+
+  describe('handleEvent(event)', () => {
+    test('Starts a session with two virtual pointers at the cursor', () => {
+      wheel({ deltaY: 10 });
+      expect(gesture.phases()).toEqual(['start', 'move']);
+      expect(gesture.start.mock.calls[0][0].active.length).toBe(2);
+      expect(gesture.handler.mock.calls[0][0]).toMatchObject({
+        source:   'wheel',
+        centroid: { x: 100, y: 200 },
+      });
+    });
+
+    test('Plain wheel events pan against the scroll direction', () => {
+      wheel({ deltaX: 5, deltaY: 10 });
+      expect(gesture.lastData().transform.translation.x).toBeCloseTo(-5);
+      expect(gesture.lastData().transform.translation.y).toBeCloseTo(-10);
+      expect(gesture.lastData().transform.scale).toBeCloseTo(1);
+    });
+
+    test('Wheel events with ctrlKey pinch about the cursor', () => {
+      wheel({ deltaY: -10, ctrlKey: true });
+      expect(gesture.lastData().transform.scale).toBeCloseTo(Math.exp(0.1));
+      expect(gesture.lastData().centroid.x).toBeCloseTo(100);
+      expect(gesture.lastData().centroid.y).toBeCloseTo(200);
+
+      wheel({ deltaY: 10, ctrlKey: true });
+      expect(gesture.lastData().transform.scale).toBeCloseTo(Math.exp(-0.1));
+    });
+
+    test('Pinches follow the cursor as it moves', () => {
+      wheel({ deltaY: -10, ctrlKey: true });
+      wheel({ deltaY: -10, ctrlKey: true, clientX: 130, clientY: 180 });
+      expect(gesture.lastData().centroid.x).toBeCloseTo(130);
+      expect(gesture.lastData().centroid.y).toBeCloseTo(180);
+      expect(gesture.lastData().transform.scale).toBeCloseTo(Math.exp(0.1));
+    });
+
+    test('Normalizes line and page deltas to pixels', () => {
+      wheel({ deltaY: 2, deltaMode: 1 });
+      expect(gesture.lastData().transform.translation.y).toBeCloseTo(-32);
+      wheel({ deltaX: 1, deltaMode: 2 });
+      expect(gesture.lastData().transform.translation.x)
+        .toBeCloseTo(-window.innerWidth);
+    });
+
+    test('Ends the session once the wheel has been idle', () => {
+      wheel({ deltaY: 10 });
+      jest.advanceTimersByTime(150);
+      wheel({ deltaY: 10 });
+      jest.advanceTimersByTime(150);
+      expect(gesture.phases()).toEqual(['start', 'move', 'move']);
+      jest.advanceTimersByTime(50);
+      expect(gesture.phases()).toEqual(['start', 'move', 'move', 'end']);
+      expect(region.syntheticSessions.size).toBe(0);
+    });
+
+    test('Stays on the element where the session started', () => {
+      const other = document.createElement('div');
+      document.body.appendChild(other);
+      wheel({ deltaY: 10 });
+      wheel({ deltaY: 10 }, other);
+      expect(gesture.phases()).toEqual(['start', 'move', 'move']);
+      document.body.removeChild(other);
+    });
+
+    test('Prevents the default action while gestures are active', () => {
+      expect(wheel({ deltaY: 10 }).defaultPrevented).toBe(true);
+    });
+
+    test('Ignores elements without gestures', () => {
+      const other = document.createElement('div');
+      document.body.appendChild(other);
+      expect(wheel({ deltaY: 10 }, other).defaultPrevented).toBe(false);
+      expect(region.syntheticSessions.size).toBe(0);
+      document.body.removeChild(other);
+    });
+
+    test('Stops listening when the region is deactivated', () => {
+      region.deactivate();
+      wheel({ deltaY: 10 });
+      expect(gesture.handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('options', () => {
+    test('The zoom speed and line height can be configured', () => {
+      region.destroy();
+      region = new Region(document.body, {
+        wheelEmulation: { zoomSpeed: 0.1, lineHeight: 20 },
+      });
+      region.addGesture(gesture);
+
+      wheel({ deltaY: -1, deltaMode: 1, ctrlKey: true });
+      expect(gesture.lastData().transform.scale).toBeCloseTo(Math.exp(2));
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/* global expect, describe, test, beforeEach */
+
+'use strict';
+
+const {
+  and,
+  attribute,
+  elapsed,
+  evaluate,
+  inputCount,
+  not,
+  or,
+  pointerType,
+} = require('../src/conditions.js');
+
+const always = () => true;
+const never = () => false;
+
+let gesture = null;
+let state = null;
+
+function makeInput(type, startTime = 1000, time = startTime) {
+  return { pointerType: type, startTime, current: { time } };
+}
+
+beforeEach(() => {
+  gesture = { element: document.createElement('div') };
+  state = { active: [], inputs: [] };
+});
+
+describe('evaluate(condition, state, gesture)', () => {
+  test('Calls functions with the state and gesture', () => {
+    const condition = (s, g) => s === state && g === gesture;
+    expect(evaluate(condition, state, gesture)).toBe(true);
+  });
+
+  test('Combines conditions with and, or, and not', () => {
+    expect(evaluate({ and: [always, always] }, state, gesture)).toBe(true);
+    expect(evaluate({ and: [always, never] }, state, gesture)).toBe(false);
+    expect(evaluate({ or: [never, always] }, state, gesture)).toBe(true);
+    expect(evaluate({ or: [never, never] }, state, gesture)).toBe(false);
+    expect(evaluate({ not: never }, state, gesture)).toBe(true);
+    expect(evaluate({ not: { or: [always] } }, state, gesture)).toBe(false);
+  });
+
+  test('Throws a TypeError for invalid conditions', () => {
+    expect(() => evaluate({}, state, gesture)).toThrow(TypeError);
+    expect(() => evaluate(true, state, gesture)).toThrow(TypeError);
+  });
+});
+
+describe('and(), or(), and not()', () => {
+  test('Build the corresponding condition objects', () => {
+    expect(and(always, never)).toEqual({ and: [always, never] });
+    expect(or(always, never)).toEqual({ or: [always, never] });
+    expect(not(always)).toEqual({ not: always });
+  });
+});
+
+describe('pointerType(...types)', () => {
+  test('Holds if all active inputs are of the given types', () => {
+    const condition = pointerType('pen', 'mouse');
+    expect(condition(state)).toBe(false);
+    state.active = [makeInput('pen'), makeInput('mouse')];
+    expect(condition(state)).toBe(true);
+    state.active.push(makeInput('touch'));
+    expect(condition(state)).toBe(false);
+  });
+});
+
+describe('inputCount(min, max)', () => {
+  test('Holds if the number of active inputs is within bounds', () => {
+    state.active = [makeInput('touch'), makeInput('touch')];
+    expect(inputCount(2)(state)).toBe(true);
+    expect(inputCount(3)(state)).toBe(false);
+    expect(inputCount(1, 2)(state)).toBe(true);
+  });
+});
+
+describe('elapsed(duration)', () => {
+  test('Holds once the time has passed since the first input started', () => {
+    const condition = elapsed(500);
+    expect(condition(state)).toBe(false);
+    state.inputs = [makeInput('touch', 1000, 1200), makeInput('touch', 1300)];
+    expect(condition(state)).toBe(false);
+    state.inputs[1].current.time = 1500;
+    expect(condition(state)).toBe(true);
+  });
+});
+
+describe('attribute(name, value)', () => {
+  test('Holds if the gesture element has the attribute', () => {
+    expect(attribute('data-locked')(state, gesture)).toBe(false);
+    gesture.element.setAttribute('data-locked', '');
+    expect(attribute('data-locked')(state, gesture)).toBe(true);
+  });
+
+  test('Compares the value of the attribute, if given', () => {
+    gesture.element.setAttribute('data-mode', 'draw');
+    expect(attribute('data-mode', 'draw')(state, gesture)).toBe(true);
+    expect(attribute('data-mode', 'erase')(state, gesture)).toBe(false);
+  });
+
+  test('Does not hold for the window', () => {
+    expect(attribute('data-mode')(state, { element: window })).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+/* global expect, describe, test, beforeEach */
+
+'use strict';
+
+const Smoothable = require('../src/Smoothable.js');
+const {
+  cascade,
+  exponential,
+  oneEuro,
+  windowedMean,
+} = require('../src/filters.js');
+
+let numbers = null;
+
+beforeEach(() => {
+  numbers = new Smoothable({ applySmoothing: false });
+});
+
+describe('cascade()', () => {
+  test('Averages each value with the previous output', () => {
+    const filter = cascade();
+    numbers.identity = 1;
+    expect(filter.next(1, 0, numbers)).toBeCloseTo(1);
+    expect(filter.next(1.2, 0, numbers)).toBeCloseTo(1.1);
+    expect(filter.next(0.9, 0, numbers)).toBeCloseTo(1.0);
+  });
+
+  test('Starts over from the identity after a reset', () => {
+    const filter = cascade();
+    filter.next(4, 0, numbers);
+    filter.reset();
+    expect(filter.next(2, 0, numbers)).toBe(1);
+  });
+});
+
+describe('exponential(options)', () => {
+  test('Weights the first value by alpha, from the identity', () => {
+    const filter = exponential({ alpha: 0.25 });
+    expect(filter.next(8, 1000, numbers)).toBe(2);
+  });
+
+  test('Applies alpha to values one interval apart', () => {
+    const filter = exponential({ alpha: 0.5, interval: 10 });
+    filter.next(0, 1000, numbers);
+    expect(filter.next(10, 1010, numbers)).toBeCloseTo(5);
+  });
+
+  test('Adjusts to irregular intervals', () => {
+    const regular = exponential({ alpha: 0.5, interval: 10 });
+    const irregular = exponential({ alpha: 0.5, interval: 10 });
+    regular.next(0, 1000, numbers);
+    irregular.next(0, 1000, numbers);
+
+    const expected = regular.next(10, 1020, numbers);
+    irregular.next(10, 1003, numbers);
+    irregular.next(10, 1011, numbers);
+    expect(irregular.next(10, 1020, numbers)).toBeCloseTo(expected);
+    expect(expected).toBeCloseTo(7.5);
+  });
+
+  test('Starts over from the identity after a reset', () => {
+    const filter = exponential({ alpha: 0.5 });
+    filter.next(10, 1000, numbers);
+    filter.reset();
+    expect(filter.next(10, 5000, numbers)).toBe(5);
+  });
+});
+
+describe('windowedMean(options)', () => {
+  test('Outputs the mean of the values within the window', () => {
+    const filter = windowedMean({ duration: 50 });
+    expect(filter.next(3, 1000, numbers)).toBe(3);
+    expect(filter.next(5, 1020, numbers)).toBe(4);
+    expect(filter.next(10, 1040, numbers)).toBeCloseTo(6);
+    expect(filter.next(0, 1060, numbers)).toBeCloseTo(5);
+  });
+
+  test('Limits the number of values in the window', () => {
+    const filter = windowedMean({ size: 2 });
+    filter.next(3, 1000, numbers);
+    filter.next(5, 1001, numbers);
+    expect(filter.next(9, 1002, numbers)).toBeCloseTo(7);
+  });
+
+  test('Empties the window on reset', () => {
+    const filter = windowedMean();
+    filter.next(3, 1000, numbers);
+    filter.reset();
+    expect(filter.next(5, 1001, numbers)).toBe(5);
+  });
+});
+
+describe('oneEuro(options)', () => {
+  function ramp(filter, speed) {
+    let output = 0;
+    for (let t = 0; t <= 200; t += 10) {
+      output = filter.next(speed * t, 1000 + t, numbers);
+    }
+    return 200 * speed - output;
+  }
+
+  test('Smooths out jitter while the input is still', () => {
+    const filter = oneEuro();
+    numbers.identity = 100;
+    const outputs = [1, -1, 1, -1, 1, -1].map((noise, i) => {
+      return filter.next(100 + noise, 1000 + 10 * i, numbers);
+    });
+    outputs.forEach(output => {
+      expect(Math.abs(output - 100)).toBeLessThan(0.2);
+    });
+  });
+
+  test('Lags less behind fast input as beta increases', () => {
+    const lagged = ramp(oneEuro({ beta: 0 }), 1);
+    const responsive = ramp(oneEuro({ beta: 0.1 }), 1);
+    expect(responsive).toBeLessThan(lagged / 2);
+  });
+
+  test('Behaves as a fixed low-pass filter when beta is zero', () => {
+    const filter = oneEuro({ beta: 0, minCutoff: 1 });
+    filter.next(0, 1000, numbers);
+    const factor = 1 / (1 + 1000 / (2 * Math.PI * 10));
+    expect(filter.next(10, 1010, numbers)).toBeCloseTo(10 * factor);
+  });
+
+  test('Starts over from the identity after a reset', () => {
+    const filter = oneEuro();
+    const first = filter.next(10, 1000, numbers);
+    filter.next(20, 1010, numbers);
+    filter.reset();
+    expect(filter.next(10, 5000, numbers)).toBeCloseTo(first);
+  });
+});
@@ -0,0 +1,215 @@
+/* global expect, describe, test, afterEach */
+
+'use strict';
+
+const inputSources = require('../src/inputSources.js');
+const { CANCEL, END, MOVE, START } = require('../src/constants.js');
+
+const {
+  headless,
+  mouse,
+  pointer,
+  replay,
+  synthetic,
+  touch,
+  tuio,
+} = inputSources;
+
+describe('built-in sources', () => {
+  test('pointer: each event changes the pointer with its pointerId', () => {
+    const event = new PointerEvent('pointermove', 3, 4, window, 7);
+    expect(inputSources.find(event)).toBe(pointer);
+    expect(pointer.getPhase(event)).toBe(MOVE);
+    expect(pointer.getIdentifiers(event)).toEqual([7]);
+    expect(pointer.getPointer(event, 7)).toBe(event);
+    expect(pointer.getPoint(event, 7)).toMatchObject({ x: 3, y: 4 });
+  });
+
+  test('mouse: the mouse is a single input', () => {
+    const event = new MouseEvent('mousedown', 3, 4);
+    expect(inputSources.find(event)).toBe(mouse);
+    expect(mouse.getPhase(event)).toBe(START);
+    expect(mouse.getIdentifiers(event)).toEqual([0]);
+    expect(mouse.getPoint(event, 0)).toMatchObject({ x: 3, y: 4 });
+  });
+
+  test('mouse: additional buttons are moves', () => {
+    const event = { type: 'mousedown', button: 2, buttons: 3 };
+    expect(mouse.getPhase(event)).toBe(MOVE);
+  });
+
+  test('mouse: a press without any buttons reported starts the input', () => {
+    const event = new MouseEvent('mousedown', 3, 4);
+    event.buttons = 0;
+    expect(mouse.getPhase(event)).toBe(START);
+    expect(mouse.getPhase({ type: 'mousedown', button: 0 })).toBe(START);
+    expect(mouse.getPhase({ type: 'mousedown', button: 1, buttons: 4 }))
+      .toBe(START);
+  });
+
+  test('touch: each event changes its changed touches', () => {
+    const event = new TouchEvent('touchend', 3, 4, window, 2);
+    event.changedTouches.push({ identifier: 5, clientX: 6, clientY: 7 });
+    expect(inputSources.find(event)).toBe(touch);
+    expect(touch.getPhase(event)).toBe(END);
+    expect(touch.getIdentifiers(event)).toEqual([2, 5]);
+    expect(touch.getPointer(event, 5)).toBe(event.changedTouches[1]);
+    expect(touch.getPoint(event, 5)).toMatchObject({ x: 6, y: 7 });
+  });
+
+  test('Cancel events belong to their sources', () => {
+    expect(inputSources.find({ type: 'pointercancel' })).toBe(pointer);
+    expect(inputSources.find({ type: 'mouseleave' })).toBe(mouse);
+    expect(inputSources.find({ type: 'touchcancel' })).toBe(touch);
+  });
+
+  test('synthetic: accepts events marked as synthetic', () => {
+    const event = {
+      type:           'pointerdown',
+      synthetic:      true,
+      changedTouches: [{ identifier: 1, clientX: 2, clientY: 3 }],
+    };
+    expect(inputSources.find(event)).toBe(synthetic);
+    expect(synthetic.getPhase(event)).toBe(START);
+    expect(synthetic.getIdentifiers(event)).toEqual([1]);
+    expect(synthetic.getPoint(event, 1)).toMatchObject({ x: 2, y: 3 });
+  });
+
+  test('tuio: each event changes the cursor with its pointerId', () => {
+    const event = {
+      type:      'tuioup',
+      pointerId: 'tuio:default:1',
+      clientX:   2,
+      clientY:   3,
+    };
+    expect(inputSources.find(event)).toBe(tuio);
+    expect(tuio.getPhase(event)).toBe(END);
+    expect(tuio.getIdentifiers(event)).toEqual(['tuio:default:1']);
+    expect(tuio.getPoint(event, 'tuio:default:1'))
+      .toMatchObject({ x: 2, y: 3 });
+  });
+
+  test('headless: reads the pushed input directly', () => {
+    const event = {
+      headless:   true,
+      identifier: 'a',
+      phase:      MOVE,
+      point:      { x: 2, y: 3 },
+      time:       0,
+    };
+    expect(inputSources.find(event)).toBe(headless);
+    expect(headless.getPhase(event)).toBe(MOVE);
+    expect(headless.getIdentifiers(event)).toEqual(['a']);
+    expect(headless.getPoint(event, 'a')).toMatchObject({ x: 2, y: 3 });
+    expect(headless.getTime(event)).toBe(0);
+  });
+
+  test('replay: reads the recorded phase, inputs, and time', () => {
+    const input = { identifier: 4, clientX: 2, clientY: 3 };
+    const event = {
+      replayed: true,
+      type:     'mousedown',
+      phase:    MOVE,
+      inputs:   [input],
+      time:     5,
+    };
+    expect(inputSources.find(event)).toBe(replay);
+    expect(replay.getPhase(event)).toBe(MOVE);
+    expect(replay.getIdentifiers(event)).toEqual([4]);
+    expect(replay.getPointer(event, 4)).toBe(input);
+    expect(replay.getPoint(event, 4)).toMatchObject({ x: 2, y: 3 });
+    expect(replay.getTime(event)).toBe(5);
+  });
+
+  test('Sources are found by event type, not by constructor', () => {
+    class FancyPointerEvent extends PointerEvent {}
+    const event = new FancyPointerEvent('pointerup', 0, 0, window, 1);
+    expect(inputSources.find(event)).toBe(pointer);
+  });
+});
+
+describe('create(definition)', () => {
+  test('Fills in the defaults', () => {
+    const source = inputSources.create({ name: 'test' });
+    const event = { type: 'pointerdown', clientX: 1, clientY: 2 };
+    expect(source.events).toEqual([]);
+    expect(source.accepts(event)).toBe(false);
+    expect(source.getPhase(event)).toBe(START);
+    expect(source.getIdentifiers(event)).toEqual([0]);
+    expect(source.getPointer(event, 0)).toBe(event);
+    expect(source.getPoint(event, 0)).toMatchObject({ x: 1, y: 2 });
+  });
+
+  test('getPoint() uses the given getPointer()', () => {
+    const source = inputSources.create({
+      getPointer: event => event.detail,
+    });
+    const event = { detail: { clientX: 8, clientY: 9 } };
+    expect(source.getPoint(event, 0)).toMatchObject({ x: 8, y: 9 });
+  });
+});
+
+describe('find(event)', () => {
+  test('Treats unknown events as a single input', () => {
+    const source = inputSources.find({ type: 'blur' });
+    expect(source.name).toBe('unknown');
+    expect(source.getPhase({ type: 'blur' })).toBe(CANCEL);
+    expect(source.getIdentifiers({ type: 'blur' })).toEqual([0]);
+  });
+});
+
+describe('register(source) and unregister(source)', () => {
+  const custom = inputSources.create({
+    name: 'custom',
+    accepts(event) {
+      return event.type === 'pointerdown';
+    },
+  });
+
+  afterEach(() => {
+    inputSources.unregister(custom);
+  });
+
+  test('Registered sources take precedence', () => {
+    inputSources.register(custom);
+    expect(inputSources.find({ type: 'pointerdown' })).toBe(custom);
+    inputSources.unregister(custom);
+    expect(inputSources.find({ type: 'pointerdown' })).toBe(pointer);
+  });
+
+  test('Registering a source twice has no effect', () => {
+    inputSources.register(custom);
+    inputSources.register(custom);
+    inputSources.unregister(custom);
+    expect(inputSources.find({ type: 'pointerdown' })).toBe(pointer);
+  });
+});
+
+describe('using(sources, callback)', () => {
+  const custom = inputSources.create({
+    name: 'custom',
+    accepts(event) {
+      return event.type === 'pointerdown';
+    },
+  });
+  const event = { type: 'pointerdown' };
+
+  test('The given sources take precedence during the call only', () => {
+    const found = inputSources.using([custom], () => inputSources.find(event));
+    expect(found).toBe(custom);
+    expect(inputSources.find(event)).toBe(pointer);
+  });
+
+  test('Registered sources keep their place in the registry', () => {
+    const marked = { type: 'pointerdown', replayed: true, inputs: [] };
+    const find = () => inputSources.find(marked);
+    expect(inputSources.using([pointer], find)).toBe(replay);
+  });
+
+  test('The sources are dropped even if the call throws', () => {
+    expect(() => inputSources.using([custom], () => {
+      throw new Error('oops');
+    })).toThrow('oops');
+    expect(inputSources.find(event)).toBe(pointer);
+  });
+});
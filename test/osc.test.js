@@ -0,0 +1,79 @@
+/* global expect, describe, test */
+
+'use strict';
+
+const osc = require('../src/osc.js');
+const TuioServer = require('./TuioServer.js');
+
+const { bundle, message } = TuioServer;
+
+describe('osc', () => {
+  describe('parse(data)', () => {
+    test('Decodes messages', () => {
+      const data = message('/tuio/2Dcur', 'sif', 'set', 3, 0.25);
+      expect(osc.parse(data)).toEqual({
+        address: '/tuio/2Dcur',
+        args:    ['set', 3, 0.25],
+      });
+    });
+
+    test('Accepts ArrayBuffers', () => {
+      const data = message('/a', 'i', -7);
+      expect(osc.parse(data.buffer).args).toEqual([-7]);
+    });
+
+    test('Decodes bundles, including nested bundles', () => {
+      const data = bundle(
+        message('/a', 'i', 1),
+        bundle(message('/b', 's', 'x')),
+      );
+      const packet = osc.parse(data);
+      expect(packet.timeTag).toEqual({ seconds: 0, fraction: 1 });
+      expect(packet.elements).toEqual([
+        { address: '/a', args: [1] },
+        {
+          timeTag:  { seconds: 0, fraction: 1 },
+          elements: [{ address: '/b', args: ['x'] }],
+        },
+      ]);
+    });
+
+    test('Decodes arguments without data, and arrays', () => {
+      const data = message('/a', 'TFNI[i[s]]', 1, 'x');
+      expect(osc.parse(data).args).toEqual([
+        true, false, null, Infinity, [1, ['x']],
+      ]);
+    });
+
+    test('Decodes messages without type tags', () => {
+      const data = new Uint8Array([47, 97, 0, 0]);
+      expect(osc.parse(data)).toEqual({ address: '/a', args: [] });
+    });
+
+    test('Throws on malformed packets', () => {
+      expect(() => osc.parse('/a')).toThrow(TypeError);
+      expect(() => osc.parse(new Uint8Array([1, 2, 3, 4]))).toThrow(TypeError);
+      expect(() => osc.parse(message('/a', 'x'))).toThrow(TypeError);
+      expect(() => osc.parse(message('/a', 'i', 1).slice(0, 8)))
+        .toThrow(RangeError);
+      expect(() => osc.parse(new Uint8Array([47, 97, 98, 99])))
+        .toThrow(RangeError);
+    });
+  });
+
+  describe('getMessages(packet)', () => {
+    test('Lists the messages of bundles in order', () => {
+      const packet = osc.parse(bundle(
+        message('/a', ''),
+        bundle(message('/b', ''), message('/c', '')),
+      ));
+      expect(osc.getMessages(packet).map(m => m.address))
+        .toEqual(['/a', '/b', '/c']);
+    });
+
+    test('Lists a single message on its own', () => {
+      const packet = { address: '/a', args: [] };
+      expect(osc.getMessages(packet)).toEqual([packet]);
+    });
+  });
+});
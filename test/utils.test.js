@@ -4,7 +4,14 @@
 
 const {
   angularDifference,
+  fitPolynomial,
+  getElementSize,
+  getIndexPath,
+  getNodeAtIndexPath,
+  getPhase,
+  getPressedButtons,
   getPropagationPath,
+  now,
   setDifference,
   setFilter,
 } = require('../src/utils.js');
@@ -22,6 +29,79 @@ describe('angularDifference(a, b)', () => {
   });
 });
 
+describe('fitPolynomial(xs, ys, degree)', () => {
+  test('Fits a line exactly through collinear samples', () => {
+    const [c0, c1] = fitPolynomial([0, 1, 3, 4], [1, 3, 7, 9], 1);
+    expect(c0).toBeCloseTo(1);
+    expect(c1).toBeCloseTo(2);
+  });
+
+  test('Fits a quadratic exactly through samples on a parabola', () => {
+    const xs = [-3, -1, 0, 2];
+    const [c0, c1, c2] = fitPolynomial(xs, xs.map(x => 3 * x * x - x + 5), 2);
+    expect(c0).toBeCloseTo(5);
+    expect(c1).toBeCloseTo(-1);
+    expect(c2).toBeCloseTo(3);
+  });
+
+  test('Minimizes the squared error of noisy samples', () => {
+    const [c0, c1] = fitPolynomial([0, 1, 2], [0, 2, 1], 1);
+    expect(c0).toBeCloseTo(0.5);
+    expect(c1).toBeCloseTo(0.5);
+  });
+
+  test('Returns null if there are too few samples', () => {
+    expect(fitPolynomial([0, 1], [0, 1], 2)).toBeNull();
+  });
+
+  test('Returns null if the samples do not determine a fit', () => {
+    expect(fitPolynomial([2, 2, 2], [0, 1, 2], 1)).toBeNull();
+  });
+});
+
+describe('getPhase(event)', () => {
+  test('Maps the event type to its phase', () => {
+    expect(getPhase({ type: 'pointerdown' })).toBe('start');
+    expect(getPhase({ type: 'touchmove' })).toBe('move');
+    expect(getPhase({ type: 'mouseup', button: 0, buttons: 0 })).toBe('end');
+  });
+
+  test('Treats additional mouse buttons as moves', () => {
+    expect(getPhase({ type: 'mousedown', button: 2, buttons: 2 }))
+      .toBe('start');
+    expect(getPhase({ type: 'mousedown', button: 2, buttons: 3 }))
+      .toBe('move');
+    expect(getPhase({ type: 'mouseup', button: 0, buttons: 2 })).toBe('move');
+  });
+});
+
+describe('getElementSize(element)', () => {
+  test('Uses the offsets of the element', () => {
+    const element = document.createElement('div');
+    Object.defineProperty(element, 'offsetWidth', { value: 40 });
+    Object.defineProperty(element, 'offsetHeight', { value: 30 });
+    expect(getElementSize(element)).toEqual({ width: 40, height: 30 });
+  });
+
+  test('Falls back to the bounding rectangle without offsets', () => {
+    const element = document.createElementNS(
+      'http://www.w3.org/2000/svg',
+      'rect',
+    );
+    element.getBoundingClientRect = () => ({ width: 20, height: 10 });
+    expect(getElementSize(element)).toEqual({ width: 20, height: 10 });
+  });
+});
+
+describe('getPressedButtons(buttons)', () => {
+  test('Identifies the buttons in the bitmask', () => {
+    expect(getPressedButtons(0)).toEqual(new Set());
+    expect(getPressedButtons(1)).toEqual(new Set([0]));
+    expect(getPressedButtons(6)).toEqual(new Set([1, 2]));
+    expect(getPressedButtons(24)).toEqual(new Set([3, 4]));
+  });
+});
+
 describe('getPropagationPath(event)', () => {
   let event = null;
 
@@ -43,6 +123,66 @@ describe('getPropagationPath(event)', () => {
       window,
     ]);
   });
+
+  test('Walks up the parent nodes of targets outside of the document', () => {
+    const root = { parentNode: null };
+    const child = { parentNode: root };
+    expect(getPropagationPath({ target: child })).toEqual([child, root]);
+  });
+});
+
+describe('getIndexPath(node, root)', () => {
+  let root = null;
+  let child = null;
+
+  beforeAll(() => {
+    root = document.createElement('div');
+    root.innerHTML = '<p></p><ul><li></li><li></li></ul>';
+    document.body.appendChild(root);
+    child = root.children[1].children[1];
+  });
+
+  test('Lists the positions of the node and its ancestors in the root', () => {
+    expect(getIndexPath(child, root)).toEqual([1, 1]);
+    expect(getIndexPath(root, root)).toEqual([]);
+  });
+
+  test('The window stands for its document', () => {
+    const path = getIndexPath(child, window);
+    expect(path.slice(0, 2)).toEqual([0, 1]);
+    expect(getNodeAtIndexPath(path, window)).toBe(child);
+  });
+
+  test('Returns null for nodes outside of the root', () => {
+    expect(getIndexPath(document.body, root)).toBeNull();
+    expect(getIndexPath(window, root)).toBeNull();
+    expect(getIndexPath({ parentNode: null }, root)).toBeNull();
+  });
+});
+
+describe('getNodeAtIndexPath(indices, root)', () => {
+  test('Finds the node at the index path', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p></p><ul><li></li><li></li></ul>';
+    const child = root.children[1].children[1];
+    expect(getNodeAtIndexPath([1, 1], root)).toBe(child);
+    expect(getNodeAtIndexPath([], root)).toBe(root);
+    expect(getNodeAtIndexPath(getIndexPath(child, root), root)).toBe(child);
+  });
+
+  test('Returns null if there is no such node', () => {
+    const root = document.createElement('div');
+    expect(getNodeAtIndexPath([3], root)).toBeNull();
+    expect(getNodeAtIndexPath(null, root)).toBeNull();
+  });
+});
+
+describe('now()', () => {
+  test('Reads the monotonic clock', () => {
+    const spy = jest.spyOn(performance, 'now').mockReturnValue(1234);
+    expect(now()).toBe(1234);
+    spy.mockRestore();
+  });
 });
 
 describe('setFilter(set, predicate)', () => {